@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+// LAN race server: `npm run lan-server`, then open the game on every machine
+// of the classroom and join the room code the host's screen shows.
+//
+// Protocol: JSON messages over one WebSocket per player.
+//   client -> server  { type: "create", name, config }
+//                     { type: "join", room, name }
+//                     { type: "advance" }              host: start / next stage
+//                     { type: "solve", stage, time }   time = client's own
+//   server -> client  { type: "welcome", playerId, config }
+//                     { type: "room", room }           after every change
+//                     { type: "error", error }         an error code
+// See rooms.js for how solves are timed and scored.
+
+const http = require("http");
+const { WebSocketServer } = require("ws");
+const { createRooms, publicRoom } = require("./rooms");
+
+const PORT = Number(process.env.PORT) || 8787;
+const MAX_MESSAGE = 64 * 1024; // bytes; configs are small
+
+const rooms = createRooms();
+const sockets = new Map(); // room code -> Set of sockets
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+  res.end("vnr-puzzle LAN server\n");
+});
+const wss = new WebSocketServer({ server, maxPayload: MAX_MESSAGE });
+
+function send(ws, message) {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+}
+
+function broadcast(room) {
+  const message = { type: "room", room: publicRoom(room) };
+  for (const ws of sockets.get(room.code) || []) send(ws, message);
+}
+
+function enter(ws, { room, player }) {
+  ws.room = room;
+  ws.player = player;
+  if (!sockets.has(room.code)) sockets.set(room.code, new Set());
+  sockets.get(room.code).add(ws);
+  send(ws, { type: "welcome", playerId: player.id, config: room.config });
+  broadcast(room);
+}
+
+wss.on("connection", (ws) => {
+  // an oversized frame or a broken connection: drop this client only, an
+  // unhandled "error" would take the whole classroom down with it
+  ws.on("error", (err) => {
+    console.warn("Dropping a client:", err.message);
+    ws.terminate();
+  });
+
+  ws.on("message", (data) => {
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch {
+      msg = null;
+    }
+    // valid JSON can still be null, a number, an array...
+    if (!msg || typeof msg !== "object" || typeof msg.type !== "string") {
+      send(ws, { type: "error", error: "bad-message" });
+      return;
+    }
+    const { room, player } = ws;
+    let out;
+    if (msg.type === "create" && !room) {
+      out = rooms.create(msg.name, msg.config);
+      if (!out.error) enter(ws, out);
+    } else if (msg.type === "join" && !room) {
+      out = rooms.join(msg.room, msg.name);
+      if (!out.error) enter(ws, out);
+    } else if (msg.type === "advance" && room) {
+      out = rooms.advance(room, player);
+      if (!out.error) broadcast(room);
+    } else if (msg.type === "solve" && room) {
+      out = rooms.solve(room, player, msg.stage, msg.time);
+      if (!out.error) broadcast(room);
+    } else {
+      out = { error: "bad-message" };
+    }
+    if (out.error) send(ws, { type: "error", error: out.error });
+  });
+
+  ws.on("close", () => {
+    const { room, player } = ws;
+    if (!room) return;
+    sockets.get(room.code)?.delete(ws);
+    const { room: left } = rooms.leave(room, player);
+    if (left) broadcast(left);
+    else sockets.delete(room.code);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`LAN server listening on ws://0.0.0.0:${PORT}`);
+});
@@ -0,0 +1,259 @@
+// Room bookkeeping for the LAN race server, kept free of any networking so
+// the rules are easy to follow. A room is created by its host (the teacher)
+// with the run config; everyone who joins plays the same seed, so the
+// client-side mulberry32 streams give identical scrambles and secret angles.
+//
+// Timing is the server's: a stage starts when the server announces it and a
+// solve counts when the server receives it. The time a client reports is only
+// accepted within LATENCY_ALLOWANCE below the server's own measurement, and
+// points are computed here, never taken from the client.
+
+const LATENCY_ALLOWANCE = 1; // seconds a report may undercut the server clock
+const MAX_PLAYERS = 60;
+const MAX_NAME = 24;
+const MAX_STAGES = 50;
+const CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O, 1/I
+const CODE_LENGTH = 4;
+// Allowed values of a config, as in the app's difficulty.js: the preset ids,
+// the custom form's ranges and customMultiplier's bounds, which divide a
+// custom maxPoints back out (so an instant solve pays at most 3× the normal
+// 1000 points). Per-stage time budgets may go up to the easy preset's 1.5×
+// the custom maximum.
+const DIFFICULTIES = ["easy", "normal", "hard", "custom"];
+const CUSTOM_LIMITS = {
+  grid: [4, 64],
+  timeBudget: [15, 600],
+  snapThreshold: [0.5, 0.98],
+  solveThreshold: [0.9, 0.999],
+  sharpness: [2, 16],
+  maxPoints: [200, 5000],
+};
+const STAGE_LIMITS = {
+  timeBudget: [1, 900],
+  maxPoints: [0, 5000],
+  multiplier: [0, 15],
+};
+const MAX_STAGE_POINTS = 3000; // maxPoints × multiplier
+
+// Same curve as the app's calculatePoints + difficulty multiplier
+function stagePoints(
+  seconds,
+  { timeBudget, maxPoints, minPoints, multiplier }
+) {
+  let points;
+  if (seconds <= 0) points = maxPoints;
+  else if (seconds >= timeBudget) points = minPoints;
+  else {
+    const ratio = seconds / timeBudget;
+    points = Math.round(maxPoints - ratio * (maxPoints - minPoints));
+  }
+  return Math.round(points * multiplier);
+}
+
+// Time credited for a solve: the server's measurement, or the client's own
+// (active play) time when it is at most LATENCY_ALLOWANCE faster
+function checkedTime(reported, serverElapsed) {
+  if (!Number.isFinite(reported) || reported > serverElapsed) {
+    return { time: serverElapsed, adjusted: Number.isFinite(reported) };
+  }
+  if (reported < serverElapsed - LATENCY_ALLOWANCE) {
+    return { time: serverElapsed - LATENCY_ALLOWANCE, adjusted: true };
+  }
+  return { time: reported, adjusted: false };
+}
+
+function clamp(v, lo, hi) {
+  return Math.max(lo, Math.min(hi, v));
+}
+
+// The custom difficulty with every field in range (missing ones dropped)
+function cleanCustom(custom) {
+  if (!custom || typeof custom !== "object") return null;
+  const clean = {};
+  for (const [key, [lo, hi]] of Object.entries(CUSTOM_LIMITS)) {
+    const v = Number(custom[key]);
+    if (Number.isFinite(v)) clean[key] = clamp(v, lo, hi);
+  }
+  if (clean.grid != null) clean.grid = Math.round(clean.grid);
+  return clean;
+}
+
+// Returns the config with only known fields, or null when unusable. Values
+// are clamped: they are broadcast to every player and scored with here.
+function validateConfig(config) {
+  if (!config || typeof config !== "object") return null;
+  const { seed, packId, mode, difficulty, custom, stages } = config;
+  if (typeof seed !== "string" || !seed || seed.length > 64) return null;
+  if (typeof packId !== "string" || !packId) return null;
+  if (!Array.isArray(stages) || !stages.length || stages.length > MAX_STAGES) {
+    return null;
+  }
+  const clean = [];
+  for (const s of stages) {
+    const ok =
+      s &&
+      typeof s.id === "string" &&
+      [s.timeBudget, s.maxPoints, s.minPoints, s.multiplier].every(
+        (n) => Number.isFinite(n) && n >= 0
+      ) &&
+      s.timeBudget > 0;
+    if (!ok) return null;
+    const maxPoints = clamp(s.maxPoints, ...STAGE_LIMITS.maxPoints);
+    clean.push({
+      id: s.id,
+      name: String(s.name || s.id),
+      timeBudget: clamp(s.timeBudget, ...STAGE_LIMITS.timeBudget),
+      maxPoints,
+      minPoints: clamp(s.minPoints, 0, maxPoints),
+      multiplier: Math.min(
+        clamp(s.multiplier, ...STAGE_LIMITS.multiplier),
+        maxPoints ? MAX_STAGE_POINTS / maxPoints : Infinity
+      ),
+    });
+  }
+  const known = DIFFICULTIES.includes(difficulty) ? difficulty : "normal";
+  return {
+    seed,
+    packId,
+    mode: mode === "dual" ? "dual" : "single",
+    difficulty: known,
+    custom: known === "custom" ? cleanCustom(custom) : null,
+    stages: clean,
+  };
+}
+
+function cleanName(name) {
+  return typeof name === "string" ? name.trim().slice(0, MAX_NAME) : "";
+}
+
+function createRooms({ now = Date.now, random = Math.random } = {}) {
+  const rooms = new Map(); // code -> room
+  let nextPlayerId = 1;
+
+  const newCode = () => {
+    let code;
+    do {
+      code = "";
+      for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_CHARS[Math.floor(random() * CODE_CHARS.length)];
+      }
+    } while (rooms.has(code));
+    return code;
+  };
+
+  const addPlayer = (room, name, host) => {
+    const player = {
+      id: String(nextPlayerId++),
+      name,
+      host,
+      connected: true,
+      results: {}, // stage index -> { time, points, adjusted }
+    };
+    room.players.push(player);
+    return player;
+  };
+
+  // Every method returns { error } (a code the client translates) or data
+  return {
+    create(name, rawConfig) {
+      const config = validateConfig(rawConfig);
+      if (!config) return { error: "bad-config" };
+      if (!cleanName(name)) return { error: "bad-name" };
+      const room = {
+        code: newCode(),
+        config,
+        phase: "lobby", // "lobby" | "playing" | "finished"
+        stageIndex: -1,
+        stageStartedAt: 0,
+        players: [],
+      };
+      rooms.set(room.code, room);
+      return { room, player: addPlayer(room, cleanName(name), true) };
+    },
+
+    join(code, name) {
+      const room = rooms.get(String(code || "").toUpperCase());
+      if (!room) return { error: "room-not-found" };
+      const clean = cleanName(name);
+      if (!clean) return { error: "bad-name" };
+      if (room.phase !== "lobby") return { error: "already-started" };
+      if (room.players.length >= MAX_PLAYERS) return { error: "room-full" };
+      if (room.players.some((p) => p.connected && p.name === clean)) {
+        return { error: "name-taken" };
+      }
+      return { room, player: addPlayer(room, clean, false) };
+    },
+
+    // Host only: first stage, next stage, or the end of the race
+    advance(room, player) {
+      if (!player.host) return { error: "not-host" };
+      if (room.phase === "finished") return { error: "already-finished" };
+      if (room.stageIndex >= room.config.stages.length - 1) {
+        room.phase = "finished";
+      } else {
+        room.phase = "playing";
+        room.stageIndex += 1;
+        room.stageStartedAt = now();
+      }
+      return { room };
+    },
+
+    solve(room, player, stageIndex, reportedTime) {
+      if (room.phase !== "playing" || stageIndex !== room.stageIndex) {
+        return { error: "wrong-stage" };
+      }
+      if (player.results[stageIndex]) return { error: "already-solved" };
+      const serverElapsed = (now() - room.stageStartedAt) / 1000;
+      const { time, adjusted } = checkedTime(reportedTime, serverElapsed);
+      const result = {
+        time,
+        points: stagePoints(time, room.config.stages[stageIndex]),
+        adjusted,
+      };
+      player.results[stageIndex] = result;
+      return { room, result };
+    },
+
+    // Disconnects keep the scores; the host role moves on if needed
+    leave(room, player) {
+      player.connected = false;
+      const connected = room.players.filter((p) => p.connected);
+      if (!connected.length) {
+        rooms.delete(room.code);
+        return { room: null };
+      }
+      if (player.host) {
+        player.host = false;
+        connected[0].host = true;
+      }
+      return { room };
+    },
+  };
+}
+
+// What clients see of a room (no timestamps, totals precomputed)
+function publicRoom(room) {
+  return {
+    code: room.code,
+    phase: room.phase,
+    stageIndex: room.stageIndex,
+    stageCount: room.config.stages.length,
+    players: room.players.map((p) => ({
+      id: p.id,
+      name: p.name,
+      host: p.host,
+      connected: p.connected,
+      results: p.results,
+      total: Object.values(p.results).reduce((sum, r) => sum + r.points, 0),
+    })),
+  };
+}
+
+module.exports = {
+  LATENCY_ALLOWANCE,
+  checkedTime,
+  createRooms,
+  publicRoom,
+  stagePoints,
+  validateConfig,
+};
@@ -0,0 +1,91 @@
+import React from "react";
+import { ACHIEVEMENTS, currentStreak } from "./achievements";
+import { useI18n } from "./i18n";
+
+// Every badge with its unlock date; locked ones are shown dimmed so the
+// player can see what is left to earn
+export default function AchievementGallery({ progress, onBack }) {
+  const { t, formatDate } = useI18n();
+  const unlockedCount = ACHIEVEMENTS.filter(
+    (a) => progress.unlocked[a.id]
+  ).length;
+  const streak = currentStreak(progress);
+
+  return (
+    <div style={styles.wrap}>
+      <h2>{t("achievements.title")}</h2>
+      <p style={styles.summary}>
+        {t("achievements.count", {
+          n: unlockedCount,
+          total: ACHIEVEMENTS.length,
+        })}
+        {streak > 0 && ` · ${t("achievements.streak", { n: streak })}`}
+      </p>
+      <ul style={styles.grid}>
+        {ACHIEVEMENTS.map((a) => {
+          const date = progress.unlocked[a.id];
+          return (
+            <li
+              key={a.id}
+              style={date ? styles.card : { ...styles.card, ...styles.locked }}
+            >
+              <span style={styles.icon} aria-hidden="true">
+                {a.icon}
+              </span>
+              <strong>{t(`achievement.${a.id}`)}</strong>
+              <span style={styles.description}>
+                {t(`achievement.${a.id}.description`)}
+              </span>
+              <span style={styles.status}>
+                {date
+                  ? t("achievements.unlocked", { date: formatDate(date) })
+                  : t("achievements.locked")}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+      <button style={styles.button} onClick={onBack}>
+        {t("common.backToMenu")}
+      </button>
+    </div>
+  );
+}
+
+const styles = {
+  wrap: { maxWidth: 720, margin: "0 auto" },
+  summary: { opacity: 0.85 },
+  grid: {
+    listStyle: "none",
+    padding: 0,
+    margin: "16px 0 24px",
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(200px, 1fr))",
+    gap: 12,
+  },
+  card: {
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "center",
+    gap: 6,
+    padding: 16,
+    borderRadius: 12,
+    background: "rgba(255,215,0,0.1)",
+    border: "1px solid rgba(255,215,0,0.4)",
+  },
+  locked: {
+    background: "rgba(255,255,255,0.04)",
+    border: "1px solid rgba(255,255,255,0.1)",
+    opacity: 0.5,
+  },
+  icon: { fontSize: 36 },
+  description: { fontSize: 13, opacity: 0.85 },
+  status: { fontSize: 12, opacity: 0.7 },
+  button: {
+    padding: "10px 20px",
+    borderRadius: 8,
+    border: "1px solid #445566",
+    background: "#1a2633",
+    color: "#e8eef8",
+  },
+};
@@ -0,0 +1,67 @@
+import React, { useEffect } from "react";
+import { getAchievement } from "./achievements";
+import { useI18n } from "./i18n";
+
+const TOAST_MS = 4000;
+
+// Stack of "achievement unlocked" toasts in the corner; each one dismisses
+// itself after a few seconds
+export default function AchievementToasts({ toasts, onDismiss }) {
+  return (
+    <div style={styles.stack} role="status" aria-live="polite">
+      {toasts.map((toast) => (
+        <Toast key={toast.key} toast={toast} onDismiss={onDismiss} />
+      ))}
+    </div>
+  );
+}
+
+function Toast({ toast, onDismiss }) {
+  const { t } = useI18n();
+  const achievement = getAchievement(toast.id);
+
+  useEffect(() => {
+    const timer = setTimeout(() => onDismiss(toast.key), TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [toast.key, onDismiss]);
+
+  return (
+    <div style={styles.toast} onClick={() => onDismiss(toast.key)}>
+      <span style={styles.icon} aria-hidden="true">
+        {achievement.icon}
+      </span>
+      <div>
+        <div style={styles.label}>{t("achievements.unlockedToast")}</div>
+        <div style={styles.name}>{t(`achievement.${toast.id}`)}</div>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  stack: {
+    position: "fixed",
+    top: 16,
+    right: 16,
+    display: "flex",
+    flexDirection: "column",
+    gap: 8,
+    zIndex: 20,
+  },
+  toast: {
+    display: "flex",
+    alignItems: "center",
+    gap: 12,
+    padding: "10px 16px",
+    borderRadius: 10,
+    background: "rgba(26,38,51,0.95)",
+    border: "1px solid rgba(255,215,0,0.6)",
+    color: "#e8eef8",
+    boxShadow: "0 4px 16px rgba(0,0,0,0.4)",
+    cursor: "pointer",
+    textAlign: "left",
+  },
+  icon: { fontSize: 28 },
+  label: { fontSize: 12, opacity: 0.8 },
+  name: { fontWeight: 600 },
+};
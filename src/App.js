@@ -1,312 +1,1626 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, {
+  Suspense,
+  lazy,
+  useCallback,
+  useEffect,
+  useMemo,
+  useReducer,
+  useRef,
+  useState,
+} from "react";
+import AchievementGallery from "./AchievementGallery";
+import AchievementToasts from "./AchievementToasts";
+import CustomStageEditor from "./CustomStageEditor";
+import DifficultyPicker from "./DifficultyPicker";
+import DomTiles from "./DomTiles";
+import HintOverlay from "./HintOverlay";
+import LanLobby from "./LanLobby";
+import LanScoreboard from "./LanScoreboard";
+import LeaderboardTable from "./LeaderboardTable";
+import OfflineBanner from "./OfflineBanner";
+import PlayerSetup from "./PlayerSetup";
+import RaceBoard, { RACE_CONTROLS } from "./RaceBoard";
+import ReplayViewer from "./ReplayViewer";
+import StageReveal from "./StageReveal";
+import TeacherDashboard from "./TeacherDashboard";
+import TileBoard from "./TileBoard";
+import WebGLBoundary from "./WebGLBoundary";
+import {
+  emptyProgress,
+  evaluate,
+  loadAchievements,
+  saveAchievements,
+} from "./achievements";
+import {
+  emptyLeaderboard,
+  loadLeaderboard,
+  recordRun,
+  saveLeaderboard,
+  topRuns,
+} from "./leaderboard";
+import {
+  createSession,
+  loadSession,
+  recordResult,
+  saveSession,
+  sessionStages,
+} from "./classSession";
+import {
+  CUSTOM_PACK_ID,
+  createCustomStage,
+  createCustomStageStorage,
+  customPack,
+  loadCustomStages,
+  saveCustomStages,
+} from "./customStages";
+import {
+  DEFAULT_CUSTOM,
+  getPreset,
+  sanitizeCustom,
+  stageSettings,
+} from "./difficulty";
+import {
+  QUIZ_BONUS,
+  alignmentOf,
+  currentCombo,
+  currentPoints,
+  elapsedSeconds,
+  initialState,
+  isLastStep,
+  isLocked,
+  isPictureWhole,
+  isSnapping,
+  reduce,
+  settingsOf,
+  stageAt,
+  stageOf,
+  timeLeft,
+} from "./engine";
+import { GAME_MODES, getGameMode } from "./gameModes";
+import { pinchZoom, twoFingerGesture } from "./gestures";
+import { HINTS, getHint } from "./hints";
+import { I18nProvider, LOCALES, localizePack, useI18n } from "./i18n";
+import { loadPref, savePref } from "./prefs";
+import { checkScore } from "./integrity";
+import { importReplay } from "./replay";
+import { RUN_FORMATS, TIME_ATTACK_SECONDS, getRunFormat } from "./runFormats";
+import useBoardSize from "./useBoardSize";
+import useGamepad from "./useGamepad";
+import useImageSize, { preloadImage } from "./useImageSize";
+import useInstallPrompt from "./useInstallPrompt";
+import useLanRoom from "./useLanRoom";
+import usePrefersReducedMotion from "./useReducedMotion";
+import useSound from "./useSound";
+import {
+  dailySeed,
+  isDailySeed,
+  randomSeed,
+  readRunParams,
+  runUrl,
+  writeRunParams,
+} from "./seed";
+import {
+  BUILTIN_PACK,
+  describePackError,
+  loadPack,
+  loadPackIndex,
+} from "./stagePacks";
+import { createLocalStorage } from "./storage";
+import {
+  KEY_STEP,
+  KEY_STEP_FINE,
+  MAX_PITCH,
+  buildTiles,
+  fitContain,
+  wrapAngle,
+} from "./puzzle";
+
+// three.js is only pulled in when the browser can actually render WebGL
+const ParticleCanvas = lazy(() => import("./ParticleCanvas"));
 
 // Minigame: Multi-stage Polysphere-like puzzle featuring Vietnamese leaders
 // Players solve multiple stages, earning points based on solve speed
 // Faster solves = more points
 
-// Stages featuring Vietnamese leaders
-const STAGES = [
-  { id: 1, name: "Hồ Chí Minh", url: "/assets/HoChiMinh1.jpg" },
-  { id: 2, name: "Võ Nguyên Giáp", url: "/assets/VoNguyenGiap.jpg" },
-  { id: 3, name: "Phan Bội Châu", url: "/assets/PhanBoiChau.jpg" },
-  { id: 4, name: "Lê Duẩn", url: "/assets/LeDuan.png" },
-];
+// Stages come from stage packs (see stagePacks.js and public/packs/)
 
-const MAX_POINTS_PER_STAGE = 1000; // Maximum points for instant solve
-const MIN_POINTS_PER_STAGE = 100; // Minimum points for slow solve
-const TIME_FOR_MIN_POINTS = 120; // Seconds before reaching minimum points
+// The rules (clock, snapback, scoring, turns) are in engine.js; this
+// component feeds it input and time and renders its state. Scoring knobs
+// (max/min points, time budget, multiplier) come from the difficulty
+// settings, see difficulty.js
 
-const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+// Rotation modes: "single" only spins around the vertical axis (yaw);
+// "dual" also hides a pitch, so the secret becomes a point on the sphere
+const ROTATION_MODES = ["single", "dual"];
 
-function useImageSize(src) {
-  const [size, setSize] = useState({ w: 0, h: 0 });
-  useEffect(() => {
-    if (!src) return;
-    const img = new Image();
-    img.crossOrigin = "anonymous";
-    img.onload = () => setSize({ w: img.naturalWidth, h: img.naturalHeight });
-    img.src = src;
-  }, [src]);
-  return size;
-}
+// Play modes: one player, 2-4 players taking turns on the same seeded stage
+// ("hotseat"), or 2-4 players racing side by side on split boards ("race")
+const PLAY_MODES = ["solo", "hotseat", "race"];
+
+// Largest play area; smaller screens get the same 4:3 board scaled down
+const BOARD_W = 720;
+const BOARD_H = 540;
+const NO_ZOOM = { scale: 1, x: 50, y: 50 }; // transform origin in %
 
-// Calculate points based on time taken (faster = more points)
-function calculatePoints(seconds) {
-  if (seconds <= 0) return MAX_POINTS_PER_STAGE;
-  if (seconds >= TIME_FOR_MIN_POINTS) return MIN_POINTS_PER_STAGE;
-  // Linear interpolation from max to min points
-  const ratio = seconds / TIME_FOR_MIN_POINTS;
-  return Math.round(
-    MAX_POINTS_PER_STAGE - ratio * (MAX_POINTS_PER_STAGE - MIN_POINTS_PER_STAGE)
+// Gamepad rotation speed (radians); keyboard steps are in puzzle.js
+const STICK_SPEED = 2.5; // per second at full stick deflection
+
+// localStorage by default; createIndexedDBStorage() has the same interface
+const leaderboardStorage = createLocalStorage();
+const customStageStorage = createCustomStageStorage();
+const achievementStorage = createLocalStorage("vnr-puzzle.achievements");
+const classStorage = createLocalStorage("vnr-puzzle.class");
+
+// The game renders inside the language provider (see i18n.js)
+export default function App() {
+  return (
+    <I18nProvider>
+      <Game />
+      <OfflineBanner />
+    </I18nProvider>
   );
 }
 
-export default function App() {
-  // Game state
-  const [gameState, setGameState] = useState("menu"); // "menu", "playing", "completed"
-  const [currentStageIndex, setCurrentStageIndex] = useState(0);
-  const [stageScores, setStageScores] = useState([]); // Array of {stage, time, points}
-  const [stageStartTime, setStageStartTime] = useState(null);
+function Game() {
+  // `t` is the alignment of the board below, hence `i18n.t`
+  const i18n = useI18n();
+  const defaultPlayer = i18n.t("player.default");
+  // Game state: the run is the engine's (engine.js); between runs `screen`
+  // picks the page of the menus
+  const [game, dispatch] = useReducer(reduce, undefined, initialState);
+  // "menu", "lan", "achievements", "teacher"
+  const [screen, setScreen] = useState("menu");
+  const gameState = game.phase === "idle" ? screen : game.phase;
+  // a student's turn in a class session (TeacherDashboard.js)
+  const classRun = game.phase !== "idle" && game.run.classSession === true;
+  const {
+    stageIndex: currentStageIndex,
+    scores: stageScores,
+    seed: runSeed,
+    turn,
+    handoff, // hot-seat: next player not seated yet
+    paused,
+    solved: stageSolved,
+    angle,
+    pitch,
+    hints: hintsUsed,
+    moves: tileMoves,
+  } = game;
+  const [, setClockTick] = useState(0); // re-render so the HUD time moves
+  // a shared link (?seed=...&pack=...&mode=...&difficulty=...) preselects
+  // the run and its rules (runUrl in seed.js)
+  const [urlRun] = useState(readRunParams);
+  const [rotationMode, setRotationMode] = useState(() =>
+    ROTATION_MODES.includes(urlRun.mode) ? urlRun.mode : "single"
+  );
+  // difficulty preset id and the values of the "custom" preset
+  const [difficulty, setDifficulty] = useState(
+    () => getPreset(urlRun.difficulty ?? loadPref("difficulty", "normal")).id
+  );
+  // a stored pref may be old or broken; it is checked like a link's values
+  const [customDifficulty, setCustomDifficulty] = useState(() =>
+    sanitizeCustom(
+      urlRun.custom ?? loadPref("customDifficulty", DEFAULT_CUSTOM)
+    )
+  );
+  // "random" (or the seed typed in / from the link) vs "daily" challenge
+  const [runType, setRunType] = useState("random");
+  const [seedInput, setSeedInput] = useState(urlRun.seed || "");
+  const dualAxis = rotationMode === "dual";
 
-  const currentStage = STAGES[currentStageIndex];
-  // keep initial image URL deterministic
-  const [imgUrl, setImgUrl] = useState(STAGES[0].url);
-  const { w: imgW, h: imgH } = useImageSize(imgUrl);
+  // Leaderboard + the player it is recorded under
+  const [playerName, setPlayerName] = useState(() =>
+    loadPref("player", defaultPlayer)
+  );
+  const [leaderboard, setLeaderboard] = useState(emptyLeaderboard);
+  const [lastRun, setLastRun] = useState(null); // result of recordRun(), solo only
+
+  // Multiplayer: mode, player names and whose turn it is (hot-seat)
+  const [playMode, setPlayMode] = useState(() => {
+    const id = loadPref("playMode", "solo");
+    return PLAY_MODES.includes(id) ? id : "solo";
+  });
+  const [players, setPlayers] = useState(() => loadPref("players", ["", ""]));
+  // How a stage is solved (gameModes.js); split-screen and LAN races only
+  // know the rotate puzzle
+  const [gameModeId, setGameModeId] = useState(
+    () => getGameMode(urlRun.game ?? loadPref("gameMode", "rotate")).id
+  );
+  // Classic run through the pack, time attack or endless (runFormats.js);
+  // the open-ended formats are single-player
+  const [runFormatId, setRunFormatId] = useState(
+    () => getRunFormat(urlRun.format ?? loadPref("runFormat", "classic")).id
+  );
+
+  // LAN race (see server/): the room sets seed and settings, the server
+  // starts every stage and keeps the score
+  const lan = useLanRoom();
+  const onLan = lan.config != null;
+  const { reportSolve } = lan;
+
+  // local multiplayer modes don't apply to a LAN room or a class session
+  const multiplayer = playMode !== "solo" && !onLan && !classRun;
+  const hotSeat = playMode === "hotseat" && !onLan && !classRun;
+  const racing = gameState === "playing" && game.run.race;
+  // the server can't check quiz answers or hints, and a race has no fair way
+  // to share a question; a run that ran out of time asks none
+  const quizzes = !racing && !onLan && !game.over;
+  const playerNames = players.map(
+    (name, idx) => name.trim() || i18n.t("player.numbered", { n: idx + 1 })
+  );
+  const turnName = playerNames[turn];
+  const gameMode = getGameMode(
+    onLan || playMode === "race" || classRun ? "rotate" : gameModeId
+  );
+  const tileMode = gameMode.id !== "rotate";
+  const runFormat = getRunFormat(multiplayer ? "classic" : runFormatId);
+  // the game mode and format of the run being played (or just finished)
+  const playedMode = getGameMode(game.run?.mode);
+  const playedFormat = getRunFormat(game.run?.format);
 
-  const containerRef = useRef(null);
-  const [angle, setAngle] = useState(0); // user-controlled angle (radians)
-  const [dragging, setDragging] = useState(false); // track pointer drag
-  const rafRef = useRef(null); // for snapback animation
-  const [stageSolved, setStageSolved] = useState(false); // record solved state per-stage
-  // regenerate secret angle when the stage index changes
-  const secretAngle = useMemo(() => {
-    // reference currentStageIndex so the hook updates when stage changes
-    void currentStageIndex;
-    return Math.random() * Math.PI * 2;
-  }, [currentStageIndex]);
-
-  const grid = 22; // number of tiles per side
-  const [scrambleSeed] = useState(() => Math.random());
-
-  // Reset angle when stage changes
   useEffect(() => {
-    setAngle(0);
-  }, [currentStageIndex]);
-
-  // Build tiles w/ deterministic scramble (based on scrambleSeed + stage)
-  const tiles = useMemo(() => {
-    const tiles = [];
-    const rng = mulberry32(
-      Math.floor((scrambleSeed + currentStageIndex) * 2 ** 31)
-    );
-    for (let y = 0; y < grid; y++) {
-      for (let x = 0; x < grid; x++) {
-        tiles.push({ x, y, r1: rng(), r2: rng(), r3: rng() });
-      }
+    let cancelled = false;
+    loadLeaderboard(leaderboardStorage).then((board) => {
+      // nothing stored yet: keep the initial empty board
+      if (cancelled || board.runs.length === 0) return;
+      setLeaderboard(board);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Achievements (achievements.js): single-player and LAN solves count,
+  // a shared screen can't tell whose badge it would be
+  const [achievements, setAchievements] = useState(emptyProgress);
+  const [toasts, setToasts] = useState([]); // {key, id} of fresh unlocks
+  const toastKeyRef = useRef(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadAchievements(achievementStorage).then((progress) => {
+      // nothing earned yet: keep the initial empty progress
+      const fresh =
+        progress.packs.length === 0 &&
+        Object.keys(progress.unlocked).length === 0;
+      if (cancelled || fresh) return;
+      setAchievements(progress);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const trackAchievements = useCallback(
+    (event) => {
+      const result = evaluate(achievements, event);
+      if (result.progress === achievements) return;
+      setAchievements(result.progress);
+      saveAchievements(achievementStorage, result.progress);
+      setToasts((prev) => [
+        ...prev,
+        ...result.unlocked.map((id) => ({ key: ++toastKeyRef.current, id })),
+      ]);
+    },
+    [achievements]
+  );
+  const dismissToast = useCallback((key) => {
+    setToasts((prev) => prev.filter((toast) => toast.key !== key));
+  }, []);
+  // every new or updated stage score (the quiz answer adds its bonus later);
+  // checking one again once it has unlocked something finds nothing new
+  const lastScore = stageScores[stageScores.length - 1];
+  // (nor can a class session: the badges would go to the teacher)
+  useEffect(() => {
+    if (lastScore && !multiplayer && !classRun) {
+      trackAchievements({ type: "stage", score: lastScore });
     }
-    return tiles;
-  }, [grid, scrambleSeed, currentStageIndex]);
+  }, [lastScore, multiplayer, classRun, trackAchievements]);
+  const { canInstall, install } = useInstallPrompt();
+
+  const toastStack = (
+    <AchievementToasts toasts={toasts} onDismiss={dismissToast} />
+  );
+
+  // Stage packs: the index from public/packs/ and the pack being played
+  const [packList, setPackList] = useState([]);
+  const [selectedPackId, setSelectedPackId] = useState(BUILTIN_PACK.id);
+  const [pack, setPack] = useState(BUILTIN_PACK);
+  const [packLoading, setPackLoading] = useState(false);
+  const [packErrors, setPackErrors] = useState([]);
+  // names, bios and quizzes in the interface language
+  const localPack = useMemo(
+    () => localizePack(pack, i18n.locale),
+    [pack, i18n.locale]
+  );
+  const stages = localPack.stages;
+  // images uploaded by the player, offered as one more pack
+  const [customStages, setCustomStages] = useState([]);
+  const uploadedPack = useMemo(() => customPack(customStages), [customStages]);
+  const [showUpload, setShowUpload] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadCustomStages(customStageStorage).then((entries) => {
+      // nothing uploaded yet: keep the initial empty list
+      if (cancelled || entries.length === 0) return;
+      setCustomStages(entries);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Load the pack index once; the first listed pack becomes the default
+  useEffect(() => {
+    // without fetch (e.g. under jsdom) only the bundled pack is offered
+    if (typeof fetch !== "function") return;
+    let cancelled = false;
+    loadPackIndex()
+      .then((list) => {
+        if (cancelled) return;
+        setPackList(list);
+        const linked = list.find((entry) => entry.id === urlRun.pack);
+        if (linked || list.length) setSelectedPackId((linked || list[0]).id);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error(err);
+        setPackErrors(describePackError(err));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [urlRun]);
+
+  // Load + validate the selected pack; on failure keep the previous one
+  useEffect(() => {
+    if (selectedPackId === BUILTIN_PACK.id) {
+      setPack(BUILTIN_PACK);
+      setPackErrors([]);
+      return;
+    }
+    const entry = packList.find((p) => p.id === selectedPackId);
+    if (!entry) return;
+    let cancelled = false;
+    setPackLoading(true);
+    loadPack(entry)
+      .then((loaded) => {
+        if (cancelled) return;
+        setPack(loaded);
+        setPackErrors([]);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error(err);
+        setPackErrors(describePackError(err));
+      })
+      .finally(() => {
+        if (!cancelled) setPackLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedPackId, packList]);
+
+  // The uploads pack follows every edit; once emptied, fall back to the
+  // bundled pack
+  useEffect(() => {
+    if (selectedPackId !== CUSTOM_PACK_ID) return;
+    setPack(uploadedPack || BUILTIN_PACK);
+    setPackErrors([]);
+    if (!uploadedPack) setSelectedPackId(BUILTIN_PACK.id);
+  }, [selectedPackId, uploadedPack]);
+
+  // Persist first so a full storage leaves the list (and the editor draft)
+  // untouched
+  const addCustomStage = async (values) => {
+    const next = [...customStages, createCustomStage(values)];
+    await saveCustomStages(customStageStorage, next);
+    setCustomStages(next);
+    setSelectedPackId(CUSTOM_PACK_ID);
+  };
+
+  const removeCustomStage = (id) => {
+    const next = customStages.filter((entry) => entry.id !== id);
+    setCustomStages(next);
+    saveCustomStages(customStageStorage, next).catch((err) => {
+      console.warn("Could not save custom stages", err);
+    });
+  };
+
+  // Class session set up on the teacher dashboard, with every student's
+  // results so far (classSession.js)
+  const [classSession, setClassSession] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadSession(classStorage).then((stored) => {
+      if (!cancelled && stored) setClassSession(stored);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const updateClassSession = (next) => {
+    setClassSession(next);
+    saveSession(classStorage, next); // null: no session set up
+  };
+
+  // the menus show (and preload) the first stage of the pack
+  const currentStage = game.run ? stageOf(game) : stages[0];
+  const runStages = game.run?.stages || stages;
+  const imgUrl = currentStage?.url || stages[0].url;
+  const {
+    w: imgW,
+    h: imgH,
+    error: imgError,
+    retry: retryImage,
+  } = useImageSize(imgUrl);
+
+  // fetch the next stage's image while this one is played
+  const nextImgUrl = stageAt(game, currentStageIndex + 1)?.url;
+  useEffect(() => {
+    if (gameState === "playing") preloadImage(nextImgUrl);
+  }, [gameState, nextImgUrl]);
+
+  const containerRef = useRef(null);
+  // WebGL renderer when available; the DOM tiles below are the fallback
+  const [webgl, setWebgl] = useState(() => hasWebGL());
+  const [viewingReplay, setViewingReplay] = useState(null);
+  const [replayError, setReplayError] = useState("");
+  const locked = isLocked(game); // no rotation input while true
+  const [hideMeter, setHideMeter] = useState(false); // hard mode: no accuracy meter
+  // reduced motion: no wobble, no snapback easing. Follows the OS setting
+  // unless the player chose explicitly on the menu.
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const [reducedMotionPref, setReducedMotionPref] = useState(() =>
+    loadPref("reducedMotion", null)
+  );
+  const reducedMotion = reducedMotionPref ?? prefersReducedMotion;
+  const wobbleAmp = reducedMotion ? 0 : 6;
+  // sound cues (sound.js); the reduced-motion choice also drops the
+  // continuous proximity tone, keeping only the short cues
+  const { sound, muted, setMuted, volume, setVolume } = useSound();
+  const muteButton = (
+    <button
+      style={styles.button}
+      onClick={() => setMuted(!muted)}
+      aria-pressed={muted}
+      title={muted ? i18n.t("sound.unmute") : i18n.t("sound.mute")}
+    >
+      {muted ? "🔇" : "🔊"}
+    </button>
+  );
+  const [announcement, setAnnouncement] = useState(""); // screen-reader text
+  const [activeHint, setActiveHint] = useState(null); // { id, at } while shown
+  // secret orientation of the stage, derived from the run seed
+  const { angle: secretAngle, pitch: secretPitch } = game.secret;
+
+  // grid, thresholds and scoring for this stage under the run's difficulty
+  const settings = game.run
+    ? settingsOf(game)
+    : stageSettings(difficulty, customDifficulty, currentStage);
+  const grid = settings.grid; // number of tiles per side
+  // the tile modes cut the image into fewer, bigger tiles
+  const tileGrid = tileMode ? gameMode.tileGrid(settings) : grid;
+
+  // Build tiles w/ deterministic scramble (based on run seed + stage)
+  const tiles = useMemo(
+    () =>
+      buildTiles(
+        grid,
+        runSeed,
+        currentStageIndex,
+        currentStage?.scatter,
+        currentStage?.name
+      ),
+    [grid, runSeed, currentStageIndex, currentStage]
+  );
+
+  // Drag to rotate; on touch screens two fingers also twist the puzzle and,
+  // once it is solved, pinch to zoom into the picture (gestures.js).
+  // Pointer capture keeps a gesture on the board even when a finger slides
+  // off it, and the board's touch-action stops the page scrolling under it.
+  const [zoom, setZoom] = useState(NO_ZOOM);
+  useEffect(() => {
+    if (!stageSolved) setZoom(NO_ZOOM);
+  }, [stageSolved]);
 
-  // drag to rotate
   useEffect(() => {
     const el = containerRef.current;
     if (!el) return;
 
-    let isDown = false;
-    let lastX = 0;
+    const pointers = new Map(); // pointerId -> { x, y } of the last event
 
     const onDown = (e) => {
-      // don't allow starting a drag once the stage is locked/solved
-      if (stageSolved) return;
-      isDown = true;
-      setDragging(true);
-      lastX = getX(e);
+      // nothing moves while paused, and the tile boards take their own
+      // pointers until the picture is whole
+      if (paused || (tileMode && !stageSolved)) return;
+      // a captured pointer would take the click away from a button
+      if (e.target.closest?.("button")) return;
+      el.setPointerCapture?.(e.pointerId);
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (!locked) dispatch({ type: "drag", dragging: true });
     };
     const onMove = (e) => {
-      if (!isDown) return;
-      const x = getX(e);
-      const dx = x - lastX;
-      lastX = x;
-      setAngle((a) => a + dx * 0.01); // sensitivity
+      const last = pointers.get(e.pointerId);
+      if (!last) return;
+      const next = { x: e.clientX, y: e.clientY };
+      if (pointers.size === 2) {
+        const before = [...pointers.values()];
+        pointers.set(e.pointerId, next);
+        const { rotation, scale, center } = twoFingerGesture(before, [
+          ...pointers.values(),
+        ]);
+        if (!locked) {
+          dispatch({
+            type: "rotate",
+            dYaw: rotation,
+            input: "twist",
+            now: performance.now(),
+          });
+        } else if (stageSolved) {
+          const rect = el.getBoundingClientRect();
+          setZoom((z) => ({
+            scale: pinchZoom(z.scale, scale),
+            x: ((center.x - rect.left) / rect.width) * 100,
+            y: ((center.y - rect.top) / rect.height) * 100,
+          }));
+        }
+        return;
+      }
+      pointers.set(e.pointerId, next);
+      if (pointers.size > 1 || locked) return;
+      // vertical drag tilts in dual mode; dragging up looks from above
+      dispatch({
+        type: "rotate",
+        dYaw: (next.x - last.x) * 0.01, // sensitivity
+        dPitch: -(next.y - last.y) * 0.01,
+        input: "drag",
+        now: performance.now(),
+      });
     };
-    const onUp = () => {
-      isDown = false;
-      setDragging(false);
+    const onUp = (e) => {
+      if (!pointers.delete(e.pointerId)) return;
+      if (pointers.size === 0) dispatch({ type: "drag", dragging: false });
     };
 
     el.addEventListener("pointerdown", onDown);
     window.addEventListener("pointermove", onMove);
     window.addEventListener("pointerup", onUp);
+    window.addEventListener("pointercancel", onUp);
 
     return () => {
       el.removeEventListener("pointerdown", onDown);
       window.removeEventListener("pointermove", onMove);
       window.removeEventListener("pointerup", onUp);
+      window.removeEventListener("pointercancel", onUp);
     };
-    // rebind listeners if stageSolved changes so onDown can block drags
-  }, [stageSolved]);
+    // rebind listeners when the board mounts and when the lock changes so
+    // onDown can block drags
+  }, [locked, paused, stageSolved, gameState, playMode, tileMode]);
 
   // interpolation factor: t in [0,1]; close to 1 when angle ~= secret
-  const t = useMemo(() => {
-    const d = wrapAngle(angle - secretAngle);
-    // a steep bell function so it "clicks" into place near the target
-    const c = Math.cos(d);
-    const shaped = Math.pow(clamp((c + 1) / 2, 0, 1), 6);
-    return shaped;
-  }, [angle, secretAngle]);
-
-  // completion check (UI-only)
-  const solved = t > 0.985;
-
-  // NOTE: we intentionally do NOT mark stageSolved here. Recording and locking
-  // happen when the snapback animation finishes so that the pieces are brought
-  // to the exact solved state before the stage is considered solved.
-
-  // Snapback assist: when close enough and not dragging, gently ease angle to the secret
-  useEffect(() => {
-    // Only assist if near solution and not actively dragging
-    // Use a softer threshold (10% away -> t >= 0.90)
-    // NOTE: we allow this to run even if `solved` is true so the final micro-
-    // adjustment can complete and bring the pieces to exact alignment.
-    if (dragging || t < 0.9 || gameState !== "playing") return;
+  const t = game.run ? alignmentOf(game) : 0;
 
-    cancelAnimationFrame(rafRef.current);
+  // completion look of the board (the stage counts as solved once the
+  // snapback has landed)
+  const solved = game.run != null && isPictureWhole(game);
 
+  // Snapback assist: near the solution and not dragging, the engine eases
+  // the view in one tick per frame; the tick that lands it solves the stage
+  const snapping = isSnapping(game);
+  useEffect(() => {
+    if (!snapping) return;
+    let raf;
     const step = () => {
-      rafRef.current = requestAnimationFrame(() => {
-        setAngle((a) => {
-          const d = wrapAngle(secretAngle - a); // shortest path delta
-          const done = Math.abs(d) < 0.0015;
-          if (done) {
-            // snap fully into place
-            // record score here (only if not already recorded)
-            if (!stageSolved && stageStartTime) {
-              const timeElapsed = (Date.now() - stageStartTime) / 1000;
-              const points = calculatePoints(timeElapsed);
-              const newScore = {
-                stage:
-                  currentStage?.name ||
-                  STAGES[currentStageIndex]?.name ||
-                  "(unknown)",
-                time: timeElapsed,
-                points: points,
-              };
-              setStageScores((prev) => [...prev, newScore]);
-              setStageSolved(true);
-            }
-            return secretAngle;
-          }
-          // critically damped ease toward the target
-          return a + d * 0.18;
-        });
-      });
+      dispatch({ type: "tick", now: performance.now(), reducedMotion });
+      raf = requestAnimationFrame(step);
     };
-    rafRef.current = requestAnimationFrame(step);
-    return () => cancelAnimationFrame(rafRef.current);
-  }, [
-    t,
-    dragging,
-    secretAngle,
-    gameState,
-    stageSolved,
-    stageStartTime,
-    currentStage,
-    currentStageIndex,
-  ]);
+    raf = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(raf);
+  }, [snapping, reducedMotion]);
 
-  // layout sizes (responsive, preserve aspect of image area)
-  const outerW = 720;
-  const outerH = 540;
-  const { drawW, drawH } = fitContain(imgW || 4, imgH || 3, outerW, outerH);
+  // LAN: the server times and scores the solve again on its side
+  const lanSolveTime = onLan && stageSolved ? lastScore?.time : null;
+  useEffect(() => {
+    if (lanSolveTime != null) reportSolve(currentStageIndex, lanSolveTime);
+  }, [lanSolveTime, currentStageIndex, reportSolve]);
 
-  // compute positions for each tile
-  const tileW = drawW / grid;
-  const tileH = drawH / grid;
+  // hide the hint again once its time is up
+  useEffect(() => {
+    if (!activeHint) return;
+    const timer = setTimeout(
+      () => setActiveHint(null),
+      getHint(activeHint.id).duration
+    );
+    return () => clearTimeout(timer);
+  }, [activeHint]);
 
-  const pieces = tiles.map((tile, idx) => {
-    // target location (assembled)
-    const tx = tile.x * tileW;
-    const ty = tile.y * tileH;
+  // ------- sound -------
+  // the proximity tone is an accuracy meter by ear: it goes with the meter
+  const listening =
+    gameState === "playing" &&
+    !paused &&
+    !stageSolved &&
+    !racing &&
+    !tileMode &&
+    !hideMeter &&
+    !reducedMotion;
+  useEffect(() => {
+    sound.proximity(listening ? t : null);
+  }, [sound, listening, t]);
 
-    // scrambled location (deterministic random but visually spherical)
-    const angleRnd = tile.r1 * Math.PI * 2;
-    const radius = (0.15 + 0.85 * tile.r2) * Math.max(drawW, drawH) * 0.7;
-    const sx = drawW / 2 + Math.cos(angleRnd) * radius - tileW / 2;
-    const sy = drawH / 2 + Math.sin(angleRnd) * radius - tileH / 2;
+  useEffect(() => {
+    if (snapping) sound.click();
+  }, [sound, snapping]);
 
-    // interpolate based on t and also add a little wobble using sin(angle)
-    const wobble = Math.sin(angle * 2 + tile.r3 * 10) * (1 - t) * 6;
-    const x = lerp(sx, tx, t) + wobble;
-    const y = lerp(sy, ty, t) + wobble;
+  useEffect(() => {
+    if (stageSolved) sound.chime();
+  }, [sound, stageSolved]);
 
-    const bgX = -tile.x * tileW + "px";
-    const bgY = -tile.y * tileH + "px";
+  useEffect(() => {
+    if (gameState === "completed") sound.fanfare();
+  }, [sound, gameState]);
 
-    return (
-      <div
-        key={idx}
-        style={{
-          position: "absolute",
-          left: x,
-          top: y,
-          width: tileW,
-          height: tileH,
-          backgroundImage: `url(${imgUrl})`,
-          backgroundSize: `${drawW}px ${drawH}px`,
-          backgroundPosition: `${bgX} ${bgY}`,
-          borderRadius: 0,
-          boxShadow: solved ? "none" : "0 2px 6px rgba(0,0,0,0.25)",
-          transition: solved ? "box-shadow 0.4s ease" : undefined,
-          imageRendering: "auto",
-          willChange: "transform,left,top",
-        }}
-      />
-    );
+  // tile modes: the board reports the move that completed the picture
+  const recordTileSolve = (moves) =>
+    dispatch({ type: "tileSolve", moves, now: performance.now() });
+
+  const showHint = (id) => {
+    if (locked) return;
+    dispatch({ type: "hint", id });
+    setActiveHint({ id, at: Date.now() });
+  };
+
+  // layout sizes: the board shrinks to fit narrow screens and follows
+  // resizes and rotation (useBoardSize.js)
+  const [stageEl, setStageEl] = useState(null);
+  const { width: outerW, height: outerH } = useBoardSize(
+    stageEl,
+    BOARD_W,
+    BOARD_H
+  );
+  const { drawW, drawH } = fitContain(imgW || 4, imgH || 3, outerW, outerH);
+
+  // Seed picked on the menu: daily, typed in, or a fresh random one
+  const menuSeed = () =>
+    runType === "daily" ? dailySeed() : seedInput.trim() || randomSeed();
+
+  // What stays fixed for a run started from the menu (see engine.js)
+  const menuRun = () => ({
+    stages,
+    difficulty,
+    custom: customDifficulty,
+    dualAxis,
+    rotationMode,
+    mode: gameMode.id,
+    format: runFormat.id,
+    packId: pack.id,
+    packName: pack.name,
+    players: multiplayer ? playerNames : [playerName.trim() || defaultPlayer],
+    hotSeat,
+    race: multiplayer && playMode === "race",
+    lan: false,
+  });
+
+  // What a shared link needs to replay `run` (runUrl in seed.js)
+  const linkParams = (run, seed) => ({
+    seed,
+    pack: run.packId,
+    mode: run.rotationMode,
+    difficulty: run.difficulty,
+    custom: run.custom,
+    game: run.mode,
+    format: run.format,
+  });
+
+  // A student's turn: the session's stages and rules, the rotate puzzle only
+  const sessionRun = (student) => ({
+    stages: sessionStages(classSession, stages),
+    difficulty: classSession.difficulty,
+    custom: DEFAULT_CUSTOM,
+    dualAxis: false,
+    rotationMode: "single",
+    mode: "rotate",
+    packId: classSession.packId,
+    packName: classSession.packName,
+    players: [student],
+    hotSeat: false,
+    race: false,
+    lan: false,
+    timeLimit: classSession.timeLimit || null,
+    classSession: true,
   });
 
+  const startStudent = (student) => {
+    dispatch({
+      type: "start",
+      run: sessionRun(student),
+      seed: classSession.seed,
+      now: performance.now(),
+    });
+    setActiveHint(null);
+  };
+
   // Start game handler
-  const startGame = () => {
-    setGameState("playing");
-    setCurrentStageIndex(0);
-    setStageScores([]);
-    setImgUrl(STAGES[0].url);
-    setStageStartTime(Date.now());
-    setAngle(0);
-    setStageSolved(false);
+  // `seed` replays a given run; otherwise it comes from the menu choice
+  const startGame = (seed) => {
+    const nextSeed = seed || menuSeed();
+    const run = menuRun();
+    writeRunParams(linkParams(run, nextSeed));
+    dispatch({ type: "start", run, seed: nextSeed, now: performance.now() });
+    setActiveHint(null);
+  };
+
+  const answerQuiz = (choice) => dispatch({ type: "answer", choice });
+
+  // Save the finished run to the leaderboard and show the results; in
+  // multiplayer every player's share of the scores is recorded as their run
+  const finishRun = () => {
+    // a class run goes to the session instead, for the teacher to export
+    if (classRun) {
+      updateClassSession(
+        recordResult(classSession, {
+          student: game.run.players[0],
+          scores: stageScores,
+        })
+      );
+      setLastRun(null);
+      dispatch({ type: "finish" });
+      return;
+    }
+    const runs = multiplayer
+      ? playerNames.map((name, idx) => ({
+          player: name,
+          scores: stageScores.filter((score) => score.player === idx),
+        }))
+      : [
+          {
+            player: playerName.trim() || defaultPlayer,
+            scores: stageScores,
+          },
+        ];
+    // what was played, whatever the menu shows by now
+    const { run } = game;
+    let board = leaderboard;
+    let result = null;
+    for (const { player, scores } of runs) {
+      result = recordRun(board, {
+        player,
+        packId: run.packId,
+        packName: run.packName,
+        seed: runSeed,
+        difficulty: run.difficulty,
+        mode: run.mode,
+        format: playedFormat.id,
+        total: runTotal(scores),
+        time: scores.reduce((sum, score) => sum + score.time, 0),
+        // a stage given up in a race sets no best time, nor does one made
+        // harder by an open-ended format
+        stages: playedFormat.open
+          ? []
+          : scores
+              .filter((score) => !score.gaveUp)
+              .map((score) => ({ id: score.stageId, time: score.time })),
+      });
+      board = result.board;
+    }
+    setLeaderboard(board);
+    setLastRun(multiplayer ? null : result);
+    saveLeaderboard(leaderboardStorage, board);
+    // a whole-run badge is for going through the pack
+    if (!multiplayer && !playedFormat.open) {
+      trackAchievements({
+        type: "run",
+        scores: stageScores,
+        time: stageScores.reduce((sum, score) => sum + score.time, 0),
+        packId: run.packId,
+        // uploaded photos are not a pack to finish
+        packIds: packList.length
+          ? packList.map((entry) => entry.id)
+          : [BUILTIN_PACK.id],
+        seed: runSeed,
+      });
+    }
+    dispatch({ type: "finish" });
   };
 
   const goToNextStage = () => {
-    // advance to next stage or finish
-    setStageSolved(false);
-    setCurrentStageIndex((prev) => {
-      if (prev < STAGES.length - 1) {
-        const next = prev + 1;
-        setImgUrl(STAGES[next]?.url || STAGES[0].url);
-        setStageStartTime(Date.now());
-        setAngle(0);
-        return next;
-      }
-      setGameState("completed");
-      return prev;
+    // LAN: the host moves the whole room on
+    if (onLan) {
+      if (lan.player?.host) lan.advance();
+      return;
+    }
+    // the last turn of the last stage ends the run
+    if (isLastStep(game)) {
+      finishRun();
+      return;
+    }
+    dispatch({ type: "next", now: performance.now() });
+    setActiveHint(null);
+  };
+
+  // ------- pause / resume -------
+  const pauseGame = useCallback(() => {
+    dispatch({ type: "pause", now: performance.now() });
+  }, []);
+
+  const resumeGame = () => {
+    dispatch({ type: "resume", now: performance.now() });
+    containerRef.current?.focus();
+  };
+
+  // auto-pause when the tab is hidden or the window loses focus; resuming
+  // is always explicit so pausing can't be used to study the board
+  useEffect(() => {
+    if (gameState !== "playing" || stageSolved) return;
+    const onVisibility = () => {
+      if (document.hidden) pauseGame();
+    };
+    document.addEventListener("visibilitychange", onVisibility);
+    window.addEventListener("blur", pauseGame);
+    return () => {
+      document.removeEventListener("visibilitychange", onVisibility);
+      window.removeEventListener("blur", pauseGame);
+    };
+  }, [gameState, stageSolved, pauseGame]);
+
+  // tick the HUD while the clock runs
+  useEffect(() => {
+    if (gameState !== "playing" || paused || stageSolved) return;
+    const timer = setInterval(() => setClockTick((n) => n + 1), 100);
+    return () => clearInterval(timer);
+  }, [gameState, paused, stageSolved]);
+
+  // Class sessions may limit the time per stage; the HUD tick above brings
+  // the clock to the limit
+  const secondsLeft =
+    gameState === "playing" ? timeLeft(game, performance.now()) : null;
+  useEffect(() => {
+    if (secondsLeft === 0 && !stageSolved) {
+      dispatch({ type: "timeUp", now: performance.now() });
+    }
+  }, [secondsLeft, stageSolved]);
+  const timedOut =
+    stageSolved && !racing && (game.over || lastScore?.gaveUp === true);
+
+  // ------- split-screen race -------
+  // each player's score entry for the current stage (undefined until done)
+  const raceResults = players.map((_, idx) =>
+    stageScores.find(
+      (score) => score.player === idx && score.stageId === currentStage?.id
+    )
+  );
+
+  // every board reports once, solved or given up; the shared clock gives
+  // the time
+  const recordRaceResult = (player, gaveUp) =>
+    dispatch({ type: "raceResult", player, gaveUp, now: performance.now() });
+
+  // finishing position among the players who solved the stage
+  const racePlace = (entry) =>
+    1 +
+    raceResults.filter(
+      (other) => other && !other.gaveUp && other.time < entry.time
+    ).length;
+
+  // ------- LAN race -------
+  // Settings a room needs to run this menu's choices on every machine; the
+  // per-stage scoring knobs let the server compute points itself
+  const roomConfig = () => ({
+    seed: menuSeed(),
+    packId: pack.id,
+    mode: rotationMode,
+    difficulty,
+    custom: customDifficulty,
+    stages: stages.map((stage) => {
+      const s = stageSettings(difficulty, customDifficulty, stage);
+      return {
+        id: stage.id,
+        name: stage.name,
+        timeBudget: s.timeBudget,
+        maxPoints: s.maxPoints,
+        minPoints: s.minPoints,
+        multiplier: s.multiplier,
+      };
+    }),
+  });
+
+  // once in a room, play its settings (the pack loads as usual)
+  useEffect(() => {
+    const config = lan.config;
+    if (!config) return;
+    setRotationMode(config.mode);
+    setDifficulty(getPreset(config.difficulty).id);
+    if (config.custom) setCustomDifficulty(config.custom);
+    setSelectedPackId(config.packId);
+  }, [lan.config]);
+
+  // the server announces every stage start and the end of the race
+  const lanPackReady = onLan && pack.id === lan.config.packId;
+  const lanPhase = lan.room?.phase;
+  const lanStage = lan.room?.stageIndex;
+  // the room's settings as an engine run; every machine plays the rotate
+  // puzzle on the same seed
+  const lanPlayerName = lan.player?.name;
+  const lanRun = useMemo(() => {
+    const config = lan.config;
+    if (!config) return null;
+    return {
+      stages,
+      difficulty: getPreset(config.difficulty).id,
+      custom: config.custom || DEFAULT_CUSTOM,
+      dualAxis: config.mode === "dual",
+      rotationMode: config.mode,
+      mode: "rotate",
+      packId: config.packId,
+      packName: pack.name,
+      players: [lanPlayerName],
+      hotSeat: false,
+      race: false,
+      lan: true,
+    };
+  }, [lan.config, stages, pack.name, lanPlayerName]);
+  const lanSeed = lan.config?.seed;
+  useEffect(() => {
+    if (!lanPackReady || lanPhase !== "playing") return;
+    dispatch({
+      type: "goto",
+      run: lanRun,
+      seed: lanSeed,
+      stageIndex: lanStage,
+      now: performance.now(),
     });
+    setActiveHint(null);
+  }, [lanPackReady, lanPhase, lanStage, lanRun, lanSeed]);
+  useEffect(() => {
+    if (lanPhase === "finished") dispatch({ type: "finish" });
+  }, [lanPhase]);
+
+  const leaveLan = () => {
+    lan.leave();
+    dispatch({ type: "quit" });
+    setScreen("menu");
   };
 
-  // Calculate current elapsed time
-  const currentElapsedTime = stageStartTime
-    ? (Date.now() - stageStartTime) / 1000
-    : 0;
+  // ------- keyboard, gamepad & screen-reader support -------
+  // `input` names the control for the replay's trace (integrity.js)
+  const rotateBy = (dYaw, dPitch, input) =>
+    dispatch({ type: "rotate", dYaw, dPitch, input, now: performance.now() });
+
+  // Enter / gamepad A: move on once the stage is solved and its quiz answered
+  const confirmStage = () => {
+    if (!stageSolved) return;
+    const answered = stageScores[stageScores.length - 1]?.quizChoice != null;
+    if (currentStage?.quiz && quizzes && !answered) return;
+    goToNextStage();
+  };
+
+  const onKeyDown = (e) => {
+    if (gameState !== "playing") return;
+    if (e.key === "Escape" || e.key === "p" || e.key === "P") {
+      if (paused) resumeGame();
+      else if (!stageSolved) pauseGame();
+      e.preventDefault();
+      return;
+    }
+    // leave form controls (slider, buttons, tiles, ...) their own keys
+    if (e.target.closest?.("input, select, textarea, button")) return;
+    if (paused) return;
+    // split-screen boards listen for their own rotation keys
+    if (racing) {
+      if (e.key !== "Enter") return;
+      confirmStage();
+      e.preventDefault();
+      return;
+    }
+    const step = e.shiftKey ? KEY_STEP_FINE : KEY_STEP;
+    const quiz = stageSolved ? currentStage?.quiz : null;
+    const choice = Number(e.key) - 1;
+    if (e.key === "ArrowLeft") rotateBy(-step, 0, "key");
+    else if (e.key === "ArrowRight") rotateBy(step, 0, "key");
+    else if (e.key === "ArrowUp" && dualAxis) rotateBy(0, step, "key");
+    else if (e.key === "ArrowDown" && dualAxis) rotateBy(0, -step, "key");
+    else if (e.key === "Enter" || e.key === " ") confirmStage();
+    else if (
+      quiz &&
+      stageScores[stageScores.length - 1]?.quizChoice == null &&
+      choice >= 0 &&
+      choice < quiz.choices.length
+    ) {
+      answerQuiz(choice); // 1..n pick a quiz answer
+    } else return;
+    e.preventDefault();
+  };
+  const keyHandlerRef = useRef(onKeyDown);
+  keyHandlerRef.current = onKeyDown;
+  useEffect(() => {
+    const listener = (e) => keyHandlerRef.current(e);
+    window.addEventListener("keydown", listener);
+    return () => window.removeEventListener("keydown", listener);
+  }, []);
+
+  useGamepad(gameState === "playing" && !racing, {
+    onStick: (x, y, dt) => {
+      // a deflected stick counts as dragging so snapback waits for release
+      dispatch({ type: "drag", dragging: x !== 0 || y !== 0 });
+      rotateBy(x * STICK_SPEED * dt, -y * STICK_SPEED * dt, "stick");
+    },
+    onButton: (index) => {
+      if (paused) {
+        if (index === 9) resumeGame(); // Start
+        return;
+      }
+      if (index === 0) confirmStage(); // A / cross
+      if (index === 9 && !stageSolved) pauseGame();
+    },
+  });
+
+  // focus the board when a stage starts so the arrow keys work right away
+  useEffect(() => {
+    if (gameState === "playing") containerRef.current?.focus();
+  }, [gameState, currentStageIndex, turn]);
+
+  // screen-reader announcements: stage start, accuracy steps, solve
+  useEffect(() => {
+    if (gameState !== "playing" || !currentStage) return;
+    setAnnouncement(
+      `${i18n.t("announce.stage", {
+        n: currentStageIndex + 1,
+        total: stages.length,
+        name: currentStage.name,
+      })} ` +
+        (racing
+          ? i18n.t("announce.race")
+          : tileMode
+          ? `${i18n.t(`gameMode.${gameMode.id}.description`)}.`
+          : i18n.t("announce.rotate"))
+    );
+  }, [
+    gameState,
+    currentStageIndex,
+    currentStage,
+    stages.length,
+    racing,
+    tileMode,
+    gameMode,
+    i18n,
+  ]);
+  const accuracyStep = Math.floor(t * 10);
+  useEffect(() => {
+    // hard mode hides the accuracy, so don't read it out either
+    if (
+      gameState !== "playing" ||
+      racing ||
+      tileMode ||
+      hideMeter ||
+      stageSolved
+    ) {
+      return;
+    }
+    setAnnouncement(
+      i18n.t("announce.accuracy", { percent: accuracyStep * 10 })
+    );
+  }, [accuracyStep, gameState, racing, hideMeter, stageSolved, tileMode, i18n]);
+  useEffect(() => {
+    if (handoff) {
+      setAnnouncement(i18n.t("announce.turn", { name: turnName }));
+      return;
+    }
+    if (paused) {
+      setAnnouncement(i18n.t("announce.paused"));
+      return;
+    }
+    if (!stageSolved || !currentStage) return;
+    if (timedOut) {
+      setAnnouncement(i18n.t("game.timeUp"));
+      return;
+    }
+    setAnnouncement(
+      currentStage.quiz && quizzes
+        ? i18n.t("announce.solvedQuiz", {
+            name: currentStage.name,
+            question: currentStage.quiz.question,
+            count: currentStage.quiz.choices.length,
+          })
+        : i18n.t("announce.solved", { name: currentStage.name })
+    );
+  }, [
+    stageSolved,
+    timedOut,
+    currentStage,
+    paused,
+    handoff,
+    turnName,
+    quizzes,
+    i18n,
+  ]);
+
+  // Active play time of the current stage
+  const currentElapsedTime = elapsedSeconds(game, performance.now());
+  const stageLabel = playedFormat.open
+    ? i18n.t("game.stageOpen", { n: currentStageIndex + 1 })
+    : i18n.t("game.stage", {
+        n: currentStageIndex + 1,
+        total: runStages.length,
+      });
+  // every game mode and run format ranks apart
+  const leaderboardTitle = (packName, mode, format) => {
+    const category = [
+      mode.id !== "rotate" && i18n.t(`gameMode.${mode.id}`),
+      format.open && i18n.t(`runFormat.${format.id}`),
+    ].filter(Boolean);
+    return category.length
+      ? i18n.t("leaderboard.titleMode", {
+          pack: packName,
+          mode: category.join(" · "),
+        })
+      : i18n.t("leaderboard.title", { pack: packName });
+  };
+
+  // Replay playback covers whatever screen it was opened from
+  if (viewingReplay) {
+    return (
+      <div style={styles.appRoot}>
+        <ReplayViewer
+          replay={viewingReplay}
+          webgl={webgl}
+          onWebglError={() => setWebgl(false)}
+          onClose={() => setViewingReplay(null)}
+        />
+      </div>
+    );
+  }
+
+  const openReplay = async (file) => {
+    setReplayError("");
+    try {
+      setViewingReplay(await importReplay(file));
+    } catch (err) {
+      setReplayError(i18n.t("menu.replayInvalid", { message: err.message }));
+    }
+  };
 
   // Menu Screen
   if (gameState === "menu") {
     return (
       <div style={styles.appRoot}>
         <div style={styles.menuContainer}>
-          <h1 style={styles.menuTitle}>Trò chơi đố ảnh hạt 3D</h1>
-          <h2 style={styles.menuSubtitle}>
-            {"Tìm hiểu về các nhân vật lịch sử Việt\u00A0Nam"}
-          </h2>
+          <h1 style={styles.menuTitle}>{i18n.t("app.title")}</h1>
+          <h2 style={styles.menuSubtitle}>{i18n.t("app.subtitle")}</h2>
           <div style={styles.menuDescription}>
+            <p>{i18n.t("menu.intro")}</p>
+            <p>{i18n.t("menu.speed")}</p>
+            <p>{i18n.t("menu.quizBonus", { bonus: QUIZ_BONUS })}</p>
             <p>
-              {
-                "Xoay hình để ghép các mảnh lại với nhau và khám phá các nhân vật lịch sử Việt\u00A0Nam!"
-              }
-            </p>
-            <p>Giải nhanh để được nhiều điểm hơn (tối đa 1000 điểm/màn)</p>
-            <p>
-              <strong>{STAGES.length} màn chơi</strong>
+              <strong>{i18n.t("menu.stageCount", { n: stages.length })}</strong>
             </p>
           </div>
-          <button style={styles.startButton} onClick={startGame}>
-            Bắt đầu chơi
+          <div style={styles.menuOptions}>
+            <label style={styles.label} htmlFor="locale">
+              {i18n.t("menu.language")}
+            </label>
+            <select
+              id="locale"
+              style={styles.select}
+              value={i18n.locale}
+              onChange={(e) => i18n.setLocale(e.target.value)}
+            >
+              {LOCALES.map((locale) => (
+                <option key={locale.id} value={locale.id} lang={locale.id}>
+                  {locale.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div style={styles.menuOptions}>
+            <label style={styles.label} htmlFor="play-mode">
+              {i18n.t("menu.playMode")}
+            </label>
+            <select
+              id="play-mode"
+              style={styles.select}
+              value={playMode}
+              onChange={(e) => {
+                setPlayMode(e.target.value);
+                savePref("playMode", e.target.value);
+              }}
+            >
+              {PLAY_MODES.map((mode) => (
+                <option key={mode} value={mode}>
+                  {i18n.t(`playMode.${mode}`)}
+                </option>
+              ))}
+            </select>
+          </div>
+          {multiplayer ? (
+            <PlayerSetup
+              players={players}
+              onChange={(next) => {
+                setPlayers(next);
+                savePref("players", next);
+              }}
+              controls={playMode === "race" ? RACE_CONTROLS : null}
+              inputStyle={styles.input}
+              buttonStyle={styles.button}
+            />
+          ) : (
+            <div style={styles.menuOptions}>
+              <label style={styles.label} htmlFor="player-name">
+                {i18n.t("menu.playerName")}
+              </label>
+              <input
+                id="player-name"
+                style={styles.input}
+                value={playerName}
+                maxLength={24}
+                onChange={(e) => {
+                  setPlayerName(e.target.value);
+                  savePref("player", e.target.value);
+                }}
+              />
+            </div>
+          )}
+          <div style={styles.menuOptions}>
+            <label style={styles.label} htmlFor="stage-pack">
+              {i18n.t("menu.pack")}
+            </label>
+            <select
+              id="stage-pack"
+              style={styles.select}
+              value={selectedPackId}
+              onChange={(e) => setSelectedPackId(e.target.value)}
+            >
+              {packList.map((entry) => (
+                <option key={entry.id} value={entry.id}>
+                  {localizePack(entry, i18n.locale).name}
+                </option>
+              ))}
+              <option value={BUILTIN_PACK.id}>
+                {i18n.t("menu.builtinPack", {
+                  name: localizePack(BUILTIN_PACK, i18n.locale).name,
+                })}
+              </option>
+              {uploadedPack && (
+                <option value={CUSTOM_PACK_ID}>
+                  {localizePack(uploadedPack, i18n.locale).name} (
+                  {uploadedPack.stages.length})
+                </option>
+              )}
+            </select>
+            <button
+              style={styles.button}
+              aria-expanded={showUpload}
+              onClick={() => setShowUpload((v) => !v)}
+            >
+              {i18n.t("menu.myPhotos")}
+            </button>
+          </div>
+          {showUpload && (
+            <CustomStageEditor
+              entries={customStages}
+              onAdd={addCustomStage}
+              onRemove={removeCustomStage}
+              inputStyle={styles.input}
+              buttonStyle={styles.button}
+            />
+          )}
+          {packErrors.length > 0 && (
+            <div style={styles.errorBox} role="alert">
+              <strong>
+                {i18n.t("menu.packInvalid", { name: localPack.name })}
+              </strong>
+              <ul>
+                {packErrors.map((line, idx) => (
+                  <li key={idx}>{line}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          <div style={styles.menuOptions}>
+            <label style={styles.label} htmlFor="game-mode">
+              {i18n.t("menu.gameMode")}
+            </label>
+            <select
+              id="game-mode"
+              style={styles.select}
+              value={gameMode.id}
+              disabled={playMode === "race"}
+              onChange={(e) => {
+                setGameModeId(e.target.value);
+                savePref("gameMode", e.target.value);
+              }}
+            >
+              {GAME_MODES.map((mode) => (
+                <option key={mode.id} value={mode.id}>
+                  {i18n.t(`gameMode.${mode.id}`)}
+                </option>
+              ))}
+            </select>
+            <span style={styles.stageMeta}>
+              {playMode === "race"
+                ? i18n.t("menu.raceRotateOnly")
+                : i18n.t(`gameMode.${gameMode.id}.description`)}
+            </span>
+          </div>
+          <div style={styles.menuOptions}>
+            <label style={styles.label} htmlFor="run-format">
+              {i18n.t("menu.runFormat")}
+            </label>
+            <select
+              id="run-format"
+              style={styles.select}
+              value={runFormat.id}
+              disabled={multiplayer}
+              onChange={(e) => {
+                setRunFormatId(e.target.value);
+                savePref("runFormat", e.target.value);
+              }}
+            >
+              {RUN_FORMATS.map((format) => (
+                <option key={format.id} value={format.id}>
+                  {i18n.t(`runFormat.${format.id}`)}
+                </option>
+              ))}
+            </select>
+            <span style={styles.stageMeta}>
+              {multiplayer
+                ? i18n.t("menu.runFormatSolo")
+                : i18n.t(`runFormat.${runFormat.id}.description`, {
+                    time: i18n.formatTime(TIME_ATTACK_SECONDS),
+                  })}
+            </span>
+          </div>
+          {!tileMode && (
+            <div style={styles.menuOptions}>
+              <label style={styles.label} htmlFor="rotation-mode">
+                {i18n.t("menu.rotationMode")}
+              </label>
+              <select
+                id="rotation-mode"
+                style={styles.select}
+                value={rotationMode}
+                onChange={(e) => setRotationMode(e.target.value)}
+              >
+                {ROTATION_MODES.map((mode) => (
+                  <option key={mode} value={mode}>
+                    {i18n.t(`rotationMode.${mode}`)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div style={styles.menuOptions}>
+            <label style={styles.label} htmlFor="run-type">
+              {i18n.t("menu.run")}
+            </label>
+            <select
+              id="run-type"
+              style={styles.select}
+              value={runType}
+              onChange={(e) => setRunType(e.target.value)}
+            >
+              <option value="random">{i18n.t("menu.runRandom")}</option>
+              <option value="daily">{i18n.t("menu.runDaily")}</option>
+            </select>
+            {runType === "random" && (
+              <input
+                aria-label={i18n.t("menu.seed")}
+                style={styles.input}
+                value={seedInput}
+                placeholder={i18n.t("menu.seedPlaceholder")}
+                onChange={(e) => setSeedInput(e.target.value)}
+              />
+            )}
+          </div>
+          <DifficultyPicker
+            value={difficulty}
+            custom={customDifficulty}
+            onChange={(id) => {
+              setDifficulty(id);
+              savePref("difficulty", id);
+            }}
+            onCustomChange={(values) => {
+              setCustomDifficulty(values);
+              savePref("customDifficulty", values);
+            }}
+            labelStyle={styles.label}
+            selectStyle={styles.select}
+          />
+          <div style={styles.menuOptions}>
+            <label style={styles.checkboxLabel}>
+              <input
+                type="checkbox"
+                checked={reducedMotion}
+                onChange={(e) => {
+                  setReducedMotionPref(e.target.checked);
+                  savePref("reducedMotion", e.target.checked);
+                }}
+              />
+              {i18n.t("menu.reducedMotion")}
+            </label>
+          </div>
+          <div style={styles.menuOptions}>
+            <label style={styles.checkboxLabel}>
+              <input
+                type="checkbox"
+                checked={muted}
+                onChange={(e) => setMuted(e.target.checked)}
+              />
+              {i18n.t("sound.muted")}
+            </label>
+            <label style={styles.label} htmlFor="volume">
+              {i18n.t("sound.volume")}
+            </label>
+            <input
+              id="volume"
+              type="range"
+              min={0}
+              max={1}
+              step={0.05}
+              value={volume}
+              disabled={muted}
+              onChange={(e) => setVolume(Number(e.target.value))}
+              style={{ flex: 1 }}
+            />
+          </div>
+          <div style={styles.menuOptions}>
+            <label style={styles.checkboxLabel}>
+              <input
+                type="checkbox"
+                checked={hideMeter}
+                onChange={(e) => setHideMeter(e.target.checked)}
+              />
+              {i18n.t("menu.hideMeter")}
+            </label>
+          </div>
+          <button
+            style={styles.startButton}
+            onClick={() => startGame()}
+            disabled={packLoading}
+          >
+            {packLoading ? i18n.t("common.loading") : i18n.t("menu.start")}
           </button>
+          <div style={styles.menuButtons}>
+            <button style={styles.button} onClick={() => setScreen("lan")}>
+              {i18n.t("menu.lan")}
+            </button>
+            <button
+              style={styles.button}
+              onClick={() => setScreen("achievements")}
+            >
+              {i18n.t("menu.achievements")}
+            </button>
+            <button style={styles.button} onClick={() => setScreen("teacher")}>
+              {i18n.t("menu.teacher")}
+            </button>
+            {canInstall && (
+              <button style={styles.button} onClick={install}>
+                {i18n.t("menu.install")}
+              </button>
+            )}
+          </div>
+          <div style={styles.menuOptions}>
+            <label style={styles.label} htmlFor="replay-file">
+              {i18n.t("menu.openReplay")}
+            </label>
+            <input
+              id="replay-file"
+              type="file"
+              accept="application/json,.json"
+              onChange={(e) => {
+                const file = e.target.files[0];
+                e.target.value = "";
+                if (file) openReplay(file);
+              }}
+            />
+          </div>
+          {replayError && (
+            <div style={styles.errorBox} role="alert">
+              {replayError}
+            </div>
+          )}
           <div style={styles.leadersList}>
-            <h3>Các nhân vật lịch sử trong game:</h3>
+            <h3>{i18n.t("menu.figures")}</h3>
             <ul>
-              {STAGES.map((stage, idx) => (
-                <li key={idx}>{stage.name}</li>
+              {stages.map((stage, idx) => (
+                <li key={idx}>
+                  {stage.name}{" "}
+                  <span style={styles.stageMeta}>
+                    {i18n.t("menu.stageMeta", {
+                      difficulty: i18n.t(`stageDifficulty.${stage.difficulty}`),
+                      grid: stage.grid,
+                    })}
+                  </span>
+                </li>
               ))}
             </ul>
           </div>
+          <LeaderboardTable
+            title={leaderboardTitle(localPack.name, gameMode, runFormat)}
+            runs={topRuns(leaderboard, {
+              packId: pack.id,
+              mode: gameMode.id,
+              format: runFormat.id,
+              limit: 5,
+            })}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  // LAN lobby: create / join a room, then wait for the host to start
+  if (gameState === "lan") {
+    return (
+      <div style={styles.appRoot}>
+        <div style={styles.menuContainer}>
+          <LanLobby
+            lan={lan}
+            defaultName={playerName}
+            packName={localPack.name}
+            hostNote={
+              pack.id === CUSTOM_PACK_ID ? i18n.t("menu.lanUploadsNote") : null
+            }
+            packReady={lanPackReady && !packLoading}
+            onCreate={(url, name) => lan.create(url, name, roomConfig())}
+            onBack={() => setScreen("menu")}
+            inputStyle={styles.input}
+            labelStyle={styles.label}
+            buttonStyle={styles.button}
+            startStyle={styles.smallButton}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  if (gameState === "achievements") {
+    return (
+      <div style={styles.appRoot}>
+        <div style={styles.menuContainer}>
+          <AchievementGallery
+            progress={achievements}
+            onBack={() => setScreen("menu")}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  if (gameState === "teacher") {
+    return (
+      <div style={styles.appRoot}>
+        <div style={styles.menuContainer}>
+          <TeacherDashboard
+            session={classSession}
+            pack={localPack}
+            stages={stages}
+            onCreate={(config) => updateClassSession(createSession(config))}
+            onReset={() => updateClassSession(null)}
+            onStart={startStudent}
+            onBack={() => setScreen("menu")}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  // LAN results: the server's scoreboard is the only one that counts
+  if (gameState === "completed" && onLan) {
+    return (
+      <div style={styles.appRoot}>
+        <div style={styles.completionContainer}>
+          <h1 style={styles.completionTitle}>{i18n.t("lan.finished")}</h1>
+          {lan.room && (
+            <LanScoreboard room={lan.room} playerId={lan.player?.id} />
+          )}
+          <button style={styles.startButton} onClick={leaveLan}>
+            {i18n.t("lan.leave")}
+          </button>
         </div>
       </div>
     );
@@ -314,50 +1628,361 @@ export default function App() {
 
   // Completion Screen
   if (gameState === "completed") {
-    const totalScore = stageScores.reduce(
-      (sum, score) => sum + score.points,
-      0
-    );
+    const totalScore = runTotal(stageScores);
+    const newStageBests = lastRun?.newStageBests || [];
     const totalTime = stageScores.reduce((sum, score) => sum + score.time, 0);
+    // multiplayer: one total per player and whoever scored most
+    const playerTotals = playerNames.map((_, idx) =>
+      runTotal(stageScores.filter((score) => score.player === idx))
+    );
+    const bestTotal = Math.max(...playerTotals);
+    const unverified = stageScores.some((score) => checkScore(score)?.length);
+    const stagesSolved = stageScores.filter((score) => !score.gaveUp).length;
+    const bestCombo = Math.max(0, ...stageScores.map((s) => s.combo || 0));
+    const winners = playerNames.filter(
+      (_, idx) => playerTotals[idx] === bestTotal
+    );
 
     return (
       <div style={styles.appRoot}>
+        {toastStack}
         <div style={styles.completionContainer}>
-          <h1 style={styles.completionTitle}>🎉 Hoàn thành! 🎉</h1>
-          <div style={styles.totalScore}>
+          <h1 style={styles.completionTitle}>{i18n.t("results.title")}</h1>
+          {lastRun?.personalBest && (
+            <div style={styles.personalBest}>
+              {i18n.t("results.personalBest")}
+            </div>
+          )}
+          <div style={styles.totalScore} role="status">
+            {multiplayer ? (
+              <div>
+                {winners.length > 1 ? (
+                  <>
+                    {i18n.t("results.tie")}{" "}
+                    <strong>{winners.join(", ")}</strong>
+                  </>
+                ) : (
+                  <strong>
+                    {i18n.t("results.winner", { name: winners[0] })}
+                  </strong>
+                )}{" "}
+                (
+                {i18n.t("common.points", {
+                  points: i18n.formatNumber(bestTotal),
+                })}
+                )
+              </div>
+            ) : (
+              <div>
+                {i18n.t("results.total")}{" "}
+                <strong>{i18n.formatNumber(totalScore)}</strong>
+              </div>
+            )}
             <div>
-              Tổng điểm: <strong>{totalScore}</strong>
+              {i18n.t("results.difficulty")}{" "}
+              <strong>
+                {i18n.t(`difficulty.${getPreset(game.run.difficulty).id}`)}
+              </strong>{" "}
+              (×
+              {i18n.formatNumber(settings.multiplier, {
+                minimumFractionDigits: 2,
+                maximumFractionDigits: 2,
+              })}
+              )
             </div>
             <div>
-              Tổng thời gian: <strong>{totalTime.toFixed(1)}s</strong>
+              {i18n.t("results.totalTime")}{" "}
+              <strong>{i18n.formatTime(totalTime)}</strong>
             </div>
+            {playedFormat.open && (
+              <div>
+                {i18n.t(`runFormat.${playedFormat.id}`)}:{" "}
+                <strong>
+                  {i18n.t("results.stagesSolved", { n: stagesSolved })}
+                </strong>
+                {playedFormat.combo &&
+                  bestCombo > 1 &&
+                  ` · ${i18n.t("results.bestCombo", { n: bestCombo })}`}
+              </div>
+            )}
           </div>
           <div style={styles.scoreTable}>
-            <h3>Chi tiết từng màn:</h3>
-            <table style={styles.table}>
-              <thead>
-                <tr>
-                  <th style={styles.th}>Màn</th>
-                  <th style={styles.th}>Nhân vật</th>
-                  <th style={styles.th}>Thời gian</th>
-                  <th style={styles.th}>Điểm</th>
-                </tr>
-              </thead>
-              <tbody>
-                {stageScores.map((score, idx) => (
-                  <tr key={idx}>
-                    <td style={styles.td}>{idx + 1}</td>
-                    <td style={styles.td}>{score.stage}</td>
-                    <td style={styles.td}>{score.time.toFixed(1)}s</td>
-                    <td style={styles.td}>{score.points}</td>
+            <h3>{i18n.t("results.details")}</h3>
+            {multiplayer ? (
+              <table style={styles.table}>
+                <thead>
+                  <tr>
+                    <th style={styles.th}>{i18n.t("table.stage")}</th>
+                    <th style={styles.th}>{i18n.t("table.figure")}</th>
+                    {playerNames.map((name, idx) => (
+                      <th key={idx} style={styles.th}>
+                        {name}
+                      </th>
+                    ))}
                   </tr>
-                ))}
-              </tbody>
-            </table>
+                </thead>
+                <tbody>
+                  {stages.map((stage, idx) => (
+                    <tr key={stage.id}>
+                      <td style={styles.td}>{idx + 1}</td>
+                      <td style={styles.td}>{stage.name}</td>
+                      {playerNames.map((name, player) => {
+                        const score = stageScores.find(
+                          (s) => s.player === player && s.stageId === stage.id
+                        );
+                        return (
+                          <td key={player} style={styles.td}>
+                            {scoreCell(score, i18n)}
+                            {integrityMark(score, i18n)}
+                            {score?.replay && (
+                              <button
+                                style={styles.replayButton}
+                                aria-label={i18n.t("results.watchPlayer", {
+                                  stage: stage.name,
+                                  player: name,
+                                })}
+                                onClick={() => setViewingReplay(score.replay)}
+                              >
+                                ▶
+                              </button>
+                            )}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                  <tr>
+                    <td style={styles.td} colSpan={2}>
+                      <strong>{i18n.t("table.total")}</strong>
+                    </td>
+                    {playerTotals.map((total, idx) => (
+                      <td
+                        key={idx}
+                        style={{
+                          ...styles.td,
+                          ...(total === bestTotal ? styles.winnerCell : null),
+                        }}
+                      >
+                        <strong>{i18n.formatNumber(total)}</strong>
+                      </td>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+            ) : (
+              <table style={styles.table}>
+                <thead>
+                  <tr>
+                    <th style={styles.th}>{i18n.t("table.stage")}</th>
+                    <th style={styles.th}>{i18n.t("table.figure")}</th>
+                    <th style={styles.th}>{i18n.t("table.time")}</th>
+                    <th style={styles.th}>{i18n.t("table.hints")}</th>
+                    <th style={styles.th}>{i18n.t("table.points")}</th>
+                    <th style={styles.th}>{i18n.t("table.quiz")}</th>
+                    <th style={styles.th}>{i18n.t("table.replay")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stageScores.map((score, idx) => (
+                    <tr key={idx}>
+                      <td style={styles.td}>{idx + 1}</td>
+                      <td style={styles.td}>{score.stage}</td>
+                      <td style={styles.td}>
+                        {i18n.formatTime(score.time)}
+                        {score.moves != null &&
+                          ` · ${i18n.t("results.moves", { n: score.moves })}`}
+                        {score.gaveUp && ` · ${i18n.t("results.timeUp")}`}
+                        {score.combo > 1 &&
+                          ` · ${i18n.t("game.combo", { n: score.combo })}`}
+                        {newStageBests.includes(score.stageId) && (
+                          <span style={styles.newBest}>
+                            {" "}
+                            {i18n.t("results.newBest")}
+                          </span>
+                        )}
+                      </td>
+                      <td style={styles.td}>
+                        {score.hints.length}
+                        {score.hintPenalty > 0 && ` (−${score.hintPenalty})`}
+                      </td>
+                      <td style={styles.td}>
+                        {i18n.formatNumber(score.points)}
+                        {integrityMark(score, i18n)}
+                      </td>
+                      <td style={styles.td}>
+                        {score.quizChoice == null
+                          ? "—"
+                          : score.quizBonus > 0
+                          ? `✓ +${score.quizBonus}`
+                          : "✗"}
+                      </td>
+                      <td style={styles.td}>
+                        {score.replay && (
+                          <button
+                            style={styles.replayButton}
+                            aria-label={i18n.t("results.watch", {
+                              stage: score.stage,
+                            })}
+                            onClick={() => setViewingReplay(score.replay)}
+                          >
+                            {i18n.t("results.watchButton")}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {unverified && (
+              <p style={styles.stageMeta}>{i18n.t("results.unverifiedNote")}</p>
+            )}
           </div>
-          <button style={styles.startButton} onClick={startGame}>
-            Chơi lại
-          </button>
+          {classRun ? (
+            <>
+              <p style={styles.stageMeta}>
+                {i18n.t("teacher.saved", { name: game.run.players[0] })}
+              </p>
+              <button
+                style={styles.startButton}
+                onClick={() => {
+                  dispatch({ type: "quit" });
+                  setScreen("teacher");
+                }}
+              >
+                {i18n.t("teacher.nextStudent")}
+              </button>
+            </>
+          ) : (
+            <>
+              <div style={styles.seedBox}>
+                {isDailySeed(runSeed)
+                  ? i18n.t("results.daily")
+                  : i18n.t("results.seed")}
+                : <code>{runSeed}</code>{" "}
+                <button
+                  style={styles.button}
+                  onClick={() =>
+                    navigator.clipboard?.writeText(
+                      runUrl(linkParams(game.run, runSeed))
+                    )
+                  }
+                >
+                  {i18n.t("results.copyLink")}
+                </button>{" "}
+                <button
+                  style={styles.button}
+                  onClick={() => startGame(runSeed)}
+                >
+                  {i18n.t("results.replaySeed")}
+                </button>
+              </div>
+              <button style={styles.startButton} onClick={() => startGame()}>
+                {i18n.t("results.playAgain")}
+              </button>
+              <LeaderboardTable
+                title={leaderboardTitle(
+                  game.run.packName,
+                  playedMode,
+                  playedFormat
+                )}
+                runs={topRuns(leaderboard, {
+                  packId: game.run.packId,
+                  mode: playedMode.id,
+                  format: playedFormat.id,
+                  limit: 10,
+                })}
+                highlight={lastRun?.entry}
+              />
+            </>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  // Split-screen race: one board per player, one shared clock
+  if (racing) {
+    return (
+      <div style={styles.appRoot}>
+        <div style={styles.gameHeader}>
+          <h1 style={styles.title}>{i18n.t("app.title")}</h1>
+          <div style={styles.gameInfo}>
+            <div style={styles.stageInfo}>
+              {stageLabel} <strong>{currentStage?.name || "—"}</strong>
+            </div>
+            <div style={styles.scoreInfo}>
+              {i18n.t("game.time")}{" "}
+              <strong>{i18n.formatTime(currentElapsedTime)}</strong>{" "}
+              <button
+                style={styles.button}
+                onClick={paused ? resumeGame : pauseGame}
+                disabled={stageSolved}
+              >
+                {paused ? i18n.t("game.resume") : i18n.t("game.pause")}
+              </button>{" "}
+              {muteButton}
+            </div>
+          </div>
+        </div>
+
+        <div style={styles.raceGrid}>
+          {playerNames.map((name, idx) => (
+            <RaceBoard
+              key={`${currentStageIndex}-${idx}`}
+              game={game}
+              player={idx}
+              name={name}
+              controls={RACE_CONTROLS[idx]}
+              imgUrl={imgUrl}
+              imgW={imgW}
+              imgH={imgH}
+              tiles={tiles}
+              grid={grid}
+              paused={paused}
+              result={raceResults[idx]}
+              place={raceResults[idx] && racePlace(raceResults[idx])}
+              hideMeter={hideMeter}
+              webgl={webgl}
+              onWebglError={() => setWebgl(false)}
+              wobbleAmp={wobbleAmp}
+              reducedMotion={reducedMotion}
+              onSolved={() => recordRaceResult(idx, false)}
+              onGiveUp={() => recordRaceResult(idx, true)}
+            />
+          ))}
+          {paused && (
+            <div style={styles.pauseOverlay}>
+              <div style={styles.pauseTitle}>{i18n.t("game.paused")}</div>
+              <button style={styles.smallButton} onClick={resumeGame}>
+                {i18n.t("game.continue")}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {stageSolved && currentStage && (
+          <StageReveal
+            stage={{ ...currentStage, quiz: null }}
+            choice={null}
+            bonus={QUIZ_BONUS}
+            onAnswer={answerQuiz}
+          >
+            {currentStageIndex < stages.length - 1 ? (
+              <button style={styles.smallButton} onClick={goToNextStage}>
+                {i18n.t("game.nextStage")}
+              </button>
+            ) : (
+              <button style={styles.smallButton} onClick={finishRun}>
+                {i18n.t("game.results")}
+              </button>
+            )}
+          </StageReveal>
+        )}
+
+        <footer style={styles.footer}>{i18n.t("race.help")}</footer>
+        <div aria-live="polite" role="status" style={styles.srOnly}>
+          {announcement}
         </div>
       </div>
     );
@@ -366,142 +1991,420 @@ export default function App() {
   // Game Screen
   return (
     <div style={styles.appRoot}>
+      {toastStack}
       <div style={styles.gameHeader}>
-        <h1 style={styles.title}>Trò chơi đố ảnh hạt 3D</h1>
+        <h1 style={styles.title}>{i18n.t("app.title")}</h1>
         <div style={styles.gameInfo}>
           <div style={styles.stageInfo}>
-            Màn {currentStageIndex + 1}/{STAGES.length}:{" "}
-            <strong>{currentStage?.name || "—"}</strong>
+            {stageLabel} <strong>{currentStage?.name || "—"}</strong>
+            {hotSeat && (
+              <>
+                {" "}
+                | {i18n.t("game.turn")} <strong>{turnName}</strong>
+              </>
+            )}
           </div>
           <div style={styles.scoreInfo}>
-            Thời gian: <strong>{currentElapsedTime.toFixed(1)}s</strong> | Điểm
-            hiện tại: <strong>{calculatePoints(currentElapsedTime)}</strong>
+            {i18n.t("game.time")}{" "}
+            <strong>{i18n.formatTime(currentElapsedTime)}</strong> |{" "}
+            {secondsLeft != null && (
+              <>
+                {i18n.t("game.timeLeft")}{" "}
+                <strong>{i18n.formatTime(Math.ceil(secondsLeft))}</strong> |{" "}
+              </>
+            )}
+            {i18n.t("game.currentPoints")}{" "}
+            <strong>
+              {i18n.formatNumber(currentPoints(game, performance.now()))}
+            </strong>{" "}
+            {currentCombo(game) > 1 && (
+              <>
+                |{" "}
+                <strong style={styles.combo}>
+                  {i18n.t("game.combo", { n: currentCombo(game) })}
+                </strong>{" "}
+              </>
+            )}
+            {playedFormat.open && !game.over && (
+              <button style={styles.button} onClick={finishRun}>
+                {i18n.t("game.endRun")}
+              </button>
+            )}{" "}
+            {!onLan && (
+              <button
+                style={styles.button}
+                onClick={paused ? resumeGame : pauseGame}
+                disabled={stageSolved}
+              >
+                {paused ? i18n.t("game.resume") : i18n.t("game.pause")}
+              </button>
+            )}{" "}
+            {muteButton}
           </div>
         </div>
       </div>
 
       <div style={styles.controls}>
-        <div style={styles.row}>
-          <label style={styles.label}>Góc xoay</label>
-          <input
-            type="range"
-            min="0"
-            max={Math.PI * 2}
-            step="0.001"
-            value={wrapAngle(angle) + Math.PI}
-            onChange={(e) => {
-              if (stageSolved) return; // prevent slider during solved/lock
-              setAngle(parseFloat(e.target.value) - Math.PI);
-            }}
-            disabled={stageSolved}
-            style={{ flex: 1 }}
-          />
-          <div style={{ width: 80, textAlign: "right" }}>
-            {wrapAngle(angle).toFixed(2)} rad
+        {tileMode && (
+          <div style={styles.row}>
+            <label style={styles.label}>{i18n.t("game.moves")}</label>
+            <div style={{ flex: 1 }}>
+              <strong>{tileMoves}</strong>
+              <span style={styles.stageMeta}>
+                {" "}
+                {i18n.t("game.movesPar", { par: gameMode.par(tileGrid) })}
+              </span>
+            </div>
           </div>
-        </div>
-        <div style={styles.row}>
-          <label style={styles.label}>Độ chính xác</label>
-          <div style={styles.meterBox}>
-            <div
-              style={{ ...styles.meterFill, width: `${(t * 100).toFixed(1)}%` }}
+        )}
+        {!tileMode && (
+          <div style={styles.row}>
+            <label style={styles.label}>{i18n.t("game.angle")}</label>
+            <input
+              type="range"
+              min="0"
+              max={Math.PI * 2}
+              step="0.001"
+              value={wrapAngle(angle) + Math.PI}
+              onChange={(e) =>
+                rotateBy(
+                  parseFloat(e.target.value) - Math.PI - angle,
+                  0,
+                  "slider"
+                )
+              }
+              disabled={locked}
+              style={{ flex: 1 }}
             />
+            <div style={{ width: 80, textAlign: "right" }}>
+              {wrapAngle(angle).toFixed(2)} rad
+            </div>
           </div>
-          <div style={{ width: 80, textAlign: "right" }}>
-            {(t * 100).toFixed(1)}%
+        )}
+        {dualAxis && !tileMode && (
+          <div style={styles.row}>
+            <label style={styles.label}>{i18n.t("game.pitch")}</label>
+            <input
+              type="range"
+              min={-MAX_PITCH}
+              max={MAX_PITCH}
+              step="0.001"
+              value={pitch}
+              onChange={(e) =>
+                rotateBy(0, parseFloat(e.target.value) - pitch, "slider")
+              }
+              disabled={locked}
+              style={{ flex: 1 }}
+            />
+            <div style={{ width: 80, textAlign: "right" }}>
+              {pitch.toFixed(2)} rad
+            </div>
           </div>
-        </div>
+        )}
+        {!hideMeter && !tileMode && (
+          <div style={styles.row}>
+            <label style={styles.label}>{i18n.t("game.accuracy")}</label>
+            <div style={styles.meterBox}>
+              <div
+                style={{
+                  ...styles.meterFill,
+                  width: `${(t * 100).toFixed(1)}%`,
+                }}
+              />
+            </div>
+            <div style={{ width: 80, textAlign: "right" }}>
+              {i18n.formatNumber(t * 100, {
+                minimumFractionDigits: 1,
+                maximumFractionDigits: 1,
+              })}
+              %
+            </div>
+          </div>
+        )}
+        {/* the hints point at the secret angle: rotate puzzle only */}
+        {!onLan && !tileMode && (
+          <div style={styles.row}>
+            <label style={styles.label}>{i18n.t("game.hints")}</label>
+            <div style={styles.hintButtons}>
+              {HINTS.map((hint) => (
+                <button
+                  key={hint.id}
+                  style={styles.button}
+                  title={i18n.t(`hint.${hint.id}.description`)}
+                  disabled={locked}
+                  onClick={() => showHint(hint.id)}
+                >
+                  {i18n.t(`hint.${hint.id}`)} (−{hint.penalty})
+                </button>
+              ))}
+            </div>
+            <div style={{ width: 80, textAlign: "right" }}>
+              {i18n.t("game.hintCount", { n: hintsUsed.length })}
+            </div>
+          </div>
+        )}
       </div>
 
-      <div style={styles.stageWrap}>
+      <div style={styles.stageWrap} ref={setStageEl}>
         <div
           ref={containerRef}
           style={{
             position: "relative",
             width: outerW,
             height: outerH,
-            background: solved
-              ? "#111"
-              : "radial-gradient(circle at 50% 50%, #1b1b1b, #0d0d0d)",
+            background:
+              solved || tileMode
+                ? "#111"
+                : "radial-gradient(circle at 50% 50%, #1b1b1b, #0d0d0d)",
             borderRadius: 16,
             overflow: "hidden",
-            cursor: "grab",
+            cursor: tileMode ? "default" : "grab",
             userSelect: "none",
+            touchAction: "none",
           }}
-          title="Kéo để xoay; các mảnh sẽ ghép lại khi bạn tìm được góc đúng"
+          title={
+            tileMode
+              ? i18n.t(`gameMode.${gameMode.id}.description`)
+              : i18n.t("game.boardTitle")
+          }
+          tabIndex={0}
+          role="application"
+          aria-roledescription={i18n.t("game.boardRole")}
+          aria-label={i18n.t("game.boardLabel", {
+            name: currentStage?.name || "",
+          })}
+          aria-describedby="puzzle-help"
         >
           <div
             style={{
-              position: "absolute",
-              left: (outerW - drawW) / 2,
-              top: (outerH - drawH) / 2,
-              width: drawW,
-              height: drawH,
-              filter: solved ? "none" : "contrast(1.05) saturate(1.08)",
+              ...styles.zoomLayer,
+              transform: `scale(${zoom.scale})`,
+              transformOrigin: `${zoom.x}% ${zoom.y}%`,
             }}
           >
-            {pieces}
-            {stageSolved && (
-              <div style={styles.solvedBanner}>
-                <div style={{ marginBottom: 8, fontWeight: 700 }}>
-                  Hoàn thành!
-                </div>
-                {currentStageIndex < STAGES.length - 1 ? (
-                  <button style={styles.smallButton} onClick={goToNextStage}>
-                    Sang màn tiếp theo
-                  </button>
-                ) : (
-                  <button
-                    style={styles.smallButton}
-                    onClick={() => setGameState("completed")}
-                  >
-                    Xem kết quả
-                  </button>
-                )}
-              </div>
+            {webgl && !tileMode && (
+              <WebGLBoundary onError={() => setWebgl(false)}>
+                <Suspense fallback={null}>
+                  <ParticleCanvas
+                    width={outerW}
+                    height={outerH}
+                    imgUrl={imgUrl}
+                    tiles={tiles}
+                    grid={grid}
+                    angle={angle}
+                    pitch={pitch}
+                    wobbleAmp={wobbleAmp}
+                    t={t}
+                    drawW={drawW}
+                    drawH={drawH}
+                  />
+                </Suspense>
+              </WebGLBoundary>
             )}
+            <div
+              style={{
+                position: "absolute",
+                left: (outerW - drawW) / 2,
+                top: (outerH - drawH) / 2,
+                width: drawW,
+                height: drawH,
+                filter: solved ? "none" : "contrast(1.05) saturate(1.08)",
+              }}
+            >
+              {tileMode && (
+                <TileBoard
+                  key={`${runSeed}/${currentStageIndex}/${turn}`}
+                  mode={gameMode}
+                  grid={tileGrid}
+                  seed={runSeed}
+                  stageIndex={currentStageIndex}
+                  imgUrl={imgUrl}
+                  drawW={drawW}
+                  drawH={drawH}
+                  locked={locked}
+                  reducedMotion={reducedMotion}
+                  onMove={(moves) => dispatch({ type: "moves", moves })}
+                  onSolved={recordTileSolve}
+                />
+              )}
+              {!webgl && !tileMode && (
+                <DomTiles
+                  tiles={tiles}
+                  grid={grid}
+                  imgUrl={imgUrl}
+                  drawW={drawW}
+                  drawH={drawH}
+                  angle={angle}
+                  pitch={pitch}
+                  t={t}
+                  wobbleAmp={wobbleAmp}
+                  solved={solved}
+                />
+              )}
+              {activeHint && (
+                <HintOverlay
+                  key={activeHint.at}
+                  hint={activeHint.id}
+                  t={t}
+                  dYaw={wrapAngle(secretAngle - angle)}
+                  dPitch={secretPitch - pitch}
+                  imgUrl={imgUrl}
+                  drawW={drawW}
+                  drawH={drawH}
+                  reducedMotion={reducedMotion}
+                />
+              )}
+              {imgError && (
+                <div style={styles.imageError} role="alert">
+                  <div>{imgError}</div>
+                  <button style={styles.smallButton} onClick={retryImage}>
+                    {i18n.t("image.retry")}
+                  </button>
+                </div>
+              )}
+              {stageSolved && (
+                <div style={styles.solvedBanner}>
+                  <div style={{ fontWeight: 700 }}>
+                    {timedOut ? i18n.t("game.timeUp") : i18n.t("game.solved")}
+                  </div>
+                </div>
+              )}
+            </div>
           </div>
+          {paused && (
+            // opaque cover: the image stays hidden while the clock is stopped
+            <div style={styles.pauseOverlay}>
+              <div style={styles.pauseTitle}>
+                {handoff
+                  ? i18n.t("game.turnOf", { name: turnName })
+                  : i18n.t("game.paused")}
+              </div>
+              <button style={styles.smallButton} onClick={resumeGame}>
+                {handoff ? i18n.t("game.begin") : i18n.t("game.continue")}
+              </button>
+            </div>
+          )}
         </div>
       </div>
 
+      {stageSolved && currentStage && (
+        <StageReveal
+          stage={quizzes ? currentStage : { ...currentStage, quiz: null }}
+          choice={stageScores[stageScores.length - 1]?.quizChoice}
+          bonus={QUIZ_BONUS}
+          onAnswer={answerQuiz}
+        >
+          {onLan ? (
+            lan.player?.host ? (
+              <button style={styles.smallButton} onClick={lan.advance}>
+                {currentStageIndex < stages.length - 1
+                  ? i18n.t("lan.roomNext")
+                  : i18n.t("lan.finishRace")}
+              </button>
+            ) : (
+              <span>{i18n.t("lan.waitHost")}</span>
+            )
+          ) : hotSeat && turn < players.length - 1 ? (
+            <button style={styles.smallButton} onClick={goToNextStage}>
+              {i18n.t("game.turnOf", { name: playerNames[turn + 1] })}
+            </button>
+          ) : !isLastStep(game) ? (
+            <button style={styles.smallButton} onClick={goToNextStage}>
+              {i18n.t("game.nextStage")}
+            </button>
+          ) : (
+            <button style={styles.smallButton} onClick={finishRun}>
+              {i18n.t("game.results")}
+            </button>
+          )}
+        </StageReveal>
+      )}
+
+      {onLan && lan.room && (
+        <>
+          {lan.status === "closed" && (
+            <div style={styles.errorBox} role="alert">
+              {i18n.t("common.disconnected")}{" "}
+              <button style={styles.button} onClick={leaveLan}>
+                {i18n.t("common.backToMenu")}
+              </button>
+            </div>
+          )}
+          <LanScoreboard
+            room={lan.room}
+            playerId={lan.player?.id}
+            onAdvance={lan.player?.host ? lan.advance : null}
+          />
+        </>
+      )}
+
       <footer style={styles.footer}>
-        <span>
-          Mẹo: Kéo hoặc dùng thanh trượt để thay đổi góc xoay. Khi thanh "Độ
-          chính xác" đầy, bạn đã giải xong!
+        <span id="puzzle-help">
+          {tileMode ? (
+            <>
+              {i18n.t(`gameMode.${gameMode.id}.description`)}.{" "}
+              {gameMode.id === "sliding"
+                ? i18n.t("game.helpSliding")
+                : i18n.t("game.helpSwap")}{" "}
+              {i18n.t("game.helpKeys")}
+            </>
+          ) : (
+            i18n.t("game.helpRotate", {
+              pitch: dualAxis ? i18n.t("game.helpPitch") : "",
+            })
+          )}
         </span>
       </footer>
+      <div aria-live="polite" role="status" style={styles.srOnly}>
+        {announcement}
+      </div>
     </div>
   );
 }
 
 // ------- util & styles -------
-function fitContain(srcW, srcH, maxW, maxH) {
-  if (!srcW || !srcH) return { drawW: maxW, drawH: maxH };
-  const r = Math.min(maxW / srcW, maxH / srcH);
-  return { drawW: Math.round(srcW * r), drawH: Math.round(srcH * r) };
-}
-function lerp(a, b, t) {
-  return a + (b - a) * t;
+// Run total: time points plus any quiz bonus
+function runTotal(scores) {
+  return scores.reduce(
+    (sum, score) => sum + score.points + (score.quizBonus || 0),
+    0
+  );
 }
-function getX(e) {
-  return e.touches ? e.touches[0].clientX : e.clientX;
+// One player's stage in the multiplayer results table
+function scoreCell(score, i18n) {
+  if (!score) return "—";
+  if (score.gaveUp) return i18n.t("results.gaveUp");
+  const quiz =
+    score.quizChoice == null ? "" : score.quizBonus > 0 ? " ✓" : " ✗";
+  return `${i18n.formatNumber(
+    score.points + (score.quizBonus || 0)
+  )} (${i18n.formatTime(score.time)})${quiz}`;
 }
-function wrapAngle(a) {
-  // wrap to [-PI, PI]
-  let x =
-    ((((a + Math.PI) % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI)) - Math.PI;
-  return x;
+// Mark on a score that fails the plausibility checks (integrity.js); the
+// reasons are in its tooltip
+function integrityMark(score, i18n) {
+  const flags = score && checkScore(score);
+  if (!flags?.length) return null;
+  const reasons = flags.map((flag) => i18n.t(`integrity.${flag}`));
+  return (
+    <span style={styles.unverified} title={reasons.join("; ")}>
+      {" "}
+      ⚠ {i18n.t("results.unverified")}
+    </span>
+  );
 }
-// Tiny deterministic RNG so the scramble stays the same until refresh
-function mulberry32(a) {
-  return function () {
-    var t = (a += 0x6d2b79f5);
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
+function hasWebGL() {
+  // jsdom and very old browsers have no WebGL at all
+  if (typeof window === "undefined" || !window.WebGLRenderingContext) {
+    return false;
+  }
+  try {
+    const canvas = document.createElement("canvas");
+    return !!(canvas.getContext("webgl2") || canvas.getContext("webgl"));
+  } catch {
+    return false;
+  }
 }
-
 const styles = {
   appRoot: {
     minHeight: "100vh",
@@ -544,6 +2447,8 @@ const styles = {
     backdropFilter: "blur(4px)",
   },
   row: { display: "flex", alignItems: "center", gap: 12 },
+  hintButtons: { flex: 1, display: "flex", gap: 8, flexWrap: "wrap" },
+  checkboxLabel: { display: "flex", alignItems: "center", gap: 8 },
   label: { width: 100, opacity: 0.9 },
   input: {
     flex: 1,
@@ -589,6 +2494,16 @@ const styles = {
     background: "linear-gradient(90deg,#78e0ff,#86ffa7)",
   },
   stageWrap: { display: "flex", justifyContent: "center", margin: "16px 0" },
+  zoomLayer: { position: "absolute", inset: 0 },
+  raceGrid: {
+    position: "relative",
+    display: "flex",
+    flexWrap: "wrap",
+    justifyContent: "center",
+    gap: 16,
+    maxWidth: 976,
+    margin: "16px auto",
+  },
   solvedBanner: {
     position: "absolute",
     right: 10,
@@ -600,7 +2515,31 @@ const styles = {
     fontWeight: 600,
     letterSpacing: 0.3,
   },
+  pauseOverlay: {
+    position: "absolute",
+    inset: 0,
+    zIndex: 2,
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 16,
+    background: "#0d0d0d",
+  },
+  pauseTitle: { fontSize: 28, fontWeight: 700 },
   footer: { opacity: 0.8, textAlign: "center", marginTop: 8 },
+  // visually hidden but read by screen readers
+  srOnly: {
+    position: "absolute",
+    width: 1,
+    height: 1,
+    margin: -1,
+    padding: 0,
+    overflow: "hidden",
+    clip: "rect(0 0 0 0)",
+    whiteSpace: "nowrap",
+    border: 0,
+  },
   // Menu styles
   menuContainer: {
     maxWidth: 600,
@@ -631,6 +2570,15 @@ const styles = {
     marginBottom: 32,
     opacity: 0.85,
   },
+  menuButtons: { display: "flex", justifyContent: "center", gap: 12 },
+  menuOptions: {
+    display: "flex",
+    alignItems: "center",
+    gap: 12,
+    maxWidth: 420,
+    margin: "0 auto 24px auto",
+    textAlign: "left",
+  },
   startButton: {
     padding: "16px 40px",
     fontSize: 18,
@@ -643,6 +2591,31 @@ const styles = {
     boxShadow: "0 4px 16px rgba(74,158,255,0.3)",
     transition: "transform 0.2s, box-shadow 0.2s",
   },
+  errorBox: {
+    maxWidth: 520,
+    margin: "0 auto 24px auto",
+    padding: "8px 12px",
+    borderRadius: 8,
+    border: "1px solid rgba(255,120,120,0.5)",
+    background: "rgba(255,80,80,0.12)",
+    textAlign: "left",
+    fontSize: 13,
+  },
+  imageError: {
+    position: "absolute",
+    left: "50%",
+    top: "50%",
+    transform: "translate(-50%,-50%)",
+    padding: "10px 14px",
+    borderRadius: 8,
+    background: "rgba(120,20,20,0.85)",
+    border: "1px solid rgba(255,120,120,0.5)",
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "center",
+    gap: 8,
+  },
+  stageMeta: { opacity: 0.7, fontSize: 12 },
   leadersList: {
     marginTop: 40,
     textAlign: "left",
@@ -675,6 +2648,27 @@ const styles = {
     flexWrap: "wrap",
     gap: 16,
   },
+  combo: { color: "#ffd700" },
+  personalBest: {
+    fontSize: 18,
+    fontWeight: 700,
+    color: "#ffd700",
+    marginBottom: 16,
+  },
+  newBest: { color: "#ffd700", fontSize: 12, fontWeight: 600 },
+  unverified: { color: "#ff9f43", fontSize: 12, fontWeight: 600 },
+  winnerCell: { color: "#ffd700" },
+  replayButton: {
+    marginLeft: 6,
+    padding: "2px 8px",
+    borderRadius: 6,
+    border: "1px solid #445566",
+    background: "#1a2633",
+    color: "#e8eef8",
+    cursor: "pointer",
+    fontSize: 12,
+  },
+  seedBox: { marginBottom: 24, fontSize: 14, opacity: 0.9 },
   scoreTable: {
     marginBottom: 32,
   },
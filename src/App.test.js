@@ -1,6 +1,28 @@
-import { render, screen } from "@testing-library/react";
+import {
+  fireEvent,
+  render,
+  screen,
+  waitFor,
+  within,
+} from "@testing-library/react";
 import App from "./App";
 
+// three.js can't render in jsdom: the WebGL renderer fails as it would
+// without a usable context
+jest.mock("./ParticleCanvas", () => ({
+  __esModule: true,
+  default: () => {
+    throw new Error("WebGL context could not be created");
+  },
+}));
+
+// menu choices are saved as prefs and a started run puts its link in the
+// address bar; start every test from the defaults
+afterEach(() => {
+  window.localStorage.clear();
+  window.history.replaceState(null, "", "/");
+});
+
 test("renders app title on menu screen", () => {
   render(<App />);
   const heading = screen.getByText(/Trò chơi đố ảnh hạt 3D/i);
@@ -18,3 +40,293 @@ test("displays list of Vietnamese leaders", () => {
   const leaderName = screen.getByText(/Hồ Chí Minh/i);
   expect(leaderName).toBeInTheDocument();
 });
+
+test("offers a two-axis rotation mode on the menu", () => {
+  render(<App />);
+  const select = screen.getByLabelText(/Chế độ xoay/i);
+  expect(select).toHaveValue("single");
+  expect(screen.getByRole("option", { name: /Hai trục/i })).toBeInTheDocument();
+});
+
+test("arrow keys rotate the puzzle, Shift for fine steps", () => {
+  render(<App />);
+  fireEvent.click(screen.getByText(/Bắt đầu chơi/i));
+  const board = screen.getByRole("application");
+  expect(board).toHaveFocus();
+
+  const slider = screen.getAllByRole("slider")[0];
+  const before = parseFloat(slider.value);
+  fireEvent.keyDown(board, { key: "ArrowRight" });
+  expect(parseFloat(slider.value)).toBeCloseTo(before + 0.05, 3);
+  fireEvent.keyDown(board, { key: "ArrowLeft", shiftKey: true });
+  expect(parseFloat(slider.value)).toBeCloseTo(before + 0.045, 3);
+});
+
+test("Escape pauses the stage and hides the board", () => {
+  render(<App />);
+  fireEvent.click(screen.getByText(/Bắt đầu chơi/i));
+  const board = screen.getByRole("application");
+  fireEvent.keyDown(board, { key: "Escape" });
+  expect(screen.getByText("Tạm dừng")).toBeInTheDocument();
+  expect(screen.getAllByRole("slider")[0]).toBeDisabled();
+  fireEvent.keyDown(board, { key: "Escape" });
+  expect(screen.queryByText("Tạm dừng")).not.toBeInTheDocument();
+});
+
+test("hot-seat hides the board until the next player takes the seat", () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText(/Chế độ chơi/i), {
+    target: { value: "hotseat" },
+  });
+  fireEvent.change(screen.getByLabelText("Người chơi 1"), {
+    target: { value: "An" },
+  });
+  fireEvent.click(screen.getByText(/Bắt đầu chơi/i));
+  expect(screen.getByText("Đến lượt An")).toBeInTheDocument();
+  fireEvent.click(screen.getByText("Bắt đầu"));
+  expect(screen.queryByText("Đến lượt An")).not.toBeInTheDocument();
+  expect(screen.getAllByRole("slider")[0]).toBeEnabled();
+});
+
+test("split-screen race gives every player a board", () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText(/Chế độ chơi/i), {
+    target: { value: "race" },
+  });
+  fireEvent.click(screen.getByText(/Thêm người chơi/i));
+  fireEvent.click(screen.getByText(/Bắt đầu chơi/i));
+  expect(screen.getAllByRole("application")).toHaveLength(3);
+
+  // the stage ends once every player has solved it or given up
+  const giveUps = screen.getAllByText("Bỏ cuộc");
+  giveUps.forEach((button) => fireEvent.click(button));
+  expect(screen.getByText("Sang màn tiếp theo")).toBeInTheDocument();
+});
+
+test("a broken custom difficulty pref falls back to valid values", () => {
+  window.localStorage.setItem("vnr-puzzle.difficulty", '"custom"');
+  window.localStorage.setItem(
+    "vnr-puzzle.customDifficulty",
+    JSON.stringify({ grid: "lots", maxPoints: 1e9 })
+  );
+  render(<App />);
+  expect(screen.getByLabelText("Số mảnh mỗi cạnh")).toHaveValue(22);
+  expect(screen.getByLabelText("Điểm tối đa")).toHaveValue(5000);
+  expect(screen.getByLabelText("Độ dốc")).toHaveValue(6);
+});
+
+test("a time attack run ranks under its own format", () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText(/Kiểu lượt chơi/i), {
+    target: { value: "timeAttack" },
+  });
+  expect(screen.getByText(/Bảng xếp hạng: .* · Đua giờ/)).toBeInTheDocument();
+  fireEvent.click(screen.getByText(/Bắt đầu chơi/i));
+  fireEvent.click(screen.getByText("Kết thúc lượt"));
+
+  expect(screen.getByText(/Bảng xếp hạng: .* · Đua giờ/)).toBeInTheDocument();
+  const stored = JSON.parse(
+    window.localStorage.getItem("vnr-puzzle.leaderboard")
+  );
+  expect(stored.runs[0]).toMatchObject({ format: "timeAttack" });
+});
+
+test("a failing WebGL renderer falls back to the DOM tiles", async () => {
+  // the browser claims WebGL, so the particle canvas is tried first
+  window.WebGLRenderingContext = function WebGLRenderingContext() {};
+  const getContext = jest
+    .spyOn(HTMLCanvasElement.prototype, "getContext")
+    .mockReturnValue({});
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  const error = jest.spyOn(console, "error").mockImplementation(() => {});
+  try {
+    render(<App />);
+    fireEvent.click(screen.getByText(/Bắt đầu chơi/i));
+    const domTiles = () =>
+      within(screen.getByRole("application")).queryAllByTestId("dom-tile");
+    expect(domTiles()).toHaveLength(0);
+
+    await waitFor(() => expect(domTiles().length).toBeGreaterThan(0));
+    expect(warn).toHaveBeenCalledWith(
+      "WebGL renderer unavailable, using DOM tiles",
+      expect.any(Error)
+    );
+  } finally {
+    delete window.WebGLRenderingContext;
+    getContext.mockRestore();
+    warn.mockRestore();
+    error.mockRestore();
+  }
+});
+
+test("hiding the accuracy meter silences the proximity tone too", () => {
+  // Just enough Web Audio to tell the proximity tone, the one oscillator
+  // started without a time, from the cue notes
+  const tones = [];
+  const node = () => ({ connect: (next) => next });
+  const param = () => ({
+    value: 0,
+    setValueAtTime() {},
+    setTargetAtTime() {},
+    linearRampToValueAtTime() {},
+    exponentialRampToValueAtTime() {},
+  });
+  window.AudioContext = function AudioContext() {
+    return {
+      state: "running",
+      currentTime: 0,
+      destination: node(),
+      createGain: () => ({ ...node(), gain: param() }),
+      createOscillator: () => ({
+        ...node(),
+        frequency: param(),
+        start(at) {
+          if (at === undefined) tones.push(this);
+        },
+        stop() {},
+      }),
+      resume: () => Promise.resolve(),
+      close: () => Promise.resolve(),
+    };
+  };
+  try {
+    const { unmount } = render(<App />);
+    fireEvent.click(screen.getByLabelText(/ẩn thanh "Độ chính xác"/));
+    fireEvent.click(screen.getByText(/Bắt đầu chơi/i));
+    fireEvent.keyDown(screen.getByRole("application"), { key: "ArrowRight" });
+    expect(tones).toHaveLength(0);
+    unmount();
+
+    render(<App />);
+    fireEvent.click(screen.getByText(/Bắt đầu chơi/i));
+    fireEvent.keyDown(screen.getByRole("application"), { key: "ArrowRight" });
+    expect(tones).toHaveLength(1);
+  } finally {
+    delete window.AudioContext;
+  }
+});
+
+test("the LAN lobby offers to create or join a room", () => {
+  render(<App />);
+  fireEvent.click(screen.getByText(/Chơi qua mạng LAN/i));
+  expect(screen.getByLabelText("Mã phòng")).toBeInTheDocument();
+  expect(screen.getByText("Tạo phòng")).toBeEnabled();
+  fireEvent.click(screen.getByText(/Về menu/i));
+  expect(screen.getByText(/Bắt đầu chơi/i)).toBeInTheDocument();
+});
+
+test("a replay file from the menu opens in the viewer", async () => {
+  render(<App />);
+  const replay = {
+    version: 1,
+    seed: "ABC123",
+    stageIndex: 0,
+    stage: { id: "s1", name: "Màn thử", image: "/img/s1.jpg" },
+    mode: "single",
+    grid: 4,
+    sharpness: 60,
+    solveThreshold: 0.985,
+    time: 2,
+    frames: [
+      [0, 0, 0],
+      [2000, 1, 0],
+    ],
+  };
+  const file = new File([], "replay.json", { type: "application/json" });
+  file.text = () => Promise.resolve(JSON.stringify(replay));
+  fireEvent.change(screen.getByLabelText(/Mở bản ghi/i), {
+    target: { files: [file] },
+  });
+  expect(await screen.findByText(/Xem lại: Màn thử/)).toBeInTheDocument();
+  expect(screen.getByLabelText("Tua bản ghi")).toBeInTheDocument();
+  fireEvent.click(screen.getByText(/Đóng/));
+  expect(screen.getByText(/Bắt đầu chơi/i)).toBeInTheDocument();
+});
+
+test("the swap mode is solved by putting every tile in its place", () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText(/Cách chơi/i), {
+    target: { value: "swap" },
+  });
+  fireEvent.click(screen.getByText(/Bắt đầu chơi/i));
+  expect(screen.getByText("Nước đi")).toBeInTheDocument();
+
+  const tiles = () => screen.getAllByRole("button", { name: /^Mảnh hàng/ });
+  const grid = Math.sqrt(tiles().length);
+  const tileId = (el) => {
+    const [row, col] = el.getAttribute("aria-label").match(/\d+/g);
+    return (row - 1) * grid + (col - 1);
+  };
+  const at = (pos) => tiles().find((el) => Number(el.dataset.pos) === pos);
+  // pick the tile that belongs at each position, then its place
+  for (let pos = 0; pos < grid * grid; pos++) {
+    const tile = tiles().find((el) => tileId(el) === pos);
+    if (Number(tile.dataset.pos) === pos) continue;
+    fireEvent.click(tile);
+    fireEvent.click(at(pos));
+  }
+  expect(screen.getByText("Hoàn thành!")).toBeInTheDocument();
+});
+
+test("the language switch translates the menu and is remembered", () => {
+  const { unmount } = render(<App />);
+  fireEvent.change(screen.getByLabelText(/Ngôn ngữ/i), {
+    target: { value: "en" },
+  });
+  expect(screen.getByText("Start game")).toBeInTheDocument();
+  expect(screen.getByText("Ho Chi Minh")).toBeInTheDocument();
+  expect(document.documentElement.lang).toBe("en");
+  unmount();
+
+  render(<App />);
+  expect(screen.getByLabelText("Language")).toHaveValue("en");
+  expect(screen.getByText("Start game")).toBeInTheDocument();
+});
+
+test("the achievements gallery opens from the menu", () => {
+  render(<App />);
+  fireEvent.click(screen.getByText(/Thành tích/));
+  expect(screen.getByText("Đã mở 0/9")).toBeInTheDocument();
+  expect(screen.getByText("Mảnh ghép đầu tiên")).toBeInTheDocument();
+  fireEvent.click(screen.getByText(/Về menu/i));
+  expect(screen.getByText(/Bắt đầu chơi/i)).toBeInTheDocument();
+});
+
+test("a class session is set up in teacher mode and timed per stage", () => {
+  render(<App />);
+  fireEvent.click(screen.getByText(/Chế độ giáo viên/));
+  fireEvent.change(screen.getByLabelText(/Thời gian mỗi màn/), {
+    target: { value: "60" },
+  });
+  fireEvent.click(screen.getByText("Bắt đầu buổi học"));
+  expect(screen.getByText("Chưa có học sinh nào chơi.")).toBeInTheDocument();
+  expect(screen.getByText("⬇ Xuất CSV")).toBeDisabled();
+
+  fireEvent.change(screen.getByLabelText("Tên học sinh"), {
+    target: { value: "Minh" },
+  });
+  fireEvent.click(screen.getByText("▶ Vào chơi"));
+  expect(screen.getByText(/Còn lại:/)).toBeInTheDocument();
+});
+
+test("an endless run can be ended and ranks in its own category", () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText("Kiểu lượt chơi"), {
+    target: { value: "endless" },
+  });
+  fireEvent.click(screen.getByText(/Bắt đầu chơi/i));
+  expect(screen.getByText("Màn 1:")).toBeInTheDocument();
+  expect(screen.getByText(/Còn lại:/)).toBeInTheDocument();
+  fireEvent.click(screen.getByText("Kết thúc lượt"));
+  expect(screen.getByText("giải được 0 màn")).toBeInTheDocument();
+  expect(screen.getByText(/Bảng xếp hạng: .* · Vô tận/)).toBeInTheDocument();
+});
+
+test("the mute switch is remembered", () => {
+  const { unmount } = render(<App />);
+  fireEvent.click(screen.getByLabelText("Tắt âm thanh"));
+  expect(screen.getByLabelText("Âm lượng")).toBeDisabled();
+  unmount();
+  render(<App />);
+  expect(screen.getByLabelText("Tắt âm thanh")).toBeChecked();
+});
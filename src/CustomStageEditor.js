@@ -0,0 +1,186 @@
+import React, { useState } from "react";
+import { MAX_CUSTOM_STAGES, downscaleImage } from "./customStages";
+import { useI18n } from "./i18n";
+
+// Menu panel for turning images from disk into stages: pick or drop a file,
+// give it a title and caption, add it. `onAdd` persists and may reject
+// (storage full), in which case the draft stays so nothing is lost.
+export default function CustomStageEditor({
+  entries,
+  onAdd,
+  onRemove,
+  inputStyle,
+  buttonStyle,
+}) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(null); // { image, width, height }
+  const [name, setName] = useState("");
+  const [caption, setCaption] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null); // catalog key
+  const [dragOver, setDragOver] = useState(false);
+  const full = entries.length >= MAX_CUSTOM_STAGES;
+
+  const readFile = async (file) => {
+    if (!file) return;
+    setError(null);
+    setBusy(true);
+    try {
+      setDraft(await downscaleImage(file));
+      // file name without extension as a starting title
+      if (!name.trim()) setName(file.name.replace(/\.[^.]+$/, ""));
+    } catch (err) {
+      console.warn(err);
+      setError("upload.unreadable");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const add = async () => {
+    setBusy(true);
+    try {
+      await onAdd({ ...draft, name, caption });
+      setDraft(null);
+      setName("");
+      setCaption("");
+      setError(null);
+    } catch (err) {
+      console.warn(err);
+      setError("upload.saveFailed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section style={styles.panel} aria-label={t("upload.panel")}>
+      <label
+        style={{ ...styles.dropZone, ...(dragOver ? styles.dropActive : null) }}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragOver(true);
+        }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragOver(false);
+          if (!full) readFile(e.dataTransfer.files[0]);
+        }}
+      >
+        <input
+          type="file"
+          accept="image/*"
+          style={styles.fileInput}
+          disabled={busy || full}
+          onChange={(e) => {
+            readFile(e.target.files[0]);
+            e.target.value = ""; // allow picking the same file again
+          }}
+        />
+        {draft ? (
+          <img
+            src={draft.image}
+            alt={t("upload.preview")}
+            style={styles.preview}
+          />
+        ) : full ? (
+          t("upload.full", { max: MAX_CUSTOM_STAGES })
+        ) : busy ? (
+          t("upload.processing")
+        ) : (
+          t("upload.drop")
+        )}
+      </label>
+
+      {draft && (
+        <div style={styles.form}>
+          <input
+            aria-label={t("upload.title")}
+            placeholder={t("upload.title")}
+            style={inputStyle}
+            value={name}
+            maxLength={60}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <textarea
+            aria-label={t("upload.caption")}
+            placeholder={t("upload.captionPlaceholder")}
+            style={{ ...inputStyle, ...styles.caption }}
+            value={caption}
+            maxLength={500}
+            onChange={(e) => setCaption(e.target.value)}
+          />
+          <div style={styles.actions}>
+            <button
+              style={buttonStyle}
+              onClick={() => setDraft(null)}
+              disabled={busy}
+            >
+              {t("upload.cancel")}
+            </button>
+            <button
+              style={buttonStyle}
+              onClick={add}
+              disabled={busy || !name.trim()}
+            >
+              {t("upload.add")}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div style={styles.error} role="alert">
+          {t(error)}
+        </div>
+      )}
+
+      {entries.length > 0 && (
+        <ul style={styles.list}>
+          {entries.map((entry) => (
+            <li key={entry.id} style={styles.item}>
+              <img src={entry.image} alt="" style={styles.thumb} />
+              <span style={styles.itemName}>{entry.name}</span>
+              <button
+                style={buttonStyle}
+                onClick={() => onRemove(entry.id)}
+                aria-label={t("upload.removeLabel", { name: entry.name })}
+              >
+                {t("upload.remove")}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+const styles = {
+  panel: { maxWidth: 420, margin: "0 auto 24px auto", textAlign: "left" },
+  dropZone: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    minHeight: 96,
+    padding: 12,
+    border: "2px dashed #445566",
+    borderRadius: 12,
+    cursor: "pointer",
+    fontSize: 14,
+    opacity: 0.9,
+    textAlign: "center",
+  },
+  dropActive: { borderColor: "#78e0ff", background: "rgba(120,224,255,0.08)" },
+  fileInput: { display: "none" },
+  preview: { maxWidth: "100%", maxHeight: 180, borderRadius: 8 },
+  form: { display: "flex", flexDirection: "column", gap: 8, marginTop: 12 },
+  caption: { minHeight: 60, resize: "vertical", fontFamily: "inherit" },
+  actions: { display: "flex", justifyContent: "flex-end", gap: 8 },
+  error: { marginTop: 8, color: "#ff7878", fontSize: 13 },
+  list: { listStyle: "none", padding: 0, margin: "12px 0 0" },
+  item: { display: "flex", alignItems: "center", gap: 12, padding: "4px 0" },
+  thumb: { width: 40, height: 40, objectFit: "cover", borderRadius: 6 },
+  itemName: { flex: 1, fontSize: 14 },
+};
@@ -0,0 +1,114 @@
+import React from "react";
+import {
+  CUSTOM_LIMITS,
+  DIFFICULTY_PRESETS,
+  customMultiplier,
+  getPreset,
+  sanitizeCustom,
+} from "./difficulty";
+import { useI18n } from "./i18n";
+
+// Input steps of the custom form, in display order (labels are
+// `difficulty.field.<key>`)
+const CUSTOM_FIELDS = [
+  { key: "grid", step: 1 },
+  { key: "timeBudget", step: 5 },
+  { key: "snapThreshold", step: 0.01 },
+  { key: "solveThreshold", step: 0.001 },
+  { key: "sharpness", step: 1 },
+  { key: "maxPoints", step: 50 },
+];
+
+const MULTIPLIER_DIGITS = {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+};
+
+// Preset select for the menu; "custom" unfolds a form for every knob
+export default function DifficultyPicker({
+  value,
+  custom,
+  onChange,
+  onCustomChange,
+  labelStyle,
+  selectStyle,
+}) {
+  const { t, formatNumber } = useI18n();
+  const multiplier =
+    value === "custom"
+      ? customMultiplier(sanitizeCustom(custom))
+      : getPreset(value).multiplier;
+
+  return (
+    <div style={styles.wrap}>
+      <div style={styles.row}>
+        <label style={labelStyle} htmlFor="difficulty">
+          {t("difficulty.label")}
+        </label>
+        <select
+          id="difficulty"
+          style={selectStyle}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+        >
+          {DIFFICULTY_PRESETS.map((preset) => (
+            <option key={preset.id} value={preset.id}>
+              {t(`difficulty.${preset.id}`)}
+            </option>
+          ))}
+        </select>
+        <span style={styles.multiplier}>
+          {t("difficulty.multiplier", {
+            multiplier: formatNumber(multiplier, MULTIPLIER_DIGITS),
+          })}
+        </span>
+      </div>
+      {value === "custom" && (
+        <div style={styles.grid}>
+          {CUSTOM_FIELDS.map(({ key, step }) => {
+            const [min, max] = CUSTOM_LIMITS[key];
+            return (
+              <label key={key} style={styles.field}>
+                <span>{t(`difficulty.field.${key}`)}</span>
+                <input
+                  type="number"
+                  min={min}
+                  max={max}
+                  step={step}
+                  value={custom[key]}
+                  style={styles.number}
+                  onChange={(e) =>
+                    onCustomChange({ ...custom, [key]: e.target.value })
+                  }
+                  // snap out-of-range values back once editing is done
+                  onBlur={() => onCustomChange(sanitizeCustom(custom))}
+                />
+              </label>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  wrap: { maxWidth: 420, margin: "0 auto 24px auto", textAlign: "left" },
+  row: { display: "flex", alignItems: "center", gap: 12 },
+  multiplier: { fontSize: 13, opacity: 0.8, whiteSpace: "nowrap" },
+  grid: {
+    display: "grid",
+    gridTemplateColumns: "1fr 1fr",
+    gap: 8,
+    marginTop: 12,
+    fontSize: 13,
+  },
+  field: { display: "flex", flexDirection: "column", gap: 4 },
+  number: {
+    padding: "6px 8px",
+    borderRadius: 8,
+    border: "1px solid #2e3a46",
+    background: "#0f1419",
+    color: "#e8eef8",
+  },
+};
@@ -0,0 +1,65 @@
+import React from "react";
+import { lerp, spinPoint } from "./puzzle";
+import { SCATTER_RADIUS } from "./scatter";
+
+// DOM fallback renderer: one absolutely-positioned div per tile
+export default function DomTiles({
+  tiles,
+  grid,
+  imgUrl,
+  drawW,
+  drawH,
+  angle,
+  pitch,
+  t,
+  wobbleAmp,
+  solved,
+}) {
+  const tileW = drawW / grid;
+  const tileH = drawH / grid;
+  const radius = Math.max(drawW, drawH) * SCATTER_RADIUS;
+
+  return tiles.map((tile, idx) => {
+    // target location (assembled)
+    const tx = tile.x * tileW;
+    const ty = tile.y * tileH;
+
+    // scrambled location: the stage's scatter shape, turned with the view
+    // and flattened onto the screen (y up in the shape, down on screen)
+    const [px, py] = spinPoint(tile.scatter, angle, pitch);
+    const sx = drawW / 2 + px * radius - tileW / 2;
+    const sy = drawH / 2 - py * radius - tileH / 2;
+
+    // interpolate based on t and also add a little wobble using sin(angle)
+    const wobble = Math.sin(angle * 2 + tile.r3 * 10) * (1 - t) * wobbleAmp;
+    const wobbleY =
+      Math.sin(angle * 2 + pitch * 2 + tile.r3 * 10) * (1 - t) * wobbleAmp;
+    const x = lerp(sx, tx, t) + wobble;
+    const y = lerp(sy, ty, t) + wobbleY;
+
+    const bgX = -tile.x * tileW + "px";
+    const bgY = -tile.y * tileH + "px";
+
+    return (
+      <div
+        key={idx}
+        data-testid="dom-tile"
+        style={{
+          position: "absolute",
+          left: x,
+          top: y,
+          width: tileW,
+          height: tileH,
+          backgroundImage: `url(${imgUrl})`,
+          backgroundSize: `${drawW}px ${drawH}px`,
+          backgroundPosition: `${bgX} ${bgY}`,
+          borderRadius: 0,
+          boxShadow: solved ? "none" : "0 2px 6px rgba(0,0,0,0.25)",
+          transition: solved ? "box-shadow 0.4s ease" : undefined,
+          imageRendering: "auto",
+          willChange: "transform,left,top",
+        }}
+      />
+    );
+  });
+}
@@ -0,0 +1,93 @@
+import React from "react";
+
+// Visual for the hint currently on screen, drawn over the image area.
+// `dYaw` / `dPitch` are the remaining deltas to the secret orientation.
+// With `reducedMotion` the pulse and flash are shown without animating.
+export default function HintOverlay({
+  hint,
+  t,
+  dYaw,
+  dPitch,
+  imgUrl,
+  drawW,
+  drawH,
+  reducedMotion,
+}) {
+  const still = reducedMotion ? { animation: "none" } : null;
+  if (hint === "pulse") {
+    // cold (blue, 220°) far away -> hot (red, 0°) when close
+    const hue = Math.round((1 - t) * 220);
+    return (
+      <div
+        style={{
+          ...styles.pulse,
+          background: `hsla(${hue}, 90%, 55%, 0.55)`,
+          boxShadow: `0 0 40px hsla(${hue}, 90%, 55%, 0.8)`,
+          ...still,
+        }}
+        aria-hidden="true"
+      />
+    );
+  }
+
+  if (hint === "arrow") {
+    const arrows = [];
+    if (Math.abs(dYaw) > 0.02) arrows.push(dYaw > 0 ? "→" : "←");
+    if (Math.abs(dPitch) > 0.02) arrows.push(dPitch > 0 ? "↑" : "↓");
+    return (
+      <div style={styles.arrow} aria-hidden="true">
+        {arrows.length ? arrows.join(" ") : "•"}
+      </div>
+    );
+  }
+
+  if (hint === "reveal") {
+    return (
+      <div
+        style={{
+          ...styles.reveal,
+          backgroundImage: `url(${imgUrl})`,
+          backgroundSize: `${drawW}px ${drawH}px`,
+          ...(still && { ...still, opacity: 0.4 }),
+        }}
+        aria-hidden="true"
+      />
+    );
+  }
+
+  return null;
+}
+
+const styles = {
+  pulse: {
+    position: "absolute",
+    left: "50%",
+    top: "50%",
+    width: 120,
+    height: 120,
+    marginLeft: -60,
+    marginTop: -60,
+    borderRadius: "50%",
+    pointerEvents: "none",
+    animation: "hint-pulse 0.9s ease-in-out infinite",
+  },
+  arrow: {
+    position: "absolute",
+    left: 0,
+    right: 0,
+    top: "50%",
+    transform: "translateY(-50%)",
+    textAlign: "center",
+    fontSize: 96,
+    fontWeight: 700,
+    color: "#ffd700",
+    textShadow: "0 4px 16px rgba(0,0,0,0.8)",
+    pointerEvents: "none",
+  },
+  reveal: {
+    position: "absolute",
+    inset: 0,
+    pointerEvents: "none",
+    animation: "hint-flash 0.7s ease-out forwards",
+  },
+};
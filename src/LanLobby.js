@@ -0,0 +1,190 @@
+import React, { useState } from "react";
+import { useI18n } from "./i18n";
+import { loadPref, savePref } from "./prefs";
+import { DEFAULT_LAN_URL } from "./useLanRoom";
+
+// Lobby of the LAN race: create a room with the menu's settings (host) or
+// join one by its code, then wait in the room until the host starts.
+// `lan` is the useLanRoom() state; `hostNote` explains why hosting is off.
+export default function LanLobby({
+  lan,
+  defaultName,
+  packName,
+  hostNote,
+  packReady,
+  onCreate,
+  onBack,
+  inputStyle,
+  labelStyle,
+  buttonStyle,
+  startStyle,
+}) {
+  const { t } = useI18n();
+  const [url, setUrl] = useState(() => loadPref("lanServer", DEFAULT_LAN_URL));
+  const [name, setName] = useState(defaultName);
+  const [code, setCode] = useState("");
+  const busy = lan.status === "connecting";
+  const room = lan.room;
+
+  const remember = () => savePref("lanServer", url);
+
+  // ------- waiting room -------
+  if (lan.status !== "idle" && room) {
+    const host = lan.player?.host;
+    return (
+      <div style={styles.wrap}>
+        <h2 style={styles.heading}>{t("lan.room")}</h2>
+        <div style={styles.code} aria-label={t("lan.roomCode")}>
+          {room.code}
+        </div>
+        <p style={styles.note}>{t("lan.roomHelp")}</p>
+        <ul style={styles.players}>
+          {room.players
+            .filter((p) => p.connected)
+            .map((p) => (
+              <li key={p.id}>
+                {p.name}
+                {p.host && t("lan.host")}
+              </li>
+            ))}
+        </ul>
+        {lan.status === "closed" && (
+          <div style={styles.error} role="alert">
+            {t("common.disconnected")}
+          </div>
+        )}
+        {!packReady && <p style={styles.note}>{t("lan.packLoading")}</p>}
+        <div style={styles.actions}>
+          <button style={buttonStyle} onClick={lan.leave}>
+            {t("lan.leave")}
+          </button>
+          {host ? (
+            <button
+              style={startStyle}
+              onClick={lan.advance}
+              disabled={!packReady || lan.status !== "connected"}
+            >
+              {t("lan.startRoom")}
+            </button>
+          ) : (
+            <span style={styles.note}>{t("lan.waitStart")}</span>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  // ------- create / join -------
+  return (
+    <div style={styles.wrap}>
+      <h2 style={styles.heading}>{t("lan.title")}</h2>
+      <div style={styles.row}>
+        <label style={labelStyle} htmlFor="lan-server">
+          {t("lan.server")}
+        </label>
+        <input
+          id="lan-server"
+          style={inputStyle}
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+        />
+      </div>
+      <div style={styles.row}>
+        <label style={labelStyle} htmlFor="lan-name">
+          {t("lan.yourName")}
+        </label>
+        <input
+          id="lan-name"
+          style={inputStyle}
+          value={name}
+          maxLength={24}
+          onChange={(e) => setName(e.target.value)}
+        />
+      </div>
+
+      <div style={styles.box}>
+        <div style={styles.row}>
+          <label style={labelStyle} htmlFor="lan-code">
+            {t("lan.roomCode")}
+          </label>
+          <input
+            id="lan-code"
+            style={{ ...inputStyle, textTransform: "uppercase" }}
+            value={code}
+            maxLength={8}
+            onChange={(e) => setCode(e.target.value)}
+          />
+          <button
+            style={buttonStyle}
+            disabled={busy || !code.trim() || !name.trim()}
+            onClick={() => {
+              remember();
+              lan.join(url, code, name);
+            }}
+          >
+            {t("lan.join")}
+          </button>
+        </div>
+      </div>
+
+      <div style={styles.box}>
+        <p style={styles.note}>{t("lan.createHelp", { pack: packName })}</p>
+        {hostNote && <p style={styles.note}>{hostNote}</p>}
+        <button
+          style={buttonStyle}
+          disabled={busy || !name.trim() || !!hostNote}
+          onClick={() => {
+            remember();
+            onCreate(url, name);
+          }}
+        >
+          {t("lan.create")}
+        </button>
+      </div>
+
+      {busy && <p style={styles.note}>{t("lan.connecting")}</p>}
+      {lan.error && (
+        <div style={styles.error} role="alert">
+          {lan.error}
+        </div>
+      )}
+      <button style={buttonStyle} onClick={onBack}>
+        {t("lan.back")}
+      </button>
+    </div>
+  );
+}
+
+const styles = {
+  wrap: {
+    maxWidth: 480,
+    margin: "0 auto",
+    display: "flex",
+    flexDirection: "column",
+    gap: 12,
+    textAlign: "left",
+  },
+  heading: { margin: "0 0 8px", fontSize: 22 },
+  row: { display: "flex", alignItems: "center", gap: 12 },
+  box: {
+    padding: 12,
+    borderRadius: 12,
+    background: "rgba(255,255,255,0.04)",
+  },
+  note: { margin: "0 0 8px", fontSize: 14, opacity: 0.8 },
+  code: {
+    fontSize: 48,
+    fontWeight: 800,
+    letterSpacing: 8,
+    textAlign: "center",
+    color: "#78e0ff",
+  },
+  players: { margin: 0, paddingLeft: 20, lineHeight: 1.7 },
+  actions: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 12,
+  },
+  error: { color: "#ff7878", fontSize: 14 },
+};
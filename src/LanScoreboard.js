@@ -0,0 +1,104 @@
+import React from "react";
+import { useI18n } from "./i18n";
+
+// Live scoreboard of a LAN room, as broadcast by the server (points are the
+// server's, see server/rooms.js). `onAdvance` is only given to the host.
+export default function LanScoreboard({ room, playerId, onAdvance }) {
+  const { t, formatTime } = useI18n();
+  const players = [...room.players].sort((a, b) => b.total - a.total);
+  const stage = room.stageIndex;
+  const playing = room.phase === "playing";
+  const last = stage >= room.stageCount - 1;
+
+  return (
+    <section style={styles.panel} aria-label={t("lan.scoreboard")}>
+      <div style={styles.header}>
+        <strong>
+          {t("lan.scoreboardTitle", { code: room.code })}
+          {playing &&
+            t("lan.scoreboardStage", { n: stage + 1, total: room.stageCount })}
+        </strong>
+        {onAdvance && playing && (
+          <button style={styles.button} onClick={onAdvance}>
+            {last ? t("lan.end") : t("lan.nextStage")}
+          </button>
+        )}
+      </div>
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th}>#</th>
+            <th style={styles.th}>{t("table.player")}</th>
+            {playing && <th style={styles.th}>{t("lan.thisStage")}</th>}
+            <th style={styles.th}>{t("lan.total")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {players.map((p, idx) => {
+            const result = p.results[stage];
+            return (
+              <tr
+                key={p.id}
+                style={{
+                  ...(p.id === playerId ? styles.me : null),
+                  ...(p.connected ? null : styles.gone),
+                }}
+              >
+                <td style={styles.td}>{idx + 1}</td>
+                <td style={styles.td}>
+                  {p.name}
+                  {p.host && " ★"}
+                </td>
+                {playing && (
+                  <td style={styles.td}>
+                    {result
+                      ? `${formatTime(result.time)} · ${result.points}`
+                      : "…"}
+                  </td>
+                )}
+                <td style={styles.td}>{p.total}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </section>
+  );
+}
+
+const styles = {
+  panel: {
+    maxWidth: 720,
+    margin: "0 auto 16px auto",
+    background: "rgba(255,255,255,0.04)",
+    padding: 16,
+    borderRadius: 12,
+  },
+  header: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginBottom: 8,
+  },
+  button: {
+    padding: "6px 10px",
+    borderRadius: 8,
+    border: "none",
+    background: "linear-gradient(90deg,#4a9eff,#5fd4a0)",
+    color: "#fff",
+    cursor: "pointer",
+    fontWeight: 700,
+  },
+  table: { width: "100%", borderCollapse: "collapse", fontSize: 14 },
+  th: {
+    textAlign: "left",
+    padding: "6px 8px",
+    borderBottom: "1px solid rgba(255,255,255,0.2)",
+  },
+  td: {
+    padding: "6px 8px",
+    borderBottom: "1px solid rgba(255,255,255,0.06)",
+  },
+  me: { background: "rgba(95,212,160,0.15)" },
+  gone: { opacity: 0.5 },
+};
@@ -0,0 +1,66 @@
+import React from "react";
+import { getPreset } from "./difficulty";
+import { useI18n } from "./i18n";
+
+// Ranked list of finished runs; `highlight` marks the run just played
+export default function LeaderboardTable({ runs, highlight, title }) {
+  const { t, formatNumber, formatTime, formatDate } = useI18n();
+  return (
+    <div style={styles.wrap}>
+      <h3>{title}</h3>
+      {runs.length === 0 ? (
+        <p style={styles.empty}>{t("leaderboard.empty")}</p>
+      ) : (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>#</th>
+              <th style={styles.th}>{t("table.player")}</th>
+              <th style={styles.th}>{t("table.points")}</th>
+              <th style={styles.th}>{t("table.time")}</th>
+              <th style={styles.th}>{t("table.difficulty")}</th>
+              <th style={styles.th}>{t("table.date")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {runs.map((run, idx) => (
+              <tr
+                key={`${run.date}-${idx}`}
+                style={run === highlight ? styles.highlight : undefined}
+              >
+                <td style={styles.td}>{idx + 1}</td>
+                <td style={styles.td}>{run.player}</td>
+                <td style={styles.td}>{formatNumber(run.total)}</td>
+                <td style={styles.td}>{formatTime(run.time)}</td>
+                <td style={styles.td}>
+                  {run.difficulty
+                    ? t(`difficulty.${getPreset(run.difficulty).id}`)
+                    : "—"}
+                </td>
+                <td style={styles.td}>{formatDate(run.date)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  wrap: { marginTop: 32, textAlign: "left", fontSize: 14 },
+  empty: { opacity: 0.7 },
+  table: { width: "100%", borderCollapse: "collapse" },
+  th: {
+    padding: "8px 6px",
+    borderBottom: "2px solid rgba(255,255,255,0.2)",
+    textAlign: "left",
+    fontWeight: 600,
+  },
+  td: {
+    padding: "6px",
+    borderBottom: "1px solid rgba(255,255,255,0.1)",
+    textAlign: "left",
+  },
+  highlight: { background: "rgba(255,215,0,0.15)" },
+};
@@ -0,0 +1,31 @@
+import React from "react";
+import { useI18n } from "./i18n";
+import useOnlineStatus from "./useOnlineStatus";
+
+// Bar along the bottom while there is no connection; stages the service
+// worker has cached keep working
+export default function OfflineBanner() {
+  const { t } = useI18n();
+  const online = useOnlineStatus();
+  if (online) return null;
+  return (
+    <div style={styles.banner} role="status">
+      {t("offline.banner")}
+    </div>
+  );
+}
+
+const styles = {
+  banner: {
+    position: "fixed",
+    left: 0,
+    right: 0,
+    bottom: 0,
+    padding: "8px 16px",
+    background: "rgba(120,80,10,0.95)",
+    color: "#fff3d6",
+    fontSize: 14,
+    textAlign: "center",
+    zIndex: 20,
+  },
+};
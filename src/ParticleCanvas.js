@@ -0,0 +1,180 @@
+import React, { useLayoutEffect, useMemo, useRef } from "react";
+import { Canvas, useLoader, useThree } from "@react-three/fiber";
+import * as THREE from "three";
+import { lerp } from "./puzzle";
+import { SCATTER_RADIUS } from "./scatter";
+
+// WebGL renderer for the particle puzzle.
+// Every tile is one instance of a textured quad. In the scrambled state the
+// tiles sit on the stage's scatter shape (scatter.js), which spins with the
+// player's angle (and tilts with the pitch in the two-axis mode); as `t`
+// approaches 1 they fly onto the image plane (z = 0) and line up exactly.
+// All units are CSS pixels so the layout matches the DOM renderer.
+
+const FOV = 35; // vertical field of view (degrees)
+
+const vertexShader = /* glsl */ `
+  attribute vec2 uvOffset;
+  uniform vec2 uvScale;
+  varying vec2 vUv;
+  void main() {
+    vUv = uvOffset + uv * uvScale;
+    gl_Position =
+      projectionMatrix * modelViewMatrix * instanceMatrix * vec4(position, 1.0);
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  uniform sampler2D map;
+  varying vec2 vUv;
+  void main() {
+    gl_FragColor = vec4(texture2D(map, vUv).rgb, 1.0);
+    #include <colorspace_fragment>
+  }
+`;
+
+function TileCloud({
+  imgUrl,
+  tiles,
+  grid,
+  angle,
+  pitch = 0,
+  wobbleAmp = 6,
+  t,
+  drawW,
+  drawH,
+}) {
+  const meshRef = useRef(null);
+  const texture = useLoader(THREE.TextureLoader, imgUrl);
+  const count = tiles.length;
+
+  const geometry = useMemo(() => {
+    const geo = new THREE.PlaneGeometry(1, 1);
+    const offsets = new Float32Array(count * 2);
+    tiles.forEach((tile, i) => {
+      // texture v grows upward while tile rows grow downward
+      offsets[i * 2] = tile.x / grid;
+      offsets[i * 2 + 1] = 1 - (tile.y + 1) / grid;
+    });
+    geo.setAttribute(
+      "uvOffset",
+      new THREE.InstancedBufferAttribute(offsets, 2)
+    );
+    return geo;
+  }, [tiles, grid, count]);
+
+  const material = useMemo(() => {
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return new THREE.ShaderMaterial({
+      uniforms: {
+        map: { value: texture },
+        uvScale: { value: new THREE.Vector2(1 / grid, 1 / grid) },
+      },
+      vertexShader,
+      fragmentShader,
+      side: THREE.DoubleSide,
+    });
+  }, [texture, grid]);
+
+  useLayoutEffect(() => () => geometry.dispose(), [geometry]);
+  useLayoutEffect(() => () => material.dispose(), [material]);
+
+  // scratch objects reused across frames
+  const scratch = useMemo(
+    () => ({
+      m: new THREE.Matrix4(),
+      p: new THREE.Vector3(),
+      q: new THREE.Quaternion(),
+      qs: new THREE.Quaternion(),
+      s: new THREE.Vector3(),
+      e: new THREE.Euler(),
+      spin: new THREE.Quaternion(),
+      spinEuler: new THREE.Euler(0, 0, 0, "YXZ"),
+      identity: new THREE.Quaternion(),
+    }),
+    []
+  );
+
+  useLayoutEffect(() => {
+    const mesh = meshRef.current;
+    if (!mesh) return;
+    const { m, p, q, qs, s, e, spin, spinEuler, identity } = scratch;
+    const tileW = drawW / grid;
+    const tileH = drawH / grid;
+    const radius = Math.max(drawW, drawH) * SCATTER_RADIUS;
+    spin.setFromEuler(spinEuler.set(pitch, angle, 0));
+    s.set(tileW, tileH, 1);
+
+    tiles.forEach((tile, i) => {
+      // assembled location, image centered on the origin (y up)
+      const tx = (tile.x + 0.5) * tileW - drawW / 2;
+      const ty = drawH / 2 - (tile.y + 0.5) * tileH;
+
+      // scrambled location: point of the scatter shape, spun by yaw + pitch
+      p.fromArray(tile.scatter).multiplyScalar(radius).applyQuaternion(spin);
+
+      // same wobble as the DOM renderer
+      const wobble = Math.sin(angle * 2 + tile.r3 * 10) * (1 - t) * wobbleAmp;
+      const wobbleY =
+        Math.sin(angle * 2 + pitch * 2 + tile.r3 * 10) * (1 - t) * wobbleAmp;
+      p.set(
+        lerp(p.x, tx, t) + wobble,
+        lerp(p.y, ty, t) - wobbleY,
+        lerp(p.z, 0, t)
+      );
+
+      // tiles tumble while scrambled and face the camera once assembled
+      e.set(
+        (tile.r1 - 0.5) * Math.PI,
+        angle + tile.r2 * Math.PI,
+        (tile.r3 - 0.5) * Math.PI
+      );
+      qs.setFromEuler(e);
+      q.copy(qs).slerp(identity, t);
+
+      m.compose(p, q, s);
+      mesh.setMatrixAt(i, m);
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+  }, [tiles, grid, angle, pitch, wobbleAmp, t, drawW, drawH, scratch]);
+
+  return (
+    <instancedMesh
+      ref={meshRef}
+      args={[geometry, material, count]}
+      frustumCulled={false}
+    />
+  );
+}
+
+// The camera prop only sets up the first camera: a resized board moves it
+function CameraDistance({ distance }) {
+  const camera = useThree((state) => state.camera);
+  useLayoutEffect(() => {
+    camera.position.z = distance;
+    camera.far = distance * 4;
+    camera.updateProjectionMatrix();
+  }, [camera, distance]);
+  return null;
+}
+
+export default function ParticleCanvas({ width, height, ...cloudProps }) {
+  // place the camera so the image plane (z = 0) maps 1:1 to CSS pixels
+  const distance = height / 2 / Math.tan(THREE.MathUtils.degToRad(FOV / 2));
+  return (
+    <Canvas
+      style={{ position: "absolute", inset: 0, width, height }}
+      camera={{
+        fov: FOV,
+        position: [0, 0, distance],
+        near: 1,
+        far: distance * 4,
+      }}
+      dpr={[1, 2]}
+      gl={{ antialias: true, alpha: true }}
+    >
+      <CameraDistance distance={distance} />
+      <TileCloud {...cloudProps} />
+    </Canvas>
+  );
+}
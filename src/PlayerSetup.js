@@ -0,0 +1,62 @@
+import React from "react";
+import { useI18n } from "./i18n";
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 4;
+
+// Names of the 2-4 players of a hot-seat or split-screen game. `controls`
+// (split-screen only) shows which keys each player turns their board with.
+export default function PlayerSetup({
+  players,
+  onChange,
+  controls,
+  inputStyle,
+  buttonStyle,
+}) {
+  const { t } = useI18n();
+  const rename = (idx, name) =>
+    onChange(players.map((old, i) => (i === idx ? name : old)));
+
+  return (
+    <div style={styles.wrap}>
+      {players.map((name, idx) => (
+        <div key={idx} style={styles.row}>
+          <input
+            aria-label={t("player.numbered", { n: idx + 1 })}
+            placeholder={t("player.numbered", { n: idx + 1 })}
+            style={inputStyle}
+            value={name}
+            maxLength={24}
+            onChange={(e) => rename(idx, e.target.value)}
+          />
+          {controls && <span style={styles.keys}>{controls[idx].label}</span>}
+          <button
+            style={buttonStyle}
+            aria-label={t("player.remove", { n: idx + 1 })}
+            disabled={players.length <= MIN_PLAYERS}
+            onClick={() => onChange(players.filter((_, i) => i !== idx))}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      {players.length < MAX_PLAYERS && (
+        <button style={buttonStyle} onClick={() => onChange([...players, ""])}>
+          {t("player.add")}
+        </button>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  wrap: {
+    maxWidth: 420,
+    margin: "0 auto 24px auto",
+    display: "flex",
+    flexDirection: "column",
+    gap: 8,
+  },
+  row: { display: "flex", alignItems: "center", gap: 8 },
+  keys: { width: 80, fontSize: 12, opacity: 0.7 },
+};
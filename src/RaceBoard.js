@@ -0,0 +1,284 @@
+import React, { Suspense, lazy, useEffect, useReducer, useRef } from "react";
+import DomTiles from "./DomTiles";
+import WebGLBoundary from "./WebGLBoundary";
+import {
+  alignmentOf,
+  isLocked,
+  isPictureWhole,
+  isSnapping,
+  raceBoard,
+  reduce,
+} from "./engine";
+import { useI18n } from "./i18n";
+import { KEY_STEP, KEY_STEP_FINE, fitContain } from "./puzzle";
+
+const ParticleCanvas = lazy(() => import("./ParticleCanvas"));
+
+export const BOARD_W = 480;
+export const BOARD_H = 360;
+
+// Split-screen key sets (KeyboardEvent.code, so any keyboard layout works)
+export const RACE_CONTROLS = [
+  { left: "KeyA", right: "KeyD", up: "KeyW", down: "KeyS", label: "A / D" },
+  {
+    left: "ArrowLeft",
+    right: "ArrowRight",
+    up: "ArrowUp",
+    down: "ArrowDown",
+    label: "← / →",
+  },
+  { left: "KeyJ", right: "KeyL", up: "KeyI", down: "KeyK", label: "J / L" },
+  {
+    left: "Numpad4",
+    right: "Numpad6",
+    up: "Numpad8",
+    down: "Numpad2",
+    label: "Num 4 / 6",
+  },
+];
+
+// One player's board in a split-screen race. It runs the engine on a game
+// of its own (raceBoard in engine.js) for the view, drag and snapback, and
+// reports back once the snapback has solved it; timing and scoring stay with
+// the parent, which runs one clock for every board. `game` is the race's
+// engine state, `result` the player's score entry for the stage (undefined
+// until done).
+export default function RaceBoard({
+  game,
+  player,
+  name,
+  controls,
+  imgUrl,
+  imgW,
+  imgH,
+  tiles,
+  grid,
+  paused,
+  result,
+  place,
+  hideMeter,
+  webgl,
+  onWebglError,
+  wobbleAmp,
+  reducedMotion,
+  onSolved,
+  onGiveUp,
+}) {
+  const i18n = useI18n(); // `t` is the alignment here
+  const [board, dispatch] = useReducer(reduce, game, (race) =>
+    raceBoard(race, player, performance.now())
+  );
+  const dragRef = useRef(null); // { id, x, y } of the pointer turning this board
+  const { angle, pitch } = board;
+  const { dualAxis } = board.run;
+  const done = result != null;
+  const locked = done || paused || isLocked(board);
+
+  const t = alignmentOf(board);
+  const solved = isPictureWhole(board);
+  const { drawW, drawH } = fitContain(imgW || 4, imgH || 3, BOARD_W, BOARD_H);
+
+  const rotateBy = (dYaw, dPitch, input) =>
+    dispatch({ type: "rotate", dYaw, dPitch, input, now: performance.now() });
+
+  // the race's pause, or a give-up, holds this board too
+  const held = paused || done;
+  useEffect(() => {
+    dispatch({ type: held ? "pause" : "resume", now: performance.now() });
+  }, [held]);
+
+  // Snapback assist, one engine tick per frame as on the single-player
+  // board; the tick that lands it solves the board
+  const snapping = isSnapping(board);
+  useEffect(() => {
+    if (!snapping) return;
+    let raf;
+    const step = () => {
+      dispatch({ type: "tick", now: performance.now(), reducedMotion });
+      raf = requestAnimationFrame(step);
+    };
+    raf = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(raf);
+  }, [snapping, reducedMotion]);
+
+  useEffect(() => {
+    if (board.solved && !done) onSolved();
+  }, [board.solved, done, onSolved]);
+
+  // each board listens for its own keys only
+  const keyHandlerRef = useRef(null);
+  keyHandlerRef.current = (e) => {
+    if (locked) return;
+    const step = e.shiftKey ? KEY_STEP_FINE : KEY_STEP;
+    if (e.code === controls.left) rotateBy(-step, 0, "key");
+    else if (e.code === controls.right) rotateBy(step, 0, "key");
+    else if (e.code === controls.up && dualAxis) rotateBy(0, step, "key");
+    else if (e.code === controls.down && dualAxis) rotateBy(0, -step, "key");
+    else return;
+    e.preventDefault();
+  };
+  useEffect(() => {
+    const listener = (e) => keyHandlerRef.current(e);
+    window.addEventListener("keydown", listener);
+    return () => window.removeEventListener("keydown", listener);
+  }, []);
+
+  // pointer capture keeps each finger/mouse on the board it started on, so
+  // several players can drag on one touch screen at once
+  const onPointerDown = (e) => {
+    if (locked || dragRef.current) return;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    dragRef.current = { id: e.pointerId, x: e.clientX, y: e.clientY };
+    dispatch({ type: "drag", dragging: true });
+  };
+  const onPointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag || drag.id !== e.pointerId || locked) return;
+    rotateBy((e.clientX - drag.x) * 0.01, (drag.y - e.clientY) * 0.01, "drag");
+    drag.x = e.clientX;
+    drag.y = e.clientY;
+  };
+  const onPointerUp = (e) => {
+    if (dragRef.current?.id !== e.pointerId) return;
+    dragRef.current = null;
+    dispatch({ type: "drag", dragging: false });
+  };
+
+  return (
+    <section style={styles.wrap} aria-label={i18n.t("race.board", { name })}>
+      <div style={styles.header}>
+        <strong>{name}</strong>
+        <span style={styles.keys}>
+          {controls.label}
+          {dualAxis && i18n.t("race.pitchKeys")}
+        </span>
+        <span style={styles.status} role="status">
+          {result == null
+            ? null
+            : result.gaveUp
+            ? i18n.t("results.gaveUp")
+            : i18n.t("race.result", {
+                place,
+                time: i18n.formatTime(result.time),
+                points: i18n.formatNumber(result.points),
+              })}
+        </span>
+      </div>
+      <div
+        style={{
+          ...styles.board,
+          background: solved
+            ? "#111"
+            : "radial-gradient(circle at 50% 50%, #1b1b1b, #0d0d0d)",
+        }}
+        tabIndex={0}
+        role="application"
+        aria-roledescription={i18n.t("game.boardRole")}
+        aria-label={i18n.t("race.boardLabel", { name })}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+      >
+        {webgl && (
+          <WebGLBoundary onError={onWebglError}>
+            <Suspense fallback={null}>
+              <ParticleCanvas
+                width={BOARD_W}
+                height={BOARD_H}
+                imgUrl={imgUrl}
+                tiles={tiles}
+                grid={grid}
+                angle={angle}
+                pitch={pitch}
+                wobbleAmp={wobbleAmp}
+                t={t}
+                drawW={drawW}
+                drawH={drawH}
+              />
+            </Suspense>
+          </WebGLBoundary>
+        )}
+        <div
+          style={{
+            position: "absolute",
+            left: (BOARD_W - drawW) / 2,
+            top: (BOARD_H - drawH) / 2,
+            width: drawW,
+            height: drawH,
+          }}
+        >
+          {!webgl && (
+            <DomTiles
+              tiles={tiles}
+              grid={grid}
+              imgUrl={imgUrl}
+              drawW={drawW}
+              drawH={drawH}
+              angle={angle}
+              pitch={pitch}
+              t={t}
+              wobbleAmp={wobbleAmp}
+              solved={solved}
+            />
+          )}
+        </div>
+        {paused && <div style={styles.cover} />}
+      </div>
+      <div style={styles.footer}>
+        {!hideMeter && (
+          <div style={styles.meterBox}>
+            <div style={{ ...styles.meterFill, width: `${t * 100}%` }} />
+          </div>
+        )}
+        <button style={styles.button} onClick={onGiveUp} disabled={locked}>
+          {i18n.t("race.giveUp")}
+        </button>
+      </div>
+    </section>
+  );
+}
+
+const styles = {
+  wrap: { width: BOARD_W },
+  header: {
+    display: "flex",
+    alignItems: "baseline",
+    gap: 12,
+    marginBottom: 6,
+    fontSize: 14,
+  },
+  keys: { opacity: 0.7, fontSize: 12 },
+  status: { marginLeft: "auto", fontWeight: 600, color: "#5fd4a0" },
+  board: {
+    position: "relative",
+    width: BOARD_W,
+    height: BOARD_H,
+    borderRadius: 12,
+    overflow: "hidden",
+    cursor: "grab",
+    userSelect: "none",
+    touchAction: "none",
+  },
+  cover: { position: "absolute", inset: 0, background: "#0d0d0d" },
+  footer: { display: "flex", alignItems: "center", gap: 12, marginTop: 6 },
+  meterBox: {
+    flex: 1,
+    height: 8,
+    background: "rgba(255,255,255,0.08)",
+    borderRadius: 999,
+    overflow: "hidden",
+  },
+  meterFill: {
+    height: "100%",
+    background: "linear-gradient(90deg,#4a9eff,#5fd4a0)",
+  },
+  button: {
+    padding: "6px 10px",
+    borderRadius: 8,
+    border: "1px solid #445566",
+    background: "#1a2633",
+    color: "#e8eef8",
+    marginLeft: "auto",
+  },
+};
@@ -0,0 +1,281 @@
+import React, {
+  Suspense,
+  lazy,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import DomTiles from "./DomTiles";
+import WebGLBoundary from "./WebGLBoundary";
+import { useI18n } from "./i18n";
+import { checkReplay } from "./integrity";
+import { alignment, buildTiles, fitContain, secretOrientation } from "./puzzle";
+import { exportReplay, replayDuration, verifyReplay, viewAt } from "./replay";
+import useBoardSize from "./useBoardSize";
+import useImageSize from "./useImageSize";
+
+const ParticleCanvas = lazy(() => import("./ParticleCanvas"));
+
+const VIEW_W = 640;
+const VIEW_H = 480;
+const SPEEDS = [0.5, 1, 2, 4];
+const FRACTION = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+
+// Plays a recorded solve back through the same tile interpolation as the
+// game, with play/pause, a scrub bar and playback speed
+export default function ReplayViewer({ replay, webgl, onWebglError, onClose }) {
+  const i18n = useI18n(); // `t` is the alignment here
+  const duration = replayDuration(replay);
+  const [playhead, setPlayhead] = useState(0); // ms into the replay
+  const [playing, setPlaying] = useState(true);
+  const [speed, setSpeed] = useState(1);
+  const rafRef = useRef(null);
+  const {
+    w: imgW,
+    h: imgH,
+    error: imgError,
+    retry: retryImage,
+  } = useImageSize(replay.stage.image);
+  // at most VIEW_W × VIEW_H, shrunk to fit narrow screens
+  const [wrapEl, setWrapEl] = useState(null);
+  const { width: viewW, height: viewH } = useBoardSize(wrapEl, VIEW_W, VIEW_H);
+  const { drawW, drawH } = fitContain(imgW || 4, imgH || 3, viewW, viewH);
+
+  const tiles = useMemo(
+    () =>
+      buildTiles(
+        replay.grid,
+        replay.seed,
+        replay.stageIndex,
+        replay.stage.scatter,
+        replay.stage.name
+      ),
+    [replay]
+  );
+  const { secretAngle, secretPitch } = useMemo(
+    () =>
+      secretOrientation(replay.seed, replay.stageIndex, replay.mode === "dual"),
+    [replay]
+  );
+  const check = useMemo(() => verifyReplay(replay), [replay]);
+  const flags = useMemo(() => checkReplay(replay), [replay]);
+
+  const { angle, pitch } = viewAt(replay.frames, playhead);
+  const t = alignment(angle, pitch, secretAngle, secretPitch, replay.sharpness);
+
+  // advance the playhead in real time (scaled by the speed)
+  useEffect(() => {
+    if (!playing) return;
+    let last = performance.now();
+    const step = (now) => {
+      const dt = (now - last) * speed;
+      last = now;
+      setPlayhead((ms) => Math.min(duration, ms + dt));
+      rafRef.current = requestAnimationFrame(step);
+    };
+    rafRef.current = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(rafRef.current);
+  }, [playing, speed, duration]);
+
+  // stop at the end
+  useEffect(() => {
+    if (playhead >= duration) setPlaying(false);
+  }, [playhead, duration]);
+
+  const togglePlay = () => {
+    // from the end, play starts over
+    if (!playing && playhead >= duration) setPlayhead(0);
+    setPlaying(!playing);
+  };
+
+  return (
+    <div style={styles.wrap} ref={setWrapEl}>
+      <div style={styles.header}>
+        <h2 style={styles.title}>
+          {i18n.t("replay.title", {
+            name: replay.stage.name || replay.stage.id,
+          })}
+        </h2>
+        <button style={styles.button} onClick={onClose}>
+          {i18n.t("replay.close")}
+        </button>
+      </div>
+      <div style={styles.meta}>
+        {replay.player && <span>{replay.player}</span>}
+        <span>
+          {i18n.formatTime(replay.time)}
+          {replay.points != null &&
+            ` · ${i18n.t("common.points", {
+              points: i18n.formatNumber(replay.points),
+            })}`}
+        </span>
+        <span>
+          {i18n.t("replay.seed")} <code>{replay.seed}</code>
+        </span>
+        <span
+          style={check.solved && check.timeMatches ? styles.ok : styles.bad}
+        >
+          {check.solved && check.timeMatches
+            ? i18n.t("replay.ok")
+            : !check.solved
+            ? i18n.t("replay.unsolved")
+            : i18n.t("replay.timeMismatch")}
+        </span>
+        {flags.length > 0 && (
+          <span style={styles.bad}>
+            {i18n.t("replay.unverified", {
+              reasons: flags
+                .map((flag) => i18n.t(`integrity.${flag}`))
+                .join("; "),
+            })}
+          </span>
+        )}
+      </div>
+
+      <div
+        style={{ ...styles.board, width: viewW, height: viewH }}
+        aria-label={i18n.t("replay.board", { name: replay.stage.name || "" })}
+      >
+        {webgl && (
+          <WebGLBoundary onError={onWebglError}>
+            <Suspense fallback={null}>
+              <ParticleCanvas
+                width={viewW}
+                height={viewH}
+                imgUrl={replay.stage.image}
+                tiles={tiles}
+                grid={replay.grid}
+                angle={angle}
+                pitch={pitch}
+                wobbleAmp={6}
+                t={t}
+                drawW={drawW}
+                drawH={drawH}
+              />
+            </Suspense>
+          </WebGLBoundary>
+        )}
+        <div
+          style={{
+            position: "absolute",
+            left: (viewW - drawW) / 2,
+            top: (viewH - drawH) / 2,
+            width: drawW,
+            height: drawH,
+          }}
+        >
+          {!webgl && (
+            <DomTiles
+              tiles={tiles}
+              grid={replay.grid}
+              imgUrl={replay.stage.image}
+              drawW={drawW}
+              drawH={drawH}
+              angle={angle}
+              pitch={pitch}
+              t={t}
+              wobbleAmp={6}
+              solved={t > replay.solveThreshold}
+            />
+          )}
+          {imgError && (
+            <div style={styles.error} role="alert">
+              <div>{imgError}</div>
+              <button style={styles.button} onClick={retryImage}>
+                {i18n.t("image.retry")}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div style={styles.controls}>
+        <button style={styles.button} onClick={togglePlay}>
+          {playing ? "⏸" : "▶"}
+        </button>
+        <input
+          type="range"
+          aria-label={i18n.t("replay.scrub")}
+          min={0}
+          max={duration}
+          step={1}
+          value={playhead}
+          onChange={(e) => {
+            setPlaying(false);
+            setPlayhead(Number(e.target.value));
+          }}
+          style={{ flex: 1 }}
+        />
+        <span style={styles.time}>
+          {i18n.formatNumber(playhead / 1000, FRACTION)} /{" "}
+          {i18n.formatTime(duration / 1000)}
+        </span>
+        <select
+          aria-label={i18n.t("replay.speed")}
+          style={styles.select}
+          value={speed}
+          onChange={(e) => setSpeed(Number(e.target.value))}
+        >
+          {SPEEDS.map((s) => (
+            <option key={s} value={s}>
+              ×{i18n.formatNumber(s)}
+            </option>
+          ))}
+        </select>
+        <button style={styles.button} onClick={() => exportReplay(replay)}>
+          {i18n.t("replay.download")}
+        </button>
+      </div>
+      <div style={styles.accuracy}>
+        {i18n.t("replay.accuracy", {
+          percent: i18n.formatNumber(t * 100, FRACTION),
+        })}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  wrap: { maxWidth: VIEW_W, margin: "0 auto" },
+  header: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  title: { margin: "0 0 8px", fontSize: 20 },
+  meta: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 16,
+    fontSize: 14,
+    marginBottom: 12,
+    opacity: 0.9,
+  },
+  ok: { color: "#5fd4a0" },
+  bad: { color: "#ff7878" },
+  board: {
+    position: "relative",
+    borderRadius: 16,
+    overflow: "hidden",
+    background: "radial-gradient(circle at 50% 50%, #1b1b1b, #0d0d0d)",
+  },
+  error: { position: "absolute", inset: 0, padding: 16, color: "#ff7878" },
+  controls: { display: "flex", alignItems: "center", gap: 12, marginTop: 12 },
+  time: { width: 110, textAlign: "right", fontSize: 13 },
+  accuracy: { marginTop: 8, fontSize: 13, opacity: 0.8 },
+  button: {
+    padding: "8px 12px",
+    borderRadius: 8,
+    border: "1px solid #445566",
+    background: "#1a2633",
+    color: "#e8eef8",
+  },
+  select: {
+    padding: "6px 8px",
+    borderRadius: 8,
+    border: "1px solid #2e3a46",
+    background: "#0f1419",
+    color: "#e8eef8",
+  },
+};
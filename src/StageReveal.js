@@ -0,0 +1,114 @@
+import React from "react";
+import { useI18n } from "./i18n";
+
+// Panel shown under the board once a stage is solved: who the figure is,
+// key dates, and a multiple-choice question worth bonus points.
+// `choice` is the index the player picked (null until answered).
+export default function StageReveal({
+  stage,
+  choice,
+  bonus,
+  onAnswer,
+  children,
+}) {
+  const { t } = useI18n();
+  const { quiz } = stage;
+  const answered = choice != null;
+
+  return (
+    <section
+      style={styles.panel}
+      aria-label={t("reveal.about", { name: stage.name })}
+    >
+      <h2 style={styles.name}>{stage.name}</h2>
+      {stage.bio && <p style={styles.bio}>{stage.bio}</p>}
+
+      {stage.facts.length > 0 && (
+        <ul style={styles.facts}>
+          {stage.facts.map((fact, idx) => (
+            <li key={idx} style={styles.fact}>
+              <span style={styles.date}>{fact.date}</span>
+              <span>{fact.event}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {quiz && (
+        <div style={styles.quiz}>
+          <div style={styles.question}>
+            {t("reveal.question", { bonus, question: quiz.question })}
+          </div>
+          <div style={styles.choices}>
+            {quiz.choices.map((text, idx) => (
+              <button
+                key={idx}
+                style={{ ...styles.choice, ...choiceStyle(quiz, choice, idx) }}
+                disabled={answered}
+                onClick={() => onAnswer(idx)}
+              >
+                {text}
+              </button>
+            ))}
+          </div>
+          {answered && (
+            <div style={styles.result} role="status">
+              {choice === quiz.answer
+                ? t("reveal.correct", { bonus })
+                : t("reveal.wrong", { answer: quiz.choices[quiz.answer] })}
+            </div>
+          )}
+        </div>
+      )}
+
+      {(!quiz || answered) && <div style={styles.actions}>{children}</div>}
+    </section>
+  );
+}
+
+// highlight the right answer and the player's wrong pick once answered
+function choiceStyle(quiz, choice, idx) {
+  if (choice == null) return null;
+  if (idx === quiz.answer) return styles.correct;
+  if (idx === choice) return styles.wrong;
+  return { opacity: 0.5 };
+}
+
+const styles = {
+  panel: {
+    maxWidth: 720,
+    margin: "0 auto 16px auto",
+    background: "rgba(255,255,255,0.04)",
+    padding: 16,
+    borderRadius: 12,
+    boxShadow: "0 8px 24px rgba(0,0,0,0.25)",
+  },
+  name: { margin: "0 0 8px", fontSize: 20 },
+  bio: { margin: "0 0 12px", lineHeight: 1.5, opacity: 0.9 },
+  facts: { listStyle: "none", padding: 0, margin: "0 0 16px" },
+  fact: { display: "flex", gap: 12, padding: "4px 0", fontSize: 14 },
+  date: { minWidth: 90, fontWeight: 600, color: "#78e0ff" },
+  quiz: {
+    borderTop: "1px solid rgba(255,255,255,0.1)",
+    paddingTop: 12,
+  },
+  question: { fontWeight: 600, marginBottom: 10 },
+  choices: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
+    gap: 8,
+  },
+  choice: {
+    padding: "8px 12px",
+    borderRadius: 8,
+    border: "1px solid #445566",
+    background: "#1a2633",
+    color: "#e8eef8",
+    cursor: "pointer",
+    textAlign: "left",
+  },
+  correct: { borderColor: "#5fd4a0", background: "rgba(95,212,160,0.2)" },
+  wrong: { borderColor: "#ff7878", background: "rgba(255,120,120,0.2)" },
+  result: { marginTop: 10, fontWeight: 600 },
+  actions: { marginTop: 16, textAlign: "right" },
+};
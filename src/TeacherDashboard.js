@@ -0,0 +1,314 @@
+import React, { useState } from "react";
+import {
+  DEFAULT_TIME_LIMIT,
+  MAX_TIME_LIMIT,
+  exportSession,
+  sessionStats,
+} from "./classSession";
+import { DIFFICULTY_PRESETS } from "./difficulty";
+import { useI18n } from "./i18n";
+
+// Teacher mode: set up a class session on the pack chosen in the menu, then
+// seat the students one after another. Their results stay on this machine
+// until exported for the gradebook.
+export default function TeacherDashboard({
+  session,
+  pack,
+  stages,
+  onCreate,
+  onReset,
+  onStart,
+  onBack,
+}) {
+  const { t, formatDate, formatNumber, formatTime } = useI18n();
+  const [stageIds, setStageIds] = useState(() =>
+    stages.map((stage) => stage.id)
+  );
+  const [difficulty, setDifficulty] = useState("normal");
+  const [timeLimit, setTimeLimit] = useState(DEFAULT_TIME_LIMIT);
+  const [student, setStudent] = useState("");
+
+  const toggleStage = (id) =>
+    setStageIds((ids) =>
+      ids.includes(id) ? ids.filter((other) => other !== id) : [...ids, id]
+    );
+
+  const create = () =>
+    onCreate({
+      packId: pack.id,
+      packName: pack.name,
+      // pack order, whatever order they were ticked in
+      stageIds: stages
+        .filter((stage) => stageIds.includes(stage.id))
+        .map((stage) => stage.id),
+      difficulty,
+      timeLimit,
+    });
+
+  const reset = () => {
+    if (session.results.length && !window.confirm(t("teacher.confirmReset"))) {
+      return;
+    }
+    onReset();
+  };
+
+  if (!session) {
+    return (
+      <div style={styles.wrap}>
+        <h2>{t("teacher.title")}</h2>
+        <p style={styles.summary}>{t("teacher.intro", { pack: pack.name })}</p>
+        <fieldset style={styles.fieldset}>
+          <legend>{t("teacher.stages")}</legend>
+          {stages.map((stage) => (
+            <label key={stage.id} style={styles.check}>
+              <input
+                type="checkbox"
+                checked={stageIds.includes(stage.id)}
+                onChange={() => toggleStage(stage.id)}
+              />
+              {stage.name}
+            </label>
+          ))}
+        </fieldset>
+        <div style={styles.row}>
+          <label htmlFor="teacher-difficulty">{t("difficulty.label")}</label>
+          <select
+            id="teacher-difficulty"
+            value={difficulty}
+            onChange={(e) => setDifficulty(e.target.value)}
+          >
+            {DIFFICULTY_PRESETS.filter((p) => p.id !== "custom").map((p) => (
+              <option key={p.id} value={p.id}>
+                {t(`difficulty.${p.id}`)}
+              </option>
+            ))}
+          </select>
+          <label htmlFor="teacher-time-limit">{t("teacher.timeLimit")}</label>
+          <input
+            id="teacher-time-limit"
+            type="number"
+            min={0}
+            max={MAX_TIME_LIMIT}
+            step={10}
+            value={timeLimit}
+            onChange={(e) => setTimeLimit(Number(e.target.value))}
+            style={styles.number}
+          />
+        </div>
+        <p style={styles.note}>{t("teacher.timeLimitHelp")}</p>
+        <div style={styles.buttons}>
+          <button
+            style={styles.primary}
+            onClick={create}
+            disabled={stageIds.length === 0}
+          >
+            {t("teacher.create")}
+          </button>
+          <button style={styles.button} onClick={onBack}>
+            {t("common.backToMenu")}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const stats = sessionStats(session);
+  const hardest = stats.stages.find((s) => s.stageId === stats.hardest);
+  // the session plays its own pack; the menu may have moved to another one
+  const packReady = pack.id === session.packId;
+  const name = student.trim();
+
+  return (
+    <div style={styles.wrap}>
+      <h2>{t("teacher.title")}</h2>
+      <p style={styles.summary}>
+        {t("teacher.session", {
+          pack: session.packName,
+          n: session.stageIds.length,
+          difficulty: t(`difficulty.${session.difficulty}`),
+        })}{" "}
+        ·{" "}
+        {session.timeLimit
+          ? t("teacher.limit", { time: formatTime(session.timeLimit) })
+          : t("teacher.noLimit")}
+      </p>
+
+      <form
+        style={styles.row}
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (name && packReady) onStart(name);
+        }}
+      >
+        <label htmlFor="teacher-student">{t("teacher.student")}</label>
+        <input
+          id="teacher-student"
+          value={student}
+          maxLength={40}
+          onChange={(e) => setStudent(e.target.value)}
+        />
+        <button style={styles.primary} disabled={!name || !packReady}>
+          {t("teacher.startStudent")}
+        </button>
+      </form>
+      {!packReady && (
+        <p style={styles.warning} role="alert">
+          {t("teacher.otherPack", { pack: session.packName })}
+        </p>
+      )}
+
+      <h3>{t("teacher.stats")}</h3>
+      {stats.students === 0 ? (
+        <p style={styles.note}>{t("teacher.empty")}</p>
+      ) : (
+        <>
+          <p style={styles.summary}>
+            {t("teacher.studentCount", { n: stats.students })}
+            {hardest && ` · ${t("teacher.hardest", { stage: hardest.stage })}`}
+          </p>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>{t("table.figure")}</th>
+                <th style={styles.th}>{t("teacher.solved")}</th>
+                <th style={styles.th}>{t("teacher.averageTime")}</th>
+                <th style={styles.th}>{t("teacher.averagePoints")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.stages.map((s) => (
+                <tr
+                  key={s.stageId}
+                  style={s.stageId === stats.hardest ? styles.hardest : null}
+                >
+                  <td style={styles.td}>{s.stage}</td>
+                  <td style={styles.td}>
+                    {s.solved}/{s.attempts}
+                  </td>
+                  <td style={styles.td}>
+                    {s.averageTime == null ? "—" : formatTime(s.averageTime)}
+                  </td>
+                  <td style={styles.td}>
+                    {s.averagePoints == null
+                      ? "—"
+                      : formatNumber(Math.round(s.averagePoints))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h3>{t("teacher.students")}</h3>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>{t("table.player")}</th>
+                <th style={styles.th}>{t("table.date")}</th>
+                <th style={styles.th}>{t("table.time")}</th>
+                <th style={styles.th}>{t("table.points")}</th>
+                <th style={styles.th}>{t("teacher.solved")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {session.results.map((result, idx) => (
+                <tr key={idx}>
+                  <td style={styles.td}>{result.student}</td>
+                  <td style={styles.td}>{formatDate(result.date)}</td>
+                  <td style={styles.td}>{formatTime(result.time)}</td>
+                  <td style={styles.td}>
+                    {formatNumber(result.total)}
+                    {result.stages.some((s) => s.flags?.length) && (
+                      <span
+                        style={styles.unverified}
+                        title={t("results.unverified")}
+                      >
+                        {" "}
+                        ⚠
+                      </span>
+                    )}
+                  </td>
+                  <td style={styles.td}>
+                    {result.stages.filter((s) => !s.gaveUp).length}/
+                    {result.stages.length}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      <div style={styles.buttons}>
+        <button
+          style={styles.button}
+          onClick={() => exportSession(session, "csv")}
+          disabled={stats.students === 0}
+        >
+          {t("teacher.exportCsv")}
+        </button>
+        <button
+          style={styles.button}
+          onClick={() => exportSession(session, "json")}
+          disabled={stats.students === 0}
+        >
+          {t("teacher.exportJson")}
+        </button>
+        <button style={styles.button} onClick={reset}>
+          {t("teacher.reset")}
+        </button>
+        <button style={styles.button} onClick={onBack}>
+          {t("common.backToMenu")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  wrap: { maxWidth: 720, margin: "0 auto" },
+  summary: { opacity: 0.85 },
+  note: { fontSize: 13, opacity: 0.7 },
+  warning: { color: "#ff9f43" },
+  fieldset: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(200px, 1fr))",
+    gap: 6,
+    margin: "16px 0",
+    border: "1px solid rgba(255,255,255,0.15)",
+    borderRadius: 8,
+  },
+  check: { display: "flex", alignItems: "center", gap: 6 },
+  row: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "center",
+    gap: 10,
+    margin: "12px 0",
+  },
+  number: { width: 80 },
+  table: { width: "100%", borderCollapse: "collapse", margin: "8px 0 16px" },
+  th: {
+    textAlign: "left",
+    padding: "6px 8px",
+    borderBottom: "1px solid rgba(255,255,255,0.2)",
+  },
+  td: { padding: "6px 8px", borderBottom: "1px solid rgba(255,255,255,0.08)" },
+  hardest: { background: "rgba(255,159,67,0.15)" },
+  unverified: { color: "#ff9f43", cursor: "help" },
+  buttons: { display: "flex", flexWrap: "wrap", gap: 10, marginTop: 16 },
+  primary: {
+    padding: "10px 20px",
+    borderRadius: 8,
+    border: "none",
+    background: "linear-gradient(90deg,#4a9eff,#5fd4a0)",
+    color: "#fff",
+    fontWeight: 600,
+  },
+  button: {
+    padding: "10px 20px",
+    borderRadius: 8,
+    border: "1px solid #445566",
+    background: "#1a2633",
+    color: "#e8eef8",
+  },
+};
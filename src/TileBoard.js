@@ -0,0 +1,155 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  blankTile,
+  isSolved,
+  slideTile,
+  slideToward,
+  swapTiles,
+} from "./gameModes";
+import { useI18n } from "./i18n";
+
+// Arrow key -> direction the tile next to the gap moves in (sliding mode)
+const SLIDE_KEYS = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1],
+};
+
+// Board of the tile modes (see gameModes.js), drawn over the same image
+// slicing as DomTiles. It owns the tile order and reports every move and the
+// solve; the parent keeps the clock and the score, and remounts it (key) for
+// each new stage or turn.
+export default function TileBoard({
+  mode,
+  grid,
+  seed,
+  stageIndex,
+  imgUrl,
+  drawW,
+  drawH,
+  locked,
+  reducedMotion,
+  onMove,
+  onSolved,
+}) {
+  const { t } = useI18n();
+  const [cells, setCells] = useState(() =>
+    mode.scramble(grid, seed, stageIndex)
+  );
+  const [moves, setMoves] = useState(0);
+  const [selected, setSelected] = useState(null); // swap: first pick
+  const dragFrom = useRef(null); // swap: position a drag started on
+  const dropped = useRef(false); // swap: the click after a drop is no pick
+  const solved = isSolved(cells);
+  const sliding = mode.id === "sliding";
+
+  const apply = (next) => {
+    if (!next || locked || solved) return;
+    setCells(next);
+    setMoves(moves + 1);
+    onMove(moves + 1);
+  };
+
+  // report the solve once, after the final move has rendered
+  const reportedRef = useRef(false);
+  useEffect(() => {
+    if (!solved || reportedRef.current) return;
+    reportedRef.current = true;
+    onSolved(moves);
+  }, [solved, moves, onSolved]);
+
+  // sliding: arrow keys move the tiles around the gap
+  const keyRef = useRef(null);
+  keyRef.current = (e) => {
+    if (!sliding || !SLIDE_KEYS[e.key]) return;
+    if (e.target.closest?.("input, select, textarea")) return;
+    const [dx, dy] = SLIDE_KEYS[e.key];
+    apply(slideToward(cells, grid, dx, dy));
+    e.preventDefault();
+  };
+  useEffect(() => {
+    const listener = (e) => keyRef.current(e);
+    window.addEventListener("keydown", listener);
+    return () => window.removeEventListener("keydown", listener);
+  }, []);
+
+  const pick = (pos) => {
+    if (dropped.current) {
+      dropped.current = false;
+      return;
+    }
+    if (sliding) {
+      apply(slideTile(cells, grid, pos));
+      return;
+    }
+    if (selected == null) {
+      if (!locked) setSelected(pos);
+      return;
+    }
+    setSelected(null);
+    apply(swapTiles(cells, selected, pos));
+  };
+
+  const tileW = drawW / grid;
+  const tileH = drawH / grid;
+  const gap = blankTile(grid);
+
+  return cells.map((id, pos) => {
+    // the gap stays empty until the picture is complete
+    if (sliding && id === gap && !solved) return null;
+    const col = id % grid;
+    const row = Math.floor(id / grid);
+    return (
+      <button
+        key={id}
+        type="button"
+        aria-label={t("game.tile", { row: row + 1, col: col + 1 })}
+        aria-pressed={selected === pos}
+        disabled={locked}
+        onClick={() => pick(pos)}
+        data-pos={pos}
+        onPointerDown={() => {
+          dragFrom.current = pos;
+          dropped.current = false;
+        }}
+        onPointerUp={(e) => {
+          // swap: dropped on another tile. Touch keeps sending events to the
+          // tile the drag started on, so look up what is under the finger.
+          const from = dragFrom.current;
+          dragFrom.current = null;
+          const under = document.elementFromPoint?.(e.clientX, e.clientY);
+          const to = Number(under?.closest("[data-pos]")?.dataset.pos ?? pos);
+          if (sliding || from == null || from === to) return;
+          dropped.current = true;
+          setSelected(null);
+          apply(swapTiles(cells, from, to));
+        }}
+        style={{
+          ...styles.tile,
+          left: (pos % grid) * tileW,
+          top: Math.floor(pos / grid) * tileH,
+          width: tileW,
+          height: tileH,
+          backgroundImage: `url(${imgUrl})`,
+          backgroundSize: `${drawW}px ${drawH}px`,
+          backgroundPosition: `${-col * tileW}px ${-row * tileH}px`,
+          outline: selected === pos ? "3px solid #ffd700" : "none",
+          boxShadow: solved ? "none" : "inset 0 0 0 1px rgba(0,0,0,0.35)",
+          transition: reducedMotion ? undefined : "left 0.12s, top 0.12s",
+        }}
+      />
+    );
+  });
+}
+
+const styles = {
+  tile: {
+    position: "absolute",
+    padding: 0,
+    border: "none",
+    borderRadius: 0,
+    cursor: "pointer",
+    touchAction: "none",
+  },
+};
@@ -0,0 +1,20 @@
+import { Component } from "react";
+
+// Drops back to the DOM renderer if three.js fails to load or the WebGL
+// context cannot be created after all
+export default class WebGLBoundary extends Component {
+  state = { failed: false };
+
+  static getDerivedStateFromError() {
+    return { failed: true };
+  }
+
+  componentDidCatch(error) {
+    console.warn("WebGL renderer unavailable, using DOM tiles", error);
+    this.props.onError?.();
+  }
+
+  render() {
+    return this.state.failed ? null : this.props.children;
+  }
+}
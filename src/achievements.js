@@ -0,0 +1,192 @@
+// Achievements: badges unlocked by what happens in the game. The game loop
+// reports two kinds of events and the engine checks every locked badge
+// against them:
+//   { type: "stage", score, date }   a stage score was recorded or updated
+//                                    (the quiz answer adds its bonus later)
+//   { type: "run", scores, time, packId, packIds, seed, date }
+//                                    a run was finished; packIds lists every
+//                                    pack the player can pick
+// Checks are plain predicates, so reporting the same event twice is
+// harmless. What has to be remembered between runs (packs finished, daily
+// streak) is kept in the progress next to the unlock dates:
+//   { version, unlocked: { [id]: ISO date }, packs: [packId],
+//     daily: { last: "daily-YYYY-MM-DD" | null, streak } }
+// Names and descriptions are in the catalogs under `achievement.<id>`.
+
+import { dailySeed } from "./seed";
+
+export const ACHIEVEMENTS_VERSION = 1;
+export const QUICK_SOLVE_SECONDS = 15;
+export const SPEED_RUN_SECONDS = 120; // whole run
+export const PERFECT_POINTS = 1000; // one stage, quiz bonus included
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const ACHIEVEMENTS = [
+  {
+    id: "first-solve",
+    icon: "🧩",
+    check: (e) => e.type === "stage" && !e.score.gaveUp,
+  },
+  {
+    id: "quick-solve",
+    icon: "⚡",
+    check: (e) =>
+      e.type === "stage" &&
+      !e.score.gaveUp &&
+      e.score.time < QUICK_SOLVE_SECONDS,
+  },
+  {
+    id: "perfect",
+    icon: "💯",
+    check: (e) =>
+      e.type === "stage" &&
+      e.score.points + (e.score.quizBonus || 0) >= PERFECT_POINTS,
+  },
+  {
+    id: "no-hints",
+    icon: "🧠",
+    check: (e) =>
+      e.type === "run" &&
+      completeRun(e) &&
+      e.scores.every((score) => score.hints.length === 0),
+  },
+  {
+    id: "quiz-master",
+    icon: "🎓",
+    check: (e) =>
+      e.type === "run" &&
+      completeRun(e) &&
+      e.scores.some((score) => score.quizChoice != null) &&
+      e.scores.every(
+        (score) => score.quizChoice == null || score.quizBonus > 0
+      ),
+  },
+  {
+    id: "speed-run",
+    icon: "⏱️",
+    check: (e) =>
+      e.type === "run" && completeRun(e) && e.time < SPEED_RUN_SECONDS,
+  },
+  {
+    id: "all-packs",
+    icon: "📚",
+    check: (e, progress) =>
+      e.type === "run" && e.packIds.every((id) => progress.packs.includes(id)),
+  },
+  {
+    id: "daily-3",
+    icon: "📅",
+    check: (e, progress) => progress.daily.streak >= 3,
+  },
+  {
+    id: "daily-7",
+    icon: "🔥",
+    check: (e, progress) => progress.daily.streak >= 7,
+  },
+];
+
+export function emptyProgress() {
+  return {
+    version: ACHIEVEMENTS_VERSION,
+    unlocked: {},
+    packs: [],
+    daily: { last: null, streak: 0 },
+  };
+}
+
+// Apply one event: returns the new progress and the ids it unlocked (in
+// ACHIEVEMENTS order). The progress is returned as is when nothing changed.
+export function evaluate(progress, event) {
+  const next =
+    event.type === "run" ? recordRunProgress(progress, event) : progress;
+  const unlocked = ACHIEVEMENTS.filter(
+    (a) => !next.unlocked[a.id] && a.check(event, next)
+  ).map((a) => a.id);
+  if (!unlocked.length) return { progress: next, unlocked };
+  const at = (event.date || new Date()).toISOString();
+  const dates = Object.fromEntries(unlocked.map((id) => [id, at]));
+  return {
+    progress: { ...next, unlocked: { ...next.unlocked, ...dates } },
+    unlocked,
+  };
+}
+
+export function getAchievement(id) {
+  return ACHIEVEMENTS.find((a) => a.id === id);
+}
+
+// Streak as of `date`: it lapses once a day's challenge has been missed
+export function currentStreak(progress, date = new Date()) {
+  const { last, streak } = progress.daily;
+  return daysBetween(last, dailySeed(date)) <= 1 ? streak : 0;
+}
+
+// Finished packs and the daily streak; only runs with every stage solved
+// count, and only today's daily challenge extends the streak
+function recordRunProgress(progress, event) {
+  if (!completeRun(event)) return progress;
+  let { packs, daily } = progress;
+  if (!packs.includes(event.packId)) packs = [...packs, event.packId];
+  const today = dailySeed(event.date || new Date());
+  if (event.seed === today && daily.last !== today) {
+    daily = {
+      last: today,
+      streak: daysBetween(daily.last, today) === 1 ? daily.streak + 1 : 1,
+    };
+  }
+  if (packs === progress.packs && daily === progress.daily) return progress;
+  return { ...progress, packs, daily };
+}
+
+function completeRun(event) {
+  return event.scores.length > 0 && event.scores.every((s) => !s.gaveUp);
+}
+
+// Whole days from one daily seed to the next; NaN when there is none
+function daysBetween(from, to) {
+  const day = (seed) => Date.parse(`${seed?.slice("daily-".length)}T00:00Z`);
+  return Math.round((day(to) - day(from)) / DAY_MS);
+}
+
+// ------- reading / writing -------
+export async function loadAchievements(storage) {
+  try {
+    return normalizeProgress(await storage.read());
+  } catch (err) {
+    console.warn("Achievements unreadable, starting fresh", err);
+    return emptyProgress();
+  }
+}
+
+export function saveAchievements(storage, progress) {
+  return storage.write(progress).catch((err) => {
+    console.warn("Could not save achievements", err);
+  });
+}
+
+// Keep only well-formed parts of whatever was stored
+export function normalizeProgress(raw) {
+  const progress = emptyProgress();
+  if (!raw || typeof raw !== "object") return progress;
+  if (raw.unlocked && typeof raw.unlocked === "object") {
+    for (const [id, date] of Object.entries(raw.unlocked)) {
+      if (getAchievement(id) && typeof date === "string") {
+        progress.unlocked[id] = date;
+      }
+    }
+  }
+  if (Array.isArray(raw.packs)) {
+    progress.packs = raw.packs.filter((id) => typeof id === "string");
+  }
+  const daily = raw.daily;
+  if (
+    daily &&
+    typeof daily.last === "string" &&
+    Number.isInteger(daily.streak) &&
+    daily.streak > 0
+  ) {
+    progress.daily = { last: daily.last, streak: daily.streak };
+  }
+  return progress;
+}
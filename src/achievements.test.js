@@ -0,0 +1,139 @@
+import {
+  currentStreak,
+  emptyProgress,
+  evaluate,
+  loadAchievements,
+  normalizeProgress,
+} from "./achievements";
+import { createLocalStorage } from "./storage";
+
+const date = new Date("2024-03-10T12:00:00Z");
+const score = (extra) => ({
+  time: 30,
+  points: 700,
+  hints: [],
+  quizChoice: null,
+  quizBonus: 0,
+  ...extra,
+});
+const run = (scores, extra) => ({
+  type: "run",
+  scores,
+  time: scores.reduce((sum, s) => sum + s.time, 0),
+  packId: "builtin",
+  packIds: ["builtin", "extra"],
+  seed: "abc",
+  date,
+  ...extra,
+});
+
+test("a stage solve unlocks its badges once", () => {
+  const event = { type: "stage", score: score({ time: 9.5 }), date };
+  let { progress, unlocked } = evaluate(emptyProgress(), event);
+  expect(unlocked).toEqual(["first-solve", "quick-solve"]);
+  expect(progress.unlocked["first-solve"]).toBe(date.toISOString());
+
+  const again = evaluate(progress, event);
+  expect(again.unlocked).toEqual([]);
+  expect(again.progress).toBe(progress);
+});
+
+test("the quiz bonus counts toward a perfect stage", () => {
+  const stage = (extra) => ({ type: "stage", score: score(extra), date });
+  const { progress } = evaluate(emptyProgress(), stage({ points: 800 }));
+  expect(progress.unlocked.perfect).toBeUndefined();
+  const { unlocked } = evaluate(
+    progress,
+    stage({ points: 800, quizChoice: 1, quizBonus: 200 })
+  );
+  expect(unlocked).toEqual(["perfect"]);
+});
+
+test("run badges need every stage solved", () => {
+  const scores = [
+    score({ quizChoice: 0, quizBonus: 200 }),
+    score({ quizChoice: 2, quizBonus: 200 }),
+  ];
+  expect(evaluate(emptyProgress(), run(scores)).unlocked).toEqual([
+    "no-hints",
+    "quiz-master",
+    "speed-run",
+  ]);
+
+  const gaveUp = [...scores, score({ gaveUp: true, points: 0 })];
+  expect(evaluate(emptyProgress(), run(gaveUp)).unlocked).toEqual([]);
+
+  const slowWithHints = [score({ time: 200, hints: ["arrow"] })];
+  expect(evaluate(emptyProgress(), run(slowWithHints)).unlocked).toEqual([]);
+});
+
+test("all packs unlock once the last one is finished", () => {
+  let { progress, unlocked } = evaluate(emptyProgress(), run([score()]));
+  expect(progress.packs).toEqual(["builtin"]);
+  expect(unlocked).not.toContain("all-packs");
+
+  ({ progress, unlocked } = evaluate(
+    progress,
+    run([score()], { packId: "extra" })
+  ));
+  expect(progress.packs).toEqual(["builtin", "extra"]);
+  expect(unlocked).toEqual(["all-packs"]);
+});
+
+test("daily challenges on consecutive days build a streak", () => {
+  const daily = (day) => {
+    const at = new Date(`2024-03-${day}T08:00:00Z`);
+    return run([score({ time: 200 })], {
+      seed: `daily-2024-03-${day}`,
+      date: at,
+    });
+  };
+  let progress = emptyProgress();
+  for (const day of ["01", "02"])
+    ({ progress } = evaluate(progress, daily(day)));
+  expect(progress.daily).toEqual({ last: "daily-2024-03-02", streak: 2 });
+
+  // the same day twice does not count twice
+  ({ progress } = evaluate(progress, daily("02")));
+  expect(progress.daily.streak).toBe(2);
+
+  const { unlocked, progress: third } = evaluate(progress, daily("03"));
+  expect(unlocked).toEqual(["daily-3"]);
+  expect(currentStreak(third, new Date("2024-03-04T10:00:00Z"))).toBe(3);
+  expect(currentStreak(third, new Date("2024-03-05T10:00:00Z"))).toBe(0);
+
+  // a missed day starts over
+  ({ progress } = evaluate(third, daily("05")));
+  expect(progress.daily).toEqual({ last: "daily-2024-03-05", streak: 1 });
+});
+
+test("an old daily seed does not extend the streak", () => {
+  const { progress } = evaluate(
+    emptyProgress(),
+    run([score()], { seed: "daily-2024-03-01" })
+  );
+  expect(progress.daily).toEqual({ last: null, streak: 0 });
+});
+
+test("normalizeProgress drops unknown badges and malformed parts", () => {
+  const progress = normalizeProgress({
+    unlocked: { perfect: "2024-01-01T00:00:00.000Z", nope: "x", "no-hints": 3 },
+    packs: ["builtin", 7],
+    daily: { last: "daily-2024-01-01", streak: -1 },
+  });
+  expect(progress.unlocked).toEqual({ perfect: "2024-01-01T00:00:00.000Z" });
+  expect(progress.packs).toEqual(["builtin"]);
+  expect(progress.daily).toEqual({ last: null, streak: 0 });
+  expect(normalizeProgress("junk")).toEqual(emptyProgress());
+});
+
+test("unreadable storage starts with nothing unlocked", async () => {
+  window.localStorage.setItem("test.achievements", "{not json");
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  const progress = await loadAchievements(
+    createLocalStorage("test.achievements")
+  );
+  expect(progress).toEqual(emptyProgress());
+  expect(warn).toHaveBeenCalled();
+  warn.mockRestore();
+});
@@ -0,0 +1,234 @@
+// Class sessions: a teacher sets up a run (stages of one pack, difficulty,
+// time limit per stage) and the students play it in turn on the same
+// machine. Every finished run is kept with the session:
+//   { version, createdAt, seed, packId, packName, stageIds, difficulty,
+//     timeLimit, results: [{ student, date, total, time, stages }] }
+//   stages: [{ stageId, stage, time, points, quizBonus, hints, gaveUp,
+//              flags }]
+// Every student plays the session's one `seed`, so the stats compare the
+// same puzzles. `timeLimit` is in seconds (0: none) and `flags` are the
+// score's integrity flags (integrity.js; null when nothing could be
+// checked). Like the other stored data, a session read back is treated as
+// untrusted.
+
+import { getPreset } from "./difficulty";
+import { checkScore } from "./integrity";
+import { randomSeed } from "./seed";
+
+export const CLASS_SESSION_VERSION = 1;
+export const DEFAULT_TIME_LIMIT = 120; // seconds per stage
+export const MAX_TIME_LIMIT = 600;
+
+export function createSession(
+  { seed, packId, packName, stageIds, difficulty, timeLimit },
+  date = new Date()
+) {
+  // the presets only: every student plays by the same rules
+  const preset = getPreset(difficulty);
+  return {
+    version: CLASS_SESSION_VERSION,
+    createdAt: date.toISOString(),
+    seed: typeof seed === "string" && seed ? seed : randomSeed(),
+    packId,
+    packName,
+    stageIds,
+    difficulty: preset.id === "custom" ? "normal" : preset.id,
+    timeLimit: clampTimeLimit(timeLimit),
+    results: [],
+  };
+}
+
+// The session's stages, in pack order
+export function sessionStages(session, stages) {
+  return stages.filter((stage) => session.stageIds.includes(stage.id));
+}
+
+// Add one student's finished run
+export function recordResult(session, { student, scores, date = new Date() }) {
+  const stages = scores.map((score) => ({
+    stageId: score.stageId,
+    stage: score.stage,
+    time: score.time,
+    points: score.points,
+    quizBonus: score.quizBonus || 0,
+    hints: score.hints.length,
+    gaveUp: !!score.gaveUp,
+    flags: checkScore(score),
+  }));
+  const result = {
+    student,
+    date: date.toISOString(),
+    total: stages.reduce((sum, s) => sum + s.points + s.quizBonus, 0),
+    time: stages.reduce((sum, s) => sum + s.time, 0),
+    stages,
+  };
+  return { ...session, results: [...session.results, result] };
+}
+
+// Per-stage aggregates over every student, and the hardest stage: the
+// lowest share solved, then the slowest average solve
+export function sessionStats(session) {
+  const stages = session.stageIds.map((stageId) => {
+    const attempts = session.results
+      .map((result) => result.stages.find((s) => s.stageId === stageId))
+      .filter(Boolean);
+    const solved = attempts.filter((s) => !s.gaveUp);
+    return {
+      stageId,
+      stage: attempts[0]?.stage ?? stageId,
+      attempts: attempts.length,
+      solved: solved.length,
+      averageTime: average(solved.map((s) => s.time)),
+      averagePoints: average(attempts.map((s) => s.points + s.quizBonus)),
+    };
+  });
+  const played = stages.filter((s) => s.attempts > 0);
+  const rate = (s) => s.solved / s.attempts;
+  const hardest = played.reduce(
+    (worst, s) =>
+      !worst ||
+      rate(s) < rate(worst) ||
+      (rate(s) === rate(worst) && s.averageTime > worst.averageTime)
+        ? s
+        : worst,
+    null
+  );
+  return {
+    students: session.results.length,
+    stages,
+    hardest: hardest?.stageId ?? null,
+  };
+}
+
+function average(values) {
+  if (!values.length) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// ------- export -------
+const CSV_COLUMNS = [
+  "student",
+  "seed",
+  "date",
+  "stage_id",
+  "stage",
+  "time_s",
+  "points",
+  "quiz_bonus",
+  "hints",
+  "gave_up",
+  "verified",
+];
+
+// One row per student and stage, for a spreadsheet or gradebook
+export function sessionCsv(session) {
+  const rows = session.results.flatMap((result) =>
+    result.stages.map((s) => [
+      result.student,
+      session.seed,
+      result.date,
+      s.stageId,
+      s.stage,
+      s.time.toFixed(1),
+      s.points,
+      s.quizBonus,
+      s.hints,
+      s.gaveUp ? "yes" : "no",
+      s.flags == null ? "" : s.flags.length ? "no" : "yes",
+    ])
+  );
+  return [CSV_COLUMNS, ...rows]
+    .map((row) => row.map(csvField).join(","))
+    .join("\r\n");
+}
+
+// A leading =, +, -, @, tab or CR makes spreadsheets read the cell as a
+// formula, so student names get a quote in front to stay plain text
+function csvField(value) {
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function sessionFileName(session, format) {
+  return `class-session-${session.createdAt.slice(0, 10)}.${format}`;
+}
+
+// Save as a .csv or .json download
+export function exportSession(session, format) {
+  const [body, type] =
+    format === "csv"
+      ? [sessionCsv(session), "text/csv"]
+      : [JSON.stringify(session, null, 2), "application/json"];
+  const blob = new Blob([body], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = sessionFileName(session, format);
+  a.click();
+  // some browsers start the download only after click() returns
+  setTimeout(() => URL.revokeObjectURL(url));
+}
+
+// ------- reading / writing -------
+export async function loadSession(storage) {
+  try {
+    return normalizeSession(await storage.read());
+  } catch (err) {
+    console.warn("Class session unreadable, starting fresh", err);
+    return null;
+  }
+}
+
+export function saveSession(storage, session) {
+  return storage.write(session).catch((err) => {
+    console.warn("Could not save the class session", err);
+  });
+}
+
+// The stored session if it is well-formed, else null
+export function normalizeSession(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  if (raw.version !== CLASS_SESSION_VERSION) return null;
+  const strings = (list) =>
+    Array.isArray(list) && list.every((v) => typeof v === "string");
+  if (
+    typeof raw.createdAt !== "string" ||
+    typeof raw.packId !== "string" ||
+    !strings(raw.stageIds)
+  ) {
+    return null;
+  }
+  return {
+    ...createSession(raw, new Date(raw.createdAt)),
+    packName: typeof raw.packName === "string" ? raw.packName : raw.packId,
+    results: Array.isArray(raw.results)
+      ? raw.results.filter(isValidResult)
+      : [],
+  };
+}
+
+function isValidResult(result) {
+  return (
+    result &&
+    typeof result.student === "string" &&
+    typeof result.date === "string" &&
+    Number.isFinite(result.total) &&
+    Number.isFinite(result.time) &&
+    Array.isArray(result.stages) &&
+    result.stages.every(
+      (s) =>
+        s &&
+        typeof s.stageId === "string" &&
+        Number.isFinite(s.time) &&
+        Number.isFinite(s.points) &&
+        Number.isFinite(s.quizBonus)
+    )
+  );
+}
+
+function clampTimeLimit(seconds) {
+  const value = Math.round(Number(seconds));
+  if (!Number.isFinite(value) || value <= 0) return 0;
+  return Math.min(value, MAX_TIME_LIMIT);
+}
@@ -0,0 +1,133 @@
+import {
+  createSession,
+  loadSession,
+  normalizeSession,
+  recordResult,
+  sessionCsv,
+  sessionStats,
+} from "./classSession";
+import { createLocalStorage } from "./storage";
+
+const DATE = new Date("2024-03-01T08:00:00.000Z");
+
+const session = () =>
+  createSession(
+    {
+      seed: "CLASS1",
+      packId: "p",
+      packName: "Pack",
+      stageIds: ["a", "b"],
+      difficulty: "hard",
+      timeLimit: 90,
+    },
+    DATE
+  );
+
+// [stageId, time, points, gaveUp]
+const scores = (...stages) =>
+  stages.map(([stageId, time, points, gaveUp = false]) => ({
+    stageId,
+    stage: stageId.toUpperCase(),
+    time,
+    points,
+    hints: [],
+    gaveUp,
+  }));
+
+const play = (s, student, ...stages) =>
+  recordResult(s, { student, scores: scores(...stages), date: DATE });
+
+test("collects each student's run", () => {
+  const s = play(session(), "An", ["a", 20, 800], ["b", 90, 0, true]);
+  expect(s.results).toEqual([
+    {
+      student: "An",
+      date: DATE.toISOString(),
+      total: 800,
+      time: 110,
+      stages: [
+        expect.objectContaining({ stageId: "a", points: 800, flags: null }),
+        expect.objectContaining({ stageId: "b", gaveUp: true, hints: 0 }),
+      ],
+    },
+  ]);
+  expect(session().results).toEqual([]);
+  // one seed for the whole class
+  expect(s.seed).toBe("CLASS1");
+  expect(createSession({ stageIds: [] }).seed).toMatch(/^[0-9a-z]{6}$/);
+});
+
+test("averages solved times and finds the hardest stage", () => {
+  let s = play(session(), "An", ["a", 20, 800], ["b", 40, 600]);
+  s = play(s, "Bình", ["a", 30, 700], ["b", 90, 0, true]);
+  const stats = sessionStats(s);
+  expect(stats.students).toBe(2);
+  expect(stats.stages).toEqual([
+    {
+      stageId: "a",
+      stage: "A",
+      attempts: 2,
+      solved: 2,
+      averageTime: 25,
+      averagePoints: 750,
+    },
+    {
+      stageId: "b",
+      stage: "B",
+      attempts: 2,
+      solved: 1,
+      averageTime: 40,
+      averagePoints: 300,
+    },
+  ]);
+  expect(stats.hardest).toBe("b");
+
+  // everyone solved everything: the slowest stage
+  s = play(session(), "An", ["a", 50, 500], ["b", 40, 600]);
+  expect(sessionStats(s).hardest).toBe("a");
+  expect(sessionStats(session()).hardest).toBeNull();
+});
+
+test("exports one CSV row per student and stage", () => {
+  const s = play(session(), 'Lan "Nhỏ", 6A', ["a", 20.25, 800]);
+  const [header, row] = sessionCsv(s).split("\r\n");
+  expect(header).toBe(
+    "student,seed,date,stage_id,stage,time_s,points,quiz_bonus,hints,gave_up,verified"
+  );
+  expect(row).toBe(
+    `"Lan ""Nhỏ"", 6A",CLASS1,${DATE.toISOString()},a,A,20.3,800,0,0,no,`
+  );
+});
+
+test("keeps names that look like formulas as plain text in the CSV", () => {
+  let s = session();
+  for (const name of ["=1+1", "+An", "-Bình", "@Chi", "\tDũng", "\rEm"])
+    s = play(s, name, ["a", 20, 800]);
+  const names = sessionCsv(s)
+    .split("\r\n")
+    .slice(1)
+    .map((row) => row.slice(0, row.indexOf(",CLASS1")));
+  expect(names).toEqual([
+    "'=1+1",
+    "'+An",
+    "'-Bình",
+    "'@Chi",
+    "'\tDũng",
+    `"'\rEm"`,
+  ]);
+});
+
+test("keeps only well-formed stored sessions", async () => {
+  const s = play(session(), "An", ["a", 20, 800]);
+  expect(normalizeSession(JSON.parse(JSON.stringify(s)))).toEqual(s);
+  expect(normalizeSession({ ...s, version: 99 })).toBeNull();
+  expect(normalizeSession({ ...s, timeLimit: -5 }).timeLimit).toBe(0);
+  expect(
+    normalizeSession({ ...s, results: [...s.results, { student: 1 }] }).results
+  ).toHaveLength(1);
+
+  window.localStorage.setItem("test.class", "{not json");
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  expect(await loadSession(createLocalStorage("test.class"))).toBeNull();
+  warn.mockRestore();
+});
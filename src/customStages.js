@@ -0,0 +1,133 @@
+// Custom stages: images uploaded from disk (file picker or drag-and-drop)
+// with a title and caption, played as their own pack. Images are downscaled
+// before they are stored, so a 40-megapixel photo neither fills the storage
+// nor makes fitContain and the tile renderer work on a huge texture.
+//
+// Stored entries: { id, name, caption, image (data URL), width, height, date }
+
+import { validatePack } from "./stagePacks";
+import { createIndexedDBStorage, createLocalStorage } from "./storage";
+
+export const CUSTOM_PACK_ID = "custom";
+export const MAX_IMAGE_SIDE = 1600; // px, longest side once downscaled
+export const MAX_CUSTOM_STAGES = 30;
+const JPEG_QUALITY = 0.88;
+
+// IndexedDB when there is one: a few photos exceed the localStorage quota
+export function createCustomStageStorage() {
+  return typeof window !== "undefined" && window.indexedDB
+    ? createIndexedDBStorage("vnr-puzzle-custom", "stages")
+    : createLocalStorage("vnr-puzzle.customStages");
+}
+
+export async function loadCustomStages(storage) {
+  try {
+    const raw = await storage.read();
+    return Array.isArray(raw) ? raw.filter(isValidEntry) : [];
+  } catch (err) {
+    console.warn("Custom stages unreadable, starting fresh", err);
+    return [];
+  }
+}
+
+// Unlike the leaderboard, failures are passed on: the editor has to tell
+// the player that the image was not kept (usually a full quota)
+export function saveCustomStages(storage, entries) {
+  return storage.write(entries);
+}
+
+export function createCustomStage({ name, caption, image, width, height }) {
+  return {
+    id: `custom-${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 6)}`,
+    name: name.trim(),
+    caption: (caption || "").trim(),
+    image,
+    width,
+    height,
+    date: new Date().toISOString(),
+  };
+}
+
+// Playable pack made of the uploads; null while there are none
+export function customPack(entries) {
+  if (!entries.length) return null;
+  return validatePack(
+    {
+      id: CUSTOM_PACK_ID,
+      name: "Ảnh của tôi",
+      description: "Ảnh tự tải lên",
+      translations: {
+        en: { name: "My photos", description: "Uploaded photos" },
+      },
+      stages: entries.map((entry) => ({
+        id: entry.id,
+        name: entry.name,
+        image: entry.image,
+        bio: entry.caption,
+      })),
+    },
+    CUSTOM_PACK_ID
+  );
+}
+
+// Size that fits within maxSide x maxSide, keeping the aspect ratio;
+// never upscales
+export function scaledSize(width, height, maxSide = MAX_IMAGE_SIDE) {
+  const scale = Math.min(1, maxSide / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+}
+
+// Decode an image File and re-encode it as a downscaled JPEG data URL.
+// Resolves to { image, width, height }.
+export function downscaleImage(file, maxSide = MAX_IMAGE_SIDE) {
+  if (!file || !/^image\//.test(file.type)) {
+    return Promise.reject(new Error(`Not an image: ${file?.type || "?"}`));
+  }
+  return new Promise((resolve, reject) => {
+    const src = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(src);
+      const { width, height } = scaledSize(
+        img.naturalWidth,
+        img.naturalHeight,
+        maxSide
+      );
+      const canvas = document.createElement("canvas");
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext("2d");
+      // JPEG has no alpha: put transparent PNGs on white
+      ctx.fillStyle = "#fff";
+      ctx.fillRect(0, 0, width, height);
+      ctx.drawImage(img, 0, 0, width, height);
+      resolve({
+        image: canvas.toDataURL("image/jpeg", JPEG_QUALITY),
+        width,
+        height,
+      });
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(src);
+      reject(new Error(`Could not decode ${file.name}`));
+    };
+    img.src = src;
+  });
+}
+
+function isValidEntry(e) {
+  return (
+    e &&
+    typeof e === "object" &&
+    typeof e.id === "string" &&
+    typeof e.name === "string" &&
+    e.name.trim() !== "" &&
+    typeof e.image === "string" &&
+    e.image.startsWith("data:image/")
+  );
+}
@@ -0,0 +1,55 @@
+import {
+  CUSTOM_PACK_ID,
+  createCustomStage,
+  customPack,
+  downscaleImage,
+  loadCustomStages,
+  saveCustomStages,
+  scaledSize,
+} from "./customStages";
+import { createLocalStorage } from "./storage";
+
+const IMAGE = "data:image/jpeg;base64,AAAA";
+
+test("scales the longest side down to the limit, never up", () => {
+  expect(scaledSize(4000, 3000, 1600)).toEqual({ width: 1600, height: 1200 });
+  expect(scaledSize(900, 3600, 1600)).toEqual({ width: 400, height: 1600 });
+  expect(scaledSize(800, 600, 1600)).toEqual({ width: 800, height: 600 });
+});
+
+test("uploads become a playable pack with the caption as bio", () => {
+  expect(customPack([])).toBeNull();
+  const entry = createCustomStage({
+    name: "  Bác Hồ ở Pác Bó ",
+    caption: "Ảnh năm 1941",
+    image: IMAGE,
+    width: 10,
+    height: 10,
+  });
+  const pack = customPack([entry]);
+  expect(pack.id).toBe(CUSTOM_PACK_ID);
+  expect(pack.stages[0]).toMatchObject({
+    id: entry.id,
+    name: "Bác Hồ ở Pác Bó",
+    url: IMAGE,
+    bio: "Ảnh năm 1941",
+    quiz: null,
+  });
+});
+
+test("round-trips through storage and drops malformed entries", async () => {
+  const storage = createLocalStorage("test.custom");
+  const entry = createCustomStage({ name: "A", image: IMAGE });
+  await saveCustomStages(storage, [entry, { name: "B" }, null]);
+  expect(await loadCustomStages(storage)).toEqual([entry]);
+
+  window.localStorage.setItem("test.custom", "{not json");
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  expect(await loadCustomStages(storage)).toEqual([]);
+  warn.mockRestore();
+});
+
+test("rejects files that are not images", async () => {
+  const file = new File(["hello"], "notes.txt", { type: "text/plain" });
+  await expect(downscaleImage(file)).rejects.toThrow("Not an image");
+});
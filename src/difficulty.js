@@ -0,0 +1,130 @@
+// Difficulty presets. A preset sets the puzzle knobs together:
+//   grid           tiles per side
+//   timeBudget     seconds before a stage only earns minPoints
+//   snapThreshold  t from which the snapback assist takes over
+//   solveThreshold t from which the board counts as assembled
+//   sharpness      exponent of the bell curve that shapes t
+//   maxPoints      points for an instant solve
+//   multiplier     applied to every stage's points so totals stay
+//                  comparable whatever preset was played
+//
+// "normal" keeps each stage's own grid/time budget from its pack; easy and
+// hard scale them; "custom" uses the player's absolute values.
+
+export const MIN_POINTS = 100;
+
+const BASE = {
+  grid: 22,
+  timeBudget: 120,
+  snapThreshold: 0.9,
+  solveThreshold: 0.985,
+  sharpness: 6,
+  maxPoints: 1000,
+};
+
+export const DIFFICULTY_PRESETS = [
+  {
+    id: "easy",
+    gridScale: 0.65,
+    timeScale: 1.5,
+    snapThreshold: 0.8,
+    solveThreshold: 0.97,
+    sharpness: 4,
+    maxPoints: 1000,
+    multiplier: 0.75,
+  },
+  {
+    id: "normal",
+    gridScale: 1,
+    timeScale: 1,
+    snapThreshold: BASE.snapThreshold,
+    solveThreshold: BASE.solveThreshold,
+    sharpness: BASE.sharpness,
+    maxPoints: BASE.maxPoints,
+    multiplier: 1,
+  },
+  {
+    id: "hard",
+    gridScale: 1.35,
+    timeScale: 0.75,
+    snapThreshold: 0.96,
+    solveThreshold: 0.992,
+    sharpness: 10,
+    maxPoints: 1000,
+    multiplier: 1.35,
+  },
+  { id: "custom" },
+];
+
+export const DEFAULT_CUSTOM = { ...BASE };
+
+// Allowed ranges for the custom form (inclusive)
+export const CUSTOM_LIMITS = {
+  grid: [4, 64],
+  timeBudget: [15, 600],
+  snapThreshold: [0.5, 0.98],
+  solveThreshold: [0.9, 0.999],
+  sharpness: [2, 16],
+  maxPoints: [200, 5000],
+};
+
+export function getPreset(id) {
+  return (
+    DIFFICULTY_PRESETS.find((preset) => preset.id === id) ||
+    DIFFICULTY_PRESETS[1]
+  );
+}
+
+// Concrete settings for one stage under the chosen difficulty
+export function stageSettings(difficultyId, custom, stage) {
+  if (difficultyId === "custom") {
+    const c = sanitizeCustom(custom);
+    return { ...c, minPoints: MIN_POINTS, multiplier: customMultiplier(c) };
+  }
+  const preset = getPreset(difficultyId);
+  const [minGrid, maxGrid] = CUSTOM_LIMITS.grid;
+  return {
+    grid: clamp(
+      Math.round((stage?.grid || BASE.grid) * preset.gridScale),
+      minGrid,
+      maxGrid
+    ),
+    timeBudget: (stage?.timeBudget || BASE.timeBudget) * preset.timeScale,
+    snapThreshold: preset.snapThreshold,
+    solveThreshold: preset.solveThreshold,
+    sharpness: preset.sharpness,
+    maxPoints: preset.maxPoints,
+    minPoints: MIN_POINTS,
+    multiplier: preset.multiplier,
+  };
+}
+
+// Clamp every custom value into its range; solve must stay above snap
+export function sanitizeCustom(custom) {
+  const out = {};
+  for (const [key, [lo, hi]] of Object.entries(CUSTOM_LIMITS)) {
+    const v = Number(custom?.[key]);
+    out[key] = Number.isFinite(v) ? clamp(v, lo, hi) : BASE[key];
+  }
+  out.grid = Math.round(out.grid);
+  out.solveThreshold = Math.max(out.solveThreshold, out.snapThreshold + 0.005);
+  return out;
+}
+
+// Harder custom settings earn more per point, relative to the normal
+// baseline. Only the difficulty is clamped; a larger maxPoints is divided
+// back out afterwards so it cannot inflate totals, and the result is rounded
+// down so no custom run out-scores the difficulty it was played at.
+export function customMultiplier(c) {
+  const difficulty =
+    Math.sqrt(c.grid / BASE.grid) *
+    Math.sqrt(BASE.timeBudget / c.timeBudget) *
+    Math.pow(c.sharpness / BASE.sharpness, 0.25) *
+    Math.pow((1 - BASE.snapThreshold) / (1 - c.snapThreshold), 0.25);
+  const m = clamp(difficulty, 0.25, 3) * (BASE.maxPoints / c.maxPoints);
+  return Math.floor(m * 100 + 1e-9) / 100;
+}
+
+function clamp(v, a, b) {
+  return Math.max(a, Math.min(b, v));
+}
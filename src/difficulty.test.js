@@ -0,0 +1,69 @@
+import {
+  DEFAULT_CUSTOM,
+  customMultiplier,
+  sanitizeCustom,
+  stageSettings,
+} from "./difficulty";
+
+const stage = { grid: 20, timeBudget: 100 };
+
+test("normal keeps the stage's own grid and time budget", () => {
+  expect(stageSettings("normal", null, stage)).toMatchObject({
+    grid: 20,
+    timeBudget: 100,
+    snapThreshold: 0.9,
+    solveThreshold: 0.985,
+    sharpness: 6,
+    multiplier: 1,
+  });
+});
+
+test("hard scales the stage up and pays more per point", () => {
+  const hard = stageSettings("hard", null, stage);
+  expect(hard.grid).toBe(27);
+  expect(hard.timeBudget).toBe(75);
+  expect(hard.multiplier).toBeGreaterThan(1);
+});
+
+test("custom values are clamped and the baseline multiplier is 1", () => {
+  expect(customMultiplier(DEFAULT_CUSTOM)).toBe(1);
+  const c = sanitizeCustom({
+    ...DEFAULT_CUSTOM,
+    grid: "200",
+    snapThreshold: 0.98,
+    solveThreshold: 0.95,
+  });
+  expect(c.grid).toBe(64);
+  expect(c.solveThreshold).toBeGreaterThan(c.snapThreshold);
+  expect(stageSettings("custom", c, stage).grid).toBe(64);
+});
+
+test("no custom settings out-score the difficulty they are played at", () => {
+  // the easiest form with the largest maxPoints
+  const easiest = sanitizeCustom({
+    grid: 4,
+    timeBudget: 600,
+    sharpness: 2,
+    snapThreshold: 0.5,
+    maxPoints: 5000,
+  });
+  expect(easiest.maxPoints * customMultiplier(easiest)).toBeLessThan(1000);
+
+  // none as easy as normal or easier pays more than normal for an instant
+  // solve, whatever its maxPoints
+  for (const grid of [4, 22])
+    for (const timeBudget of [120, 600])
+      for (const sharpness of [2, 6])
+        for (const snapThreshold of [0.5, 0.9])
+          for (const maxPoints of [200, 999, 1000, 1500, 5000]) {
+            const c = sanitizeCustom({
+              ...DEFAULT_CUSTOM,
+              grid,
+              timeBudget,
+              sharpness,
+              snapThreshold,
+              maxPoints,
+            });
+            expect(c.maxPoints * customMultiplier(c)).toBeLessThanOrEqual(1000);
+          }
+});
@@ -0,0 +1,581 @@
+// Game engine: the rules of a run as a pure state machine, free of React,
+// timers and the DOM. The view dispatches actions and renders the state.
+// Time comes in with the actions (`now`, in ms, from any steady source) and
+// every random choice derives from the run's seed, so the same actions
+// always give the same game.
+//
+//   start      { run, seed, now }           first stage of a new run
+//   goto       { run, seed, stageIndex, now }
+//                                           a stage the LAN room started
+//   rotate     { dYaw, dPitch, input, now } drag, keys, slider...; the input
+//                                           is logged with the view
+//   drag       { dragging }                 the assist waits while held
+//   tick       { now, reducedMotion }       one frame of the snapback assist;
+//                                           the stage is solved when it lands
+//   moves      { moves }                    tile modes: moves made so far
+//   tileSolve  { moves, now }               tile modes: the picture is whole
+//   raceResult { player, gaveUp, now }      split screen: one board is done
+//   timeUp     { now }                      the stage's (or the run's) time
+//                                           ran out
+//   hint       { id }
+//   answer     { choice }                   quiz of the stage just solved
+//   pause / resume { now }
+//   next       { now }                      next hot-seat turn or stage
+//   finish / quit                           results screen / back to the menus
+//
+// `run` holds what stays fixed for the whole run:
+//   { stages, difficulty, custom, dualAxis, rotationMode, mode, format,
+//     packId, players: [name], hotSeat, race, lan, timeLimit }
+// where `mode` is a game mode id (gameModes.js), `format` a run format id
+// (runFormats.js; unset: classic), `players` has one name per seat (just
+// the player in solo and LAN games) and `timeLimit` is seconds per stage
+// (unset: no limit). Other fields are the view's own and ignored here.
+
+import { stageSettings } from "./difficulty";
+import {
+  STOPPED_CLOCK,
+  clockSeconds,
+  isClockRunning,
+  pauseClock,
+  resumeClock,
+  startClock,
+} from "./gameClock";
+import { getGameMode, moveFactor } from "./gameModes";
+import { hintPenalty } from "./hints";
+import { signReplay } from "./integrity";
+import {
+  MAX_PITCH,
+  alignment,
+  clamp,
+  secretOrientation,
+  wrapAngle,
+} from "./puzzle";
+import { createReplay, recordFrame } from "./replay";
+import {
+  comboMultiplier,
+  getRunFormat,
+  isFastSolve,
+  levelSettings,
+  stageSlot,
+} from "./runFormats";
+
+export const QUIZ_BONUS = 200; // Bonus for answering a stage's quiz correctly
+
+const SNAP_EASE = 0.18; // share of the remaining distance per frame
+const SNAP_DONE = 0.0015; // radians on both axes counts as landed
+
+// Calculate points based on time taken (faster = more points)
+// `settings` carries maxPoints, minPoints and the stage's timeBudget
+export function calculatePoints(seconds, { timeBudget, maxPoints, minPoints }) {
+  if (seconds <= 0) return maxPoints;
+  if (seconds >= timeBudget) return minPoints;
+  // Linear interpolation from max to min points
+  const ratio = seconds / timeBudget;
+  return Math.round(maxPoints - ratio * (maxPoints - minPoints));
+}
+
+// Points actually awarded: difficulty multiplier and the game mode's move
+// factor applied, hint penalties taken off, never below zero
+export function stagePoints(seconds, settings, hintsUsed, factor = 1) {
+  const base = Math.round(
+    calculatePoints(seconds, settings) * settings.multiplier * factor
+  );
+  return Math.max(0, base - hintPenalty(hintsUsed));
+}
+
+// One frame of the snapback assist: a critically damped ease toward the
+// secret along the shortest way round, both axes together. With reduced
+// motion there is no easing: it lands in one frame.
+export function snapStep(view, secret, reducedMotion) {
+  const dYaw = wrapAngle(secret.angle - view.angle);
+  const dPitch = secret.pitch - view.pitch;
+  const done =
+    reducedMotion ||
+    (Math.abs(dYaw) < SNAP_DONE && Math.abs(dPitch) < SNAP_DONE);
+  if (done) return { angle: secret.angle, pitch: secret.pitch, done };
+  return {
+    angle: view.angle + dYaw * SNAP_EASE,
+    pitch: view.pitch + dPitch * SNAP_EASE,
+    done,
+  };
+}
+
+export function initialState() {
+  return {
+    phase: "idle", // "idle" (menus), "playing" or "completed"
+    run: null,
+    seed: null,
+    stageIndex: 0,
+    secret: { angle: 0, pitch: 0 },
+    turn: 0, // hot-seat: whose turn it is
+    handoff: false, // hot-seat: next player not seated yet
+    paused: false,
+    solved: false,
+    angle: 0, // radians
+    pitch: 0, // dual axis only
+    dragging: false,
+    hints: [], // hint ids used on this stage
+    moves: 0, // tile modes
+    frames: [], // replay log of this stage
+    over: false, // open-ended formats: out of time, no next stage
+    runSeconds: 0, // active time of the stages before this one
+    scores: [], // [{stageId, stage, player, time, points, difficulty, hints, hintPenalty, quizChoice, quizBonus, ...}]
+    clock: STOPPED_CLOCK,
+  };
+}
+
+// ------- derived values -------
+// Stage played `index`-th in the run; open-ended formats go round the pack
+export function stageAt(state, index) {
+  const { run, seed } = state;
+  if (!run) return undefined;
+  const format = getRunFormat(run.format);
+  return run.stages[stageSlot(format, run.stages.length, seed, index)];
+}
+
+export function stageOf(state) {
+  return stageAt(state, state.stageIndex);
+}
+
+export function settingsOf(state) {
+  const { difficulty, custom, format } = state.run;
+  const settings = stageSettings(difficulty, custom, stageOf(state));
+  return levelSettings(getRunFormat(format), settings, state.stageIndex);
+}
+
+export function elapsedSeconds(state, now) {
+  return clockSeconds(state.clock, now);
+}
+
+// interpolation factor in [0, 1]; close to 1 when the view ~= the secret
+export function alignmentOf(state) {
+  const { angle, pitch, secret } = state;
+  const { sharpness } = settingsOf(state);
+  return alignment(angle, pitch, secret.angle, secret.pitch, sharpness);
+}
+
+// Whether the picture shows whole: the tile boards say so themselves, the
+// rotate puzzle once the view is past the stage's solve threshold (the
+// snapback may still be finishing)
+export function isPictureWhole(state) {
+  if (state.run.mode !== "rotate") return state.solved;
+  return alignmentOf(state) > settingsOf(state).solveThreshold;
+}
+
+// no rotation input while true
+export function isLocked(state) {
+  return state.solved || state.paused;
+}
+
+// Whether the snapback assist is pulling the single board into place
+export function isSnapping(state) {
+  const { phase, run, dragging, solved, paused } = state;
+  if (phase !== "playing" || run.race || run.mode !== "rotate") return false;
+  if (dragging || solved || paused) return false;
+  return alignmentOf(state) >= settingsOf(state).snapThreshold;
+}
+
+// Points the current stage would earn if solved right now
+export function currentPoints(state, now) {
+  const settings = settingsOf(state);
+  const mode = getGameMode(state.run.mode);
+  const factor = mode.tileGrid
+    ? moveFactor(mode, mode.tileGrid(settings), state.moves)
+    : 1;
+  const time = elapsedSeconds(state, now);
+  const points = stagePoints(time, settings, state.hints, factor);
+  return withCombo(state, time, settings, points).points;
+}
+
+// Fast solves in a row going into the current stage (endless only)
+export function currentCombo(state) {
+  return state.scores[state.scores.length - 1]?.combo || 0;
+}
+
+// Seconds left before the time runs out, or null without a limit: the
+// run's in time attack, otherwise the stage's
+export function timeLeft(state, now) {
+  if (!state.run) return null;
+  const { duration } = getRunFormat(state.run.format);
+  const elapsed = elapsedSeconds(state, now);
+  if (duration) return Math.max(0, duration - state.runSeconds - elapsed);
+  const limit = stageLimit(state);
+  if (!limit) return null;
+  return Math.max(0, limit - elapsed);
+}
+
+function stageLimit(state) {
+  const { stageLimit: formatLimit } = getRunFormat(state.run.format);
+  return state.run.timeLimit || formatLimit?.(settingsOf(state)) || null;
+}
+
+// Fast solves in a row, this one included, and the points they are worth
+// (endless only)
+function withCombo(state, time, settings, points) {
+  if (!getRunFormat(state.run.format).combo) return { points };
+  const last = state.scores[state.scores.length - 1];
+  const combo = isFastSolve(time, settings) ? (last?.combo || 0) + 1 : 0;
+  return { points: Math.round(points * comboMultiplier(combo)), combo };
+}
+
+// Whether `next` would end the run: last stage, and in hot-seat the last
+// player's turn; open-ended formats once the time ran out
+export function isLastStep(state) {
+  const { run, turn, stageIndex } = state;
+  if (getRunFormat(run.format).open) return state.over;
+  const turnsLeft = run.hotSeat && turn < run.players.length - 1;
+  return !turnsLeft && stageIndex >= run.stages.length - 1;
+}
+
+// ------- transitions -------
+export function reduce(state, action) {
+  switch (action.type) {
+    case "start":
+      return {
+        ...beginStage(
+          { ...initialState(), run: action.run, seed: action.seed },
+          0,
+          action.now
+        ),
+        phase: "playing",
+      };
+    case "goto":
+      return {
+        ...beginStage(
+          {
+            ...state,
+            run: action.run,
+            seed: action.seed,
+            turn: 0,
+            // a room starting over clears the earlier run
+            scores: action.stageIndex === 0 ? [] : state.scores,
+          },
+          action.stageIndex,
+          action.now
+        ),
+        phase: "playing",
+      };
+    case "rotate":
+      return rotate(state, action);
+    case "drag":
+      if (state.dragging === action.dragging) return state;
+      return { ...state, dragging: action.dragging };
+    case "tick":
+      return tick(state, action);
+    case "moves":
+      return { ...state, moves: action.moves };
+    case "tileSolve":
+      return solveTiles(state, action);
+    case "raceResult":
+      return recordRaceResult(state, action);
+    case "timeUp":
+      return runOutOfTime(state, action.now);
+    case "hint":
+      if (state.phase !== "playing" || isLocked(state)) return state;
+      return { ...state, hints: [...state.hints, action.id] };
+    case "answer":
+      return answerQuiz(state, action.choice);
+    case "pause":
+      // the class race doesn't wait for anyone, and a solved stage has no
+      // clock left to stop
+      if (state.phase !== "playing" || state.run.lan || state.solved) {
+        return state;
+      }
+      return {
+        ...state,
+        paused: true,
+        dragging: false,
+        clock: pauseClock(state.clock, action.now),
+      };
+    case "resume":
+      if (!state.paused) return state;
+      return {
+        ...state,
+        paused: false,
+        handoff: false,
+        clock: resumeClock(state.clock, action.now),
+      };
+    case "next":
+      return next(state, action.now);
+    case "finish":
+      return { ...state, phase: "completed", clock: STOPPED_CLOCK };
+    case "quit":
+      return { ...state, phase: "idle", clock: STOPPED_CLOCK };
+    default:
+      throw new Error(`Unknown game action: ${action.type}`);
+  }
+}
+
+// Fresh board for stage `index`; hot-seat games hand the board over first
+function beginStage(state, index, now) {
+  const { secretAngle, secretPitch } = secretOrientation(
+    state.seed,
+    index,
+    state.run.dualAxis
+  );
+  const begun = {
+    ...state,
+    stageIndex: index,
+    secret: { angle: secretAngle, pitch: secretPitch },
+    paused: false,
+    handoff: false,
+    solved: false,
+    over: false,
+    angle: 0,
+    pitch: 0,
+    dragging: false,
+    hints: [],
+    moves: 0,
+    frames: [[0, 0, 0]],
+    clock: startClock(now),
+  };
+  return state.run.hotSeat ? handOver(begun, now) : begun;
+}
+
+// hot-seat: cover the board and hold the clock until the next player is
+// seated and resumes
+function handOver(state, now) {
+  return {
+    ...state,
+    paused: true,
+    handoff: true,
+    clock: pauseClock(state.clock, now),
+  };
+}
+
+// Move the board and log the view, with the input that moved it, for the
+// replay (not in a race: every board there is a game of its own, raceBoard)
+function setView(state, angle, pitch, now, input, force = false) {
+  const moved = { ...state, angle, pitch };
+  if (state.run.race || !isClockRunning(state.clock)) return moved;
+  const frames = state.frames.slice();
+  const seconds = clockSeconds(state.clock, now);
+  recordFrame(frames, seconds, angle, pitch, force, input);
+  return { ...moved, frames };
+}
+
+function rotate(state, { dYaw = 0, dPitch = 0, input, now }) {
+  if (state.phase !== "playing" || isLocked(state)) return state;
+  if (state.run.mode !== "rotate") return state;
+  const pitch = state.run.dualAxis
+    ? clamp(state.pitch + dPitch, -MAX_PITCH, MAX_PITCH)
+    : state.pitch;
+  const angle = state.angle + dYaw;
+  if (angle === state.angle && pitch === state.pitch) return state;
+  return setView(state, angle, pitch, now, input);
+}
+
+function tick(state, { now, reducedMotion }) {
+  if (!isSnapping(state)) return state;
+  const step = snapStep(state, state.secret, reducedMotion);
+  const view = setView(state, step.angle, step.pitch, now, "snap", step.done);
+  // landed: the stage is solved in exactly the secret orientation
+  return step.done ? solveRotation(view, now) : view;
+}
+
+// Score the rotate puzzle; the clock stops so the HUD freezes on the time
+function solveRotation(state, now) {
+  if (!isClockRunning(state.clock)) return { ...state, solved: true };
+  const { run, turn, stageIndex, hints } = state;
+  const stage = stageOf(state);
+  const settings = settingsOf(state);
+  const time = clockSeconds(state.clock, now);
+  // `points` plus, in endless, the `combo` it was scored with
+  const scored = withCombo(
+    state,
+    time,
+    settings,
+    stagePoints(time, settings, hints)
+  );
+  const { points } = scored;
+  const replay = createReplay({
+    frames: state.frames,
+    player: run.players[turn],
+    seed: state.seed,
+    packId: run.packId,
+    stageIndex,
+    stage,
+    mode: run.rotationMode,
+    difficulty: run.difficulty,
+    settings,
+    time,
+    points,
+    hints,
+  });
+  const score = {
+    stageId: stage?.id,
+    stage: stage?.name || "(unknown)",
+    player: turn,
+    time,
+    difficulty: run.difficulty,
+    hints,
+    hintPenalty: hintPenalty(hints),
+    ...scored,
+    // signed so checkScore (integrity.js) can tell later edits
+    replay: { ...replay, signature: signReplay(replay) },
+  };
+  return {
+    ...state,
+    solved: true,
+    scores: [...state.scores, score],
+    clock: pauseClock(state.clock, now),
+  };
+}
+
+function solveTiles(state, { moves, now }) {
+  if (state.solved || !isClockRunning(state.clock)) return state;
+  const { run, turn } = state;
+  const stage = stageOf(state);
+  const settings = settingsOf(state);
+  const mode = getGameMode(run.mode);
+  const time = clockSeconds(state.clock, now);
+  const factor = moveFactor(mode, mode.tileGrid(settings), moves);
+  const score = {
+    stageId: stage?.id,
+    stage: stage?.name || "(unknown)",
+    player: turn,
+    mode: mode.id,
+    moves,
+    time,
+    ...withCombo(
+      state,
+      time,
+      settings,
+      stagePoints(time, settings, [], factor)
+    ),
+    difficulty: run.difficulty,
+    hints: [],
+    hintPenalty: 0,
+  };
+  return {
+    ...state,
+    moves,
+    solved: true,
+    scores: [...state.scores, score],
+    clock: pauseClock(state.clock, now),
+  };
+}
+
+// One split-screen board as a game of its own: the race's seed and stage,
+// played by `player` alone. The board's view, snapback and solve follow the
+// single-player rules; the race keeps the shared clock and the scores, so
+// the board only reports back (raceResult) once it is solved.
+export function raceBoard(state, player, now) {
+  const run = {
+    ...state.run,
+    race: false,
+    hotSeat: false,
+    players: [state.run.players[player]],
+  };
+  return {
+    ...beginStage(
+      { ...initialState(), run, seed: state.seed },
+      state.stageIndex,
+      now
+    ),
+    phase: "playing",
+  };
+}
+
+// Each split-screen board reports once; the shared clock gives the time and
+// the stage ends once every board is solved or given up. Quizzes are skipped
+// in a race: all players would see the same question.
+function recordRaceResult(state, { player, gaveUp, now }) {
+  const stage = stageOf(state);
+  const done = (score) => score.stageId === stage?.id;
+  if (state.scores.some((score) => score.player === player && done(score))) {
+    return state;
+  }
+  const time = clockSeconds(state.clock, now);
+  const score = {
+    stageId: stage?.id,
+    stage: stage?.name || "(unknown)",
+    player,
+    time,
+    points: gaveUp ? 0 : stagePoints(time, settingsOf(state), []),
+    difficulty: state.run.difficulty,
+    hints: [],
+    hintPenalty: 0,
+    gaveUp,
+  };
+  const scores = [...state.scores, score];
+  const finished = state.run.players.every((_, idx) =>
+    scores.some((s) => s.player === idx && done(s))
+  );
+  if (!finished) return { ...state, scores };
+  return {
+    ...state,
+    scores,
+    solved: true,
+    clock: pauseClock(state.clock, now),
+  };
+}
+
+// Out of time: the stage counts as given up, with no points. Time attack
+// just ends there: the stage in play scores nothing, given up or not.
+function runOutOfTime(state, now) {
+  if (state.phase !== "playing" || state.solved) return state;
+  if (timeLeft(state, now) !== 0 || !isClockRunning(state.clock)) return state;
+  const { run, turn, hints } = state;
+  const format = getRunFormat(run.format);
+  const stopped = {
+    ...state,
+    solved: true,
+    over: !!format.open,
+    dragging: false,
+    clock: pauseClock(state.clock, now),
+  };
+  if (format.duration) return stopped;
+  const stage = stageOf(state);
+  const score = {
+    stageId: stage?.id,
+    stage: stage?.name || "(unknown)",
+    player: turn,
+    time: stageLimit(state),
+    points: 0,
+    difficulty: run.difficulty,
+    hints,
+    hintPenalty: 0,
+    gaveUp: true,
+  };
+  return { ...stopped, scores: [...state.scores, score] };
+}
+
+// Record the quiz answer on the score entry of the stage just solved. The
+// server can't check answers, a race has no fair way to share a question,
+// and once an open-ended run is over the time is up for quizzes too.
+function answerQuiz(state, choice) {
+  if (state.run?.race || state.run?.lan || state.over) return state;
+  const quiz = stageOf(state)?.quiz;
+  const last = state.scores[state.scores.length - 1];
+  if (!state.solved || !quiz || !last || last.quizChoice != null) return state;
+  const quizBonus = choice === quiz.answer ? QUIZ_BONUS : 0;
+  // the bonus is signed with the solve's replay too
+  const replay = last.replay && { ...last.replay, quizBonus };
+  return {
+    ...state,
+    scores: [
+      ...state.scores.slice(0, -1),
+      {
+        ...last,
+        quizChoice: choice,
+        quizBonus,
+        ...(replay && {
+          replay: { ...replay, signature: signReplay(replay) },
+        }),
+      },
+    ],
+  };
+}
+
+function next(state, now) {
+  if (state.phase !== "playing" || !state.solved) return state;
+  const { run, turn, stageIndex } = state;
+  // hot-seat: the same stage again for the next player
+  if (run.hotSeat && turn < run.players.length - 1) {
+    return beginStage({ ...state, turn: turn + 1 }, stageIndex, now);
+  }
+  if (isLastStep(state)) return reduce(state, { type: "finish" });
+  const runSeconds = state.runSeconds + elapsedSeconds(state, now);
+  return beginStage({ ...state, turn: 0, runSeconds }, stageIndex + 1, now);
+}
@@ -0,0 +1,422 @@
+import {
+  QUIZ_BONUS,
+  alignmentOf,
+  calculatePoints,
+  currentCombo,
+  elapsedSeconds,
+  initialState,
+  isLastStep,
+  isPictureWhole,
+  isSnapping,
+  raceBoard,
+  reduce,
+  settingsOf,
+  snapStep,
+  stageOf,
+  stagePoints,
+  timeLeft,
+} from "./engine";
+import { HINTS, hintPenalty } from "./hints";
+import { signReplay } from "./integrity";
+import { wrapAngle } from "./puzzle";
+
+const STAGES = [
+  {
+    id: "a",
+    name: "A",
+    url: "/a.jpg",
+    grid: 12,
+    timeBudget: 100,
+    quiz: { question: "?", choices: ["x", "y"], answer: 1 },
+  },
+  { id: "b", name: "B", url: "/b.jpg", grid: 12, timeBudget: 100 },
+];
+
+function run(overrides) {
+  return {
+    stages: STAGES,
+    difficulty: "normal",
+    custom: null,
+    dualAxis: false,
+    rotationMode: "single",
+    mode: "rotate",
+    packId: "test",
+    players: ["Lan"],
+    hotSeat: false,
+    race: false,
+    lan: false,
+    ...overrides,
+  };
+}
+
+const play = (state, ...actions) => actions.reduce(reduce, state);
+const start = (overrides, now = 0) =>
+  reduce(initialState(), {
+    type: "start",
+    run: run(overrides),
+    seed: "ABC123",
+    now,
+  });
+// turn the board to `offset` radians from the secret
+const aim = (state, offset, now) => ({
+  type: "rotate",
+  dYaw: state.secret.angle + offset - state.angle,
+  now,
+});
+
+test("points fall linearly over the time budget", () => {
+  const settings = { timeBudget: 100, maxPoints: 1000, minPoints: 100 };
+  expect(calculatePoints(0, settings)).toBe(1000);
+  expect(calculatePoints(50, settings)).toBe(550);
+  expect(calculatePoints(100, settings)).toBe(100);
+  expect(calculatePoints(500, settings)).toBe(100);
+});
+
+test("stage points apply multiplier and move factor, minus hint penalties", () => {
+  const settings = {
+    timeBudget: 100,
+    maxPoints: 1000,
+    minPoints: 100,
+    multiplier: 1.5,
+  };
+  expect(stagePoints(0, settings, [])).toBe(1500);
+  expect(stagePoints(0, settings, ["pulse", "arrow"])).toBe(1350);
+  expect(stagePoints(0, settings, [], 0.5)).toBe(750);
+  expect(stagePoints(100, settings, ["reveal"])).toBe(0); // never negative
+});
+
+test("every hint use costs its level's penalty, up to the stage's points", () => {
+  // cheapest first, each use counted
+  expect(HINTS.map((hint) => hintPenalty([hint.id]))).toEqual([50, 100, 200]);
+  expect(hintPenalty([])).toBe(0);
+  expect(hintPenalty(["pulse", "pulse", "reveal"])).toBe(300);
+  expect(hintPenalty(["unknown"])).toBe(0);
+
+  // the penalty comes off after the multiplier and takes the stage to zero
+  // at most
+  const settings = {
+    timeBudget: 100,
+    maxPoints: 1000,
+    minPoints: 100,
+    multiplier: 2,
+  };
+  expect(stagePoints(100, settings, ["arrow"])).toBe(100);
+  expect(stagePoints(100, settings, ["arrow", "pulse"])).toBe(50);
+  expect(stagePoints(100, settings, ["reveal", "pulse"])).toBe(0);
+  expect(
+    stagePoints(
+      0,
+      settings,
+      HINTS.map((hint) => hint.id)
+    )
+  ).toBe(1650);
+});
+
+test("a hint is charged only while the stage is in play", () => {
+  let game = play(
+    start(),
+    { type: "hint", id: "arrow" },
+    { type: "pause", now: 1000 },
+    { type: "hint", id: "reveal" } // paused
+  );
+  expect(game.hints).toEqual(["arrow"]);
+  game = play(
+    game,
+    { type: "resume", now: 1000 },
+    aim(game, 0, 3000),
+    { type: "tick", now: 3000, reducedMotion: true },
+    { type: "hint", id: "pulse" } // already solved
+  );
+  expect(game.scores[0]).toMatchObject({ hints: ["arrow"], hintPenalty: 100 });
+  expect(game.scores[0].points).toBe(
+    stagePoints(3, settingsOf(game), []) - 100
+  );
+});
+
+test("wrapAngle wraps around and the snapback takes the short way", () => {
+  expect(wrapAngle(3 * Math.PI + 0.5)).toBeCloseTo(-Math.PI + 0.5);
+  expect(wrapAngle(-0.25 - 4 * Math.PI)).toBeCloseTo(-0.25);
+  // from just below +π to just above -π is 0.2 rad forward, not 2π - 0.2 back
+  const step = snapStep(
+    { angle: Math.PI - 0.1, pitch: 0 },
+    { angle: -Math.PI + 0.1, pitch: 0 },
+    false
+  );
+  expect(step.done).toBe(false);
+  expect(step.angle).toBeCloseTo(Math.PI - 0.1 + 0.2 * 0.18);
+  expect(
+    snapStep({ angle: 1, pitch: 0 }, { angle: 2, pitch: 0 }, true)
+  ).toEqual({ angle: 2, pitch: 0, done: true });
+});
+
+test("the snapback only pulls once the view passes the snap threshold", () => {
+  let game = start();
+  const { snapThreshold, solveThreshold } = settingsOf(game);
+  game = reduce(game, aim(game, 1, 1000));
+  expect(alignmentOf(game)).toBeLessThan(snapThreshold);
+  expect(reduce(game, { type: "tick", now: 1100 })).toBe(game);
+
+  game = reduce(game, aim(game, 0.05, 2000));
+  expect(alignmentOf(game)).toBeGreaterThanOrEqual(snapThreshold);
+  const eased = reduce(game, { type: "tick", now: 2016 });
+  expect(wrapAngle(eased.secret.angle - eased.angle)).toBeCloseTo(-0.05 * 0.82);
+  expect(eased.solved).toBe(false);
+
+  // held by a drag, the assist waits
+  const held = play(game, { type: "drag", dragging: true });
+  expect(reduce(held, { type: "tick", now: 2016 })).toBe(held);
+
+  game = reduce(game, aim(game, 0.001, 3000));
+  expect(alignmentOf(game)).toBeGreaterThan(solveThreshold);
+  expect(isPictureWhole(game)).toBe(true);
+  expect(game.solved).toBe(false); // not until the snapback lands
+});
+
+test("a landed snapback solves the stage and scores the active time", () => {
+  let game = start({}, 500);
+  game = play(
+    game,
+    { type: "hint", id: "pulse" },
+    { type: "pause", now: 10500 },
+    { type: "rotate", dYaw: 1, now: 11000 }, // ignored while paused
+    { type: "resume", now: 60500 }
+  );
+  expect(game.angle).toBe(0);
+  game = play(game, aim(game, 0.0001, 62500), {
+    type: "tick",
+    now: 62500,
+  });
+  expect(game.solved).toBe(true);
+  expect(game.angle).toBe(game.secret.angle);
+  const [score] = game.scores;
+  expect(score).toMatchObject({
+    stageId: "a",
+    player: 0,
+    time: 12,
+    points: stagePoints(12, settingsOf(game), ["pulse"]),
+    hints: ["pulse"],
+    hintPenalty: 50,
+    replay: { player: "Lan", seed: "ABC123", stageIndex: 0, time: 12 },
+  });
+  expect(score.replay.frames[score.replay.frames.length - 1][0]).toBe(12000);
+  // the clock stops on the solve
+  expect(elapsedSeconds(game, 90000)).toBe(12);
+  expect(reduce(game, { type: "rotate", dYaw: 1, now: 0 })).toBe(game);
+});
+
+test("reduced motion lands the snapback in one tick", () => {
+  let game = start();
+  game = play(game, aim(game, 0.05, 1000), {
+    type: "tick",
+    now: 1000,
+    reducedMotion: true,
+  });
+  expect(game.solved).toBe(true);
+});
+
+test("the same seed always hides the same orientation", () => {
+  expect(start().secret).toEqual(start().secret);
+  expect(start({ dualAxis: true }).secret.pitch).not.toBe(0);
+  expect(start().secret.pitch).toBe(0);
+});
+
+test("quiz answers add their bonus once", () => {
+  let game = start();
+  game = play(game, aim(game, 0, 5000), { type: "tick", now: 5000 });
+  game = play(
+    game,
+    { type: "answer", choice: 1 },
+    { type: "answer", choice: 0 }
+  );
+  expect(game.scores[0]).toMatchObject({
+    quizChoice: 1,
+    quizBonus: QUIZ_BONUS,
+  });
+  // signed along with the solve
+  const { replay } = game.scores[0];
+  expect(replay.quizBonus).toBe(QUIZ_BONUS);
+  expect(replay.signature).toBe(signReplay(replay));
+
+  let race = start({ race: true, players: ["A", "B"] });
+  race = play(
+    race,
+    { type: "raceResult", player: 0, gaveUp: false, now: 1000 },
+    { type: "raceResult", player: 1, gaveUp: true, now: 2000 },
+    { type: "answer", choice: 1 }
+  );
+  expect(race.scores.every((score) => score.quizChoice == null)).toBe(true);
+});
+
+test("next moves through the stages and the last one ends the run", () => {
+  let game = start();
+  game = play(game, aim(game, 0, 1000), { type: "tick", now: 1000 });
+  expect(isLastStep(game)).toBe(false);
+  game = reduce(game, { type: "next", now: 2000 });
+  expect(game).toMatchObject({ stageIndex: 1, solved: false, angle: 0 });
+  expect(elapsedSeconds(game, 5000)).toBe(3);
+  game = play(game, aim(game, 0, 5000), { type: "tick", now: 5000 });
+  expect(isLastStep(game)).toBe(true);
+  game = reduce(game, { type: "next", now: 6000 });
+  expect(game.phase).toBe("completed");
+  expect(game.scores.map((score) => score.stageId)).toEqual(["a", "b"]);
+});
+
+test("hot-seat hands the board over before every turn", () => {
+  let game = start({ hotSeat: true, players: ["A", "B"] });
+  expect(game).toMatchObject({ paused: true, handoff: true, turn: 0 });
+  expect(elapsedSeconds(game, 9000)).toBe(0);
+  game = play(game, { type: "resume", now: 9000 });
+  game = play(game, aim(game, 0, 13000), { type: "tick", now: 13000 });
+  game = reduce(game, { type: "next", now: 14000 });
+  // same stage, next player, clock held until they are seated
+  expect(game).toMatchObject({
+    stageIndex: 0,
+    turn: 1,
+    handoff: true,
+    solved: false,
+  });
+  game = play(game, { type: "resume", now: 20000 });
+  game = play(game, aim(game, 0, 22000), { type: "tick", now: 22000 });
+  expect(game.scores.map((s) => [s.player, s.time])).toEqual([
+    [0, 4],
+    [1, 2],
+  ]);
+  expect(game.scores[1].replay.player).toBe("B");
+  game = reduce(game, { type: "next", now: 23000 });
+  expect(game).toMatchObject({ stageIndex: 1, turn: 0, handoff: true });
+});
+
+test("a race stage ends once every board has a result", () => {
+  let game = start({ race: true, players: ["A", "B"] });
+  game = play(
+    game,
+    { type: "raceResult", player: 1, gaveUp: false, now: 8000 },
+    { type: "raceResult", player: 1, gaveUp: false, now: 9000 } // once only
+  );
+  expect(game.solved).toBe(false);
+  game = reduce(game, {
+    type: "raceResult",
+    player: 0,
+    gaveUp: true,
+    now: 12000,
+  });
+  expect(game.solved).toBe(true);
+  expect(game.scores).toMatchObject([
+    { player: 1, time: 8, gaveUp: false },
+    { player: 0, time: 12, points: 0, gaveUp: true },
+  ]);
+});
+
+test("each race board plays the race's stage through the engine", () => {
+  const race = start({ race: true, players: ["A", "B"] });
+  let board = raceBoard(race, 1, 5000);
+  expect(board.run).toMatchObject({ race: false, players: ["B"] });
+  expect(board).toMatchObject({ stageIndex: 0, secret: race.secret });
+  board = reduce(board, aim(board, 0.001, 6000));
+  expect(isSnapping(board)).toBe(true);
+  board = reduce(board, { type: "tick", now: 6100, reducedMotion: true });
+  expect(board.solved).toBe(true);
+  expect(board.angle).toBe(board.secret.angle);
+  expect(race.angle).toBe(0);
+});
+
+test("tile modes score the moves made", () => {
+  let game = start({ mode: "swap" });
+  game = play(
+    game,
+    { type: "rotate", dYaw: 1, now: 100 }, // no rotating a tile board
+    { type: "moves", moves: 3 }
+  );
+  expect(game.angle).toBe(0);
+  expect(isPictureWhole(game)).toBe(false);
+  game = reduce(game, { type: "tileSolve", moves: 40, now: 20000 });
+  expect(game.solved).toBe(true);
+  expect(game.scores[0]).toMatchObject({ mode: "swap", moves: 40, time: 20 });
+  expect(game.scores[0].points).toBeLessThan(
+    stagePoints(20, settingsOf(game), [])
+  );
+});
+
+test("a LAN room can't be paused and a new race clears the scores", () => {
+  const goto = (stageIndex, now) => ({
+    type: "goto",
+    run: run({ lan: true }),
+    seed: "ROOM",
+    stageIndex,
+    now,
+  });
+  let game = play(initialState(), goto(0, 0), { type: "pause", now: 1000 });
+  expect(game.paused).toBe(false);
+  game = play(game, aim(game, 0, 2000), { type: "tick", now: 2000 });
+  game = reduce(game, goto(1, 3000));
+  expect(game).toMatchObject({ phase: "playing", stageIndex: 1 });
+  expect(game.scores).toHaveLength(1);
+  expect(reduce(game, goto(0, 4000)).scores).toEqual([]);
+});
+
+test("a stage past its time limit counts as given up", () => {
+  let game = start({ timeLimit: 30 }, 1000);
+  expect(timeLeft(game, 11000)).toBe(20);
+  game = play(
+    game,
+    { type: "hint", id: "pulse" },
+    { type: "timeUp", now: 20000 } // early: nothing happens
+  );
+  expect(game.solved).toBe(false);
+  game = reduce(game, { type: "timeUp", now: 31200 });
+  expect(game.solved).toBe(true);
+  expect(timeLeft(game, 60000)).toBe(0);
+  expect(game.scores[0]).toMatchObject({
+    stageId: "a",
+    time: 30,
+    points: 0,
+    hints: ["pulse"],
+    gaveUp: true,
+  });
+  expect(reduce(start(), { type: "timeUp", now: 1e9 }).solved).toBe(false);
+});
+
+test("time attack ends when the run's clock runs out", () => {
+  let game = start({ format: "timeAttack" });
+  // only the time spent on a stage counts
+  game = play(game, aim(game, 0, 100000), { type: "tick", now: 100000 });
+  game = reduce(game, { type: "next", now: 500000 });
+  expect(stageOf(game).id).toBe("b");
+  expect(settingsOf(game).grid).toBeGreaterThan(12);
+  expect(timeLeft(game, 520000)).toBe(60);
+  game = play(
+    game,
+    { type: "next", now: 530000 }, // not solved: nowhere to go
+    { type: "timeUp", now: 580000 }
+  );
+  expect(game).toMatchObject({ solved: true, over: true });
+  expect(game.scores).toHaveLength(1);
+  expect(isLastStep(game)).toBe(true);
+  expect(reduce(game, { type: "next", now: 590000 }).phase).toBe("completed");
+});
+
+test("endless builds a combo on fast solves and ends on a slow one", () => {
+  let game = start({ format: "endless" });
+  const solveIn = (state, seconds) => {
+    const now = state.clock.since + seconds * 1000;
+    return play(state, aim(state, 0, now), { type: "tick", now });
+  };
+  game = solveIn(game, 10);
+  expect(game.scores[0]).toMatchObject({
+    combo: 1,
+    points: stagePoints(10, settingsOf(game), []),
+  });
+  game = solveIn(reduce(game, { type: "next", now: 20000 }), 10);
+  expect(currentCombo(game)).toBe(2);
+  expect(game.scores[1].points).toBe(
+    Math.round(stagePoints(10, settingsOf(game), []) * 1.25)
+  );
+  expect(isLastStep(game)).toBe(false);
+
+  game = reduce(game, { type: "next", now: 40000 });
+  const budget = settingsOf(game).timeBudget;
+  expect(budget).toBeLessThan(100);
+  game = reduce(game, { type: "timeUp", now: 40000 + budget * 1000 });
+  expect(game.scores[2]).toMatchObject({ gaveUp: true, points: 0 });
+  expect(isLastStep(game)).toBe(true);
+});
@@ -0,0 +1,34 @@
+// Game clock: counts only active play time. Pausing (explicitly, or when the
+// tab is hidden / loses focus) stops the count, so scoring is based on the
+// time the player could actually see and move the puzzle.
+//
+// The clock itself is plain data, { accumulated, since } in milliseconds
+// (`since` is null while stopped), and every function takes the current time,
+// so the game engine stays pure and testable.
+
+export const STOPPED_CLOCK = { accumulated: 0, since: null };
+
+// zero the clock and start counting
+export function startClock(now) {
+  return { accumulated: 0, since: now };
+}
+
+export function pauseClock(clock, now) {
+  if (clock.since == null) return clock;
+  return { accumulated: clock.accumulated + now - clock.since, since: null };
+}
+
+export function resumeClock(clock, now) {
+  if (clock.since != null) return clock;
+  return { ...clock, since: now };
+}
+
+export function isClockRunning(clock) {
+  return clock.since != null;
+}
+
+// active seconds since the clock was started
+export function clockSeconds(clock, now) {
+  const ms = clock.accumulated + (clock.since == null ? 0 : now - clock.since);
+  return ms / 1000;
+}
@@ -0,0 +1,28 @@
+import {
+  STOPPED_CLOCK,
+  clockSeconds,
+  isClockRunning,
+  pauseClock,
+  resumeClock,
+  startClock,
+} from "./gameClock";
+
+test("counts only time spent running", () => {
+  let clock = startClock(0);
+  clock = pauseClock(clock, 2000);
+  // e.g. tab hidden for a minute
+  expect(clockSeconds(clock, 60000)).toBe(2);
+  clock = resumeClock(clock, 60000);
+  expect(clockSeconds(clock, 61500)).toBe(3.5);
+  expect(isClockRunning(clock)).toBe(true);
+});
+
+test("pause/resume are idempotent and startClock zeroes the clock", () => {
+  let clock = startClock(0);
+  clock = pauseClock(pauseClock(clock, 1000), 3000);
+  clock = resumeClock(resumeClock(clock, 5000), 5500);
+  expect(clockSeconds(clock, 6000)).toBe(2);
+  expect(clockSeconds(startClock(6000), 6000)).toBe(0);
+  expect(clockSeconds(STOPPED_CLOCK, 6000)).toBe(0);
+  expect(isClockRunning(STOPPED_CLOCK)).toBe(false);
+});
@@ -0,0 +1,131 @@
+// Game modes: how the image of a stage is put back together. "rotate" is the
+// original find-the-angle puzzle (its rules are in engine.js). The tile modes
+// cut the same image into a (smaller) grid and are plain arrays: `cells[pos]`
+// is the id of the tile shown at position `pos`, and the board is solved when
+// every tile sits on its own id. Each mode brings its grid, its seeded
+// scramble and a move-based factor on the stage's time points. Names and
+// descriptions are in the catalogs under `gameMode.<id>`.
+
+import { clamp } from "./puzzle";
+import { stageRng } from "./seed";
+
+const MIN_MOVE_FACTOR = 0.5; // a long solve still earns half the time points
+
+export const GAME_MODES = [
+  { id: "rotate" },
+  {
+    id: "sliding",
+    // the 15-puzzle is already a fair challenge; 6×6 would take an hour
+    tileGrid: (settings) => clamp(Math.round(settings.grid / 6), 3, 5),
+    scramble: scrambleSliding,
+    par: (grid) => 4 * grid * grid,
+  },
+  {
+    id: "swap",
+    tileGrid: (settings) => clamp(Math.round(settings.grid / 4), 3, 8),
+    scramble: scrambleSwap,
+    par: (grid) => grid * grid,
+  },
+];
+
+export function getGameMode(id) {
+  return GAME_MODES.find((mode) => mode.id === id) || GAME_MODES[0];
+}
+
+export function isSolved(cells) {
+  return cells.every((id, pos) => id === pos);
+}
+
+// Share of the time points kept after `moves`: all of them up to the mode's
+// par, then shrinking with every extra move
+export function moveFactor(mode, grid, moves) {
+  if (!mode.par) return 1;
+  const par = mode.par(grid);
+  if (moves <= par) return 1;
+  return Math.max(MIN_MOVE_FACTOR, par / moves);
+}
+
+function solvedCells(grid) {
+  return Array.from({ length: grid * grid }, (_, i) => i);
+}
+
+// ------- sliding -------
+// The last tile is left out: its place is the gap
+export function blankTile(grid) {
+  return grid * grid - 1;
+}
+
+function neighbours(pos, grid) {
+  const x = pos % grid;
+  const y = Math.floor(pos / grid);
+  const out = [];
+  if (x > 0) out.push(pos - 1);
+  if (x < grid - 1) out.push(pos + 1);
+  if (y > 0) out.push(pos - grid);
+  if (y < grid - 1) out.push(pos + grid);
+  return out;
+}
+
+// Random walk of the gap from the solved board, so the result is always
+// solvable (a plain shuffle is not, half of the time)
+function scrambleSliding(grid, seed, stageIndex) {
+  const rng = stageRng(seed, stageIndex, "sliding");
+  const cells = solvedCells(grid);
+  let gap = cells.length - 1;
+  let previous = -1;
+  const steps = grid * grid * 25;
+  for (let i = 0; i < steps || isSolved(cells); i++) {
+    // never undo the previous step straight away
+    const options = neighbours(gap, grid);
+    const back = options.indexOf(previous);
+    if (back >= 0) options.splice(back, 1);
+    const next = options[Math.floor(rng() * options.length)];
+    cells[gap] = cells[next];
+    cells[next] = blankTile(grid);
+    previous = gap;
+    gap = next;
+  }
+  return cells;
+}
+
+// Moves the tile at `pos` into the gap; null when it doesn't touch the gap
+export function slideTile(cells, grid, pos) {
+  const gap = cells.indexOf(blankTile(grid));
+  if (!neighbours(gap, grid).includes(pos)) return null;
+  const next = [...cells];
+  next[gap] = cells[pos];
+  next[pos] = cells[gap];
+  return next;
+}
+
+// Arrow keys: the tile on the far side of the gap moves in direction
+// (dx, dy), e.g. ArrowLeft pulls the gap's right neighbour left
+export function slideToward(cells, grid, dx, dy) {
+  const gap = cells.indexOf(blankTile(grid));
+  const x = (gap % grid) - dx;
+  const y = Math.floor(gap / grid) - dy;
+  if (x < 0 || y < 0 || x >= grid || y >= grid) return null;
+  return slideTile(cells, grid, y * grid + x);
+}
+
+// ------- swap -------
+function scrambleSwap(grid, seed, stageIndex) {
+  const rng = stageRng(seed, stageIndex, "swap");
+  const cells = solvedCells(grid);
+  do {
+    // Fisher-Yates
+    for (let i = cells.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [cells[i], cells[j]] = [cells[j], cells[i]];
+    }
+  } while (isSolved(cells));
+  return cells;
+}
+
+export function swapTiles(cells, a, b) {
+  if (a === b) return null;
+  const next = [...cells];
+  next[a] = cells[b];
+  next[b] = cells[a];
+  return next;
+}
@@ -0,0 +1,68 @@
+import {
+  blankTile,
+  getGameMode,
+  isSolved,
+  moveFactor,
+  slideTile,
+  slideToward,
+  swapTiles,
+} from "./gameModes";
+
+const sliding = getGameMode("sliding");
+const swap = getGameMode("swap");
+
+// Parity check of the 15-puzzle family: a board is solvable from the solved
+// state iff inversions (+ the gap's row from the bottom on even grids) match
+function solvable(cells, grid) {
+  const tiles = cells.filter((id) => id !== blankTile(grid));
+  let inversions = 0;
+  for (let i = 0; i < tiles.length; i++) {
+    for (let j = i + 1; j < tiles.length; j++) {
+      if (tiles[i] > tiles[j]) inversions++;
+    }
+  }
+  if (grid % 2) return inversions % 2 === 0;
+  const gapRow = Math.floor(cells.indexOf(blankTile(grid)) / grid);
+  return (inversions + (grid - 1 - gapRow)) % 2 === 0;
+}
+
+test("scrambles are seeded, unsolved and (sliding) solvable", () => {
+  for (const grid of [3, 4, 5]) {
+    const cells = sliding.scramble(grid, "ABC123", 2);
+    expect(cells).toEqual(sliding.scramble(grid, "ABC123", 2));
+    expect([...cells].sort((a, b) => a - b)).toEqual(
+      Array.from({ length: grid * grid }, (_, i) => i)
+    );
+    expect(isSolved(cells)).toBe(false);
+    expect(solvable(cells, grid)).toBe(true);
+  }
+  expect(swap.scramble(4, "ABC123", 0)).not.toEqual(
+    swap.scramble(4, "ABC123", 1)
+  );
+  expect(isSolved(swap.scramble(3, "x", 0))).toBe(false);
+});
+
+test("only tiles next to the gap slide", () => {
+  // gap in the middle of a 3×3 board
+  const cells = [0, 1, 2, 3, 8, 5, 6, 7, 4];
+  expect(slideTile(cells, 3, 0)).toBeNull();
+  expect(slideTile(cells, 3, 5)).toEqual([0, 1, 2, 3, 5, 8, 6, 7, 4]);
+  // ArrowLeft pulls the right neighbour into the gap, ArrowDown the one above
+  expect(slideToward(cells, 3, -1, 0)).toEqual(slideTile(cells, 3, 5));
+  expect(slideToward(cells, 3, 0, 1)).toEqual(slideTile(cells, 3, 1));
+  const corner = [0, 1, 2, 3, 4, 5, 6, 7, 8];
+  expect(slideToward(corner, 3, -1, 0)).toBeNull();
+});
+
+test("swapping puts two tiles in each other's place", () => {
+  expect(swapTiles([1, 0, 2], 0, 1)).toEqual([0, 1, 2]);
+  expect(swapTiles([1, 0, 2], 2, 2)).toBeNull();
+});
+
+test("moves past par cost points, down to half", () => {
+  expect(moveFactor(getGameMode("rotate"), 22, 500)).toBe(1);
+  expect(moveFactor(swap, 4, 16)).toBe(1);
+  expect(moveFactor(swap, 4, 32)).toBe(0.5);
+  expect(moveFactor(swap, 4, 20)).toBeCloseTo(0.8);
+  expect(moveFactor(sliding, 3, 10000)).toBe(0.5);
+});
@@ -0,0 +1,29 @@
+// Touch gestures on the board. Pointers are tracked by id; with one finger
+// (or the mouse) the board is dragged as before, with two the change between
+// their previous and current positions gives a twist and a pinch:
+//   rotation  radians the line between the fingers turned (clockwise > 0)
+//   scale     ratio of the distances between the fingers
+//   center    midpoint of the fingers now, in client pixels
+
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 3;
+
+export function twoFingerGesture([a0, b0], [a1, b1]) {
+  const angle = (a, b) => Math.atan2(b.y - a.y, b.x - a.x);
+  const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+  let rotation = angle(a1, b1) - angle(a0, b0);
+  // the shorter way round when the line crosses ±π
+  if (rotation > Math.PI) rotation -= 2 * Math.PI;
+  if (rotation < -Math.PI) rotation += 2 * Math.PI;
+  const before = distance(a0, b0);
+  return {
+    rotation,
+    scale: before > 0 ? distance(a1, b1) / before : 1,
+    center: { x: (a1.x + b1.x) / 2, y: (a1.y + b1.y) / 2 },
+  };
+}
+
+// Zoom of the solved picture after a pinch by `scale`, kept in range
+export function pinchZoom(zoom, scale) {
+  return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom * scale));
+}
@@ -0,0 +1,36 @@
+import { MAX_ZOOM, pinchZoom, twoFingerGesture } from "./gestures";
+
+const p = (x, y) => ({ x, y });
+
+test("a quarter turn of two fingers is a quarter-turn twist", () => {
+  const { rotation, scale, center } = twoFingerGesture(
+    [p(0, 0), p(100, 0)],
+    [p(50, -50), p(50, 50)]
+  );
+  expect(rotation).toBeCloseTo(Math.PI / 2);
+  expect(scale).toBeCloseTo(1);
+  expect(center).toEqual({ x: 50, y: 0 });
+});
+
+test("twists across the ±π line take the short way round", () => {
+  const { rotation } = twoFingerGesture(
+    [p(100, 1), p(0, 0)],
+    [p(100, -1), p(0, 0)]
+  );
+  expect(rotation).toBeCloseTo(-0.02, 3);
+});
+
+test("spreading the fingers zooms in, within bounds", () => {
+  const { scale } = twoFingerGesture(
+    [p(40, 0), p(60, 0)],
+    [p(30, 0), p(70, 0)]
+  );
+  expect(scale).toBeCloseTo(2);
+  expect(pinchZoom(1, scale)).toBe(2);
+  expect(pinchZoom(2, 4)).toBe(MAX_ZOOM);
+  expect(pinchZoom(1, 0.5)).toBe(1);
+  // fingers on the same spot: no zoom rather than a division by zero
+  expect(twoFingerGesture([p(5, 5), p(5, 5)], [p(0, 0), p(9, 9)]).scale).toBe(
+    1
+  );
+});
@@ -0,0 +1,28 @@
+// Hint levels, cheapest first. Each use is recorded on the stage score and
+// its penalty is taken off the time-based points.
+export const HINTS = [
+  {
+    id: "pulse",
+    penalty: 50,
+    duration: 3000, // ms the hint stays on screen
+  },
+  {
+    id: "arrow",
+    penalty: 100,
+    duration: 2500,
+  },
+  {
+    id: "reveal",
+    penalty: 200,
+    duration: 700,
+  },
+];
+
+export function getHint(id) {
+  return HINTS.find((hint) => hint.id === id);
+}
+
+// Total penalty for the hint ids used on a stage
+export function hintPenalty(hintsUsed) {
+  return hintsUsed.reduce((sum, id) => sum + (getHint(id)?.penalty || 0), 0);
+}
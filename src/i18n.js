@@ -0,0 +1,118 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+} from "react";
+import { loadPref, savePref } from "./prefs";
+import en from "./locales/en";
+import vi from "./locales/vi";
+
+// Interface language. Every string the player reads comes from a flat
+// catalog per locale (src/locales/*.js) under a dotted key, with `{name}`
+// placeholders filled from params. An entry may also be a function of the
+// params, for wording that depends on a count. Missing keys fall back to
+// Vietnamese, the language the game was written in, then to the key itself.
+//
+// Pack content (stage names, bios, quizzes) is not in the catalogs: packs
+// carry their own `translations` per locale, merged in by localizePack.
+
+export const LOCALES = [
+  { id: "vi", label: "Tiếng Việt", intl: "vi-VN" },
+  { id: "en", label: "English", intl: "en-US" },
+];
+export const DEFAULT_LOCALE = "vi";
+
+const CATALOGS = { vi, en };
+
+function getLocale(id) {
+  return LOCALES.find((locale) => locale.id === id) || LOCALES[0];
+}
+
+export function translate(locale, key, params = {}) {
+  const entry = CATALOGS[locale]?.[key] ?? CATALOGS[DEFAULT_LOCALE][key];
+  if (entry == null) return key;
+  const text = typeof entry === "function" ? entry(params) : entry;
+  return text.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] == null ? match : String(params[name])
+  );
+}
+
+export function formatNumber(locale, value, options) {
+  return new Intl.NumberFormat(getLocale(locale).intl, options).format(value);
+}
+
+// Seconds with one decimal, as on the game clock: "12,3s" / "12.3s"
+export function formatTime(locale, seconds) {
+  return `${formatNumber(locale, seconds, {
+    minimumFractionDigits: 1,
+    maximumFractionDigits: 1,
+  })}s`;
+}
+
+export function formatDate(locale, date) {
+  return new Date(date).toLocaleDateString(getLocale(locale).intl);
+}
+
+// Stage with the texts of its `translations[locale]` over the originals.
+// A translated quiz only replaces the wording; the answer index stays.
+export function localizeStage(stage, locale) {
+  const tr = stage.translations?.[locale];
+  if (!tr) return stage;
+  return {
+    ...stage,
+    name: tr.name || stage.name,
+    bio: tr.bio || stage.bio,
+    facts: tr.facts || stage.facts,
+    quiz: stage.quiz && tr.quiz ? { ...stage.quiz, ...tr.quiz } : stage.quiz,
+  };
+}
+
+// Works for pack index entries too (no stages)
+export function localizePack(pack, locale) {
+  const tr = pack.translations?.[locale];
+  return {
+    ...pack,
+    name: tr?.name || pack.name,
+    description: tr?.description || pack.description,
+    stages: pack.stages?.map((stage) => localizeStage(stage, locale)),
+  };
+}
+
+function bind(locale, setLocale) {
+  return {
+    locale,
+    setLocale,
+    t: (key, params) => translate(locale, key, params),
+    formatNumber: (value, options) => formatNumber(locale, value, options),
+    formatTime: (seconds) => formatTime(locale, seconds),
+    formatDate: (date) => formatDate(locale, date),
+  };
+}
+
+// Components rendered outside a provider (tests) get Vietnamese
+const I18nContext = createContext(bind(DEFAULT_LOCALE, () => {}));
+
+export function I18nProvider({ children }) {
+  const [locale, setLocaleState] = useState(
+    () => getLocale(loadPref("locale", DEFAULT_LOCALE)).id
+  );
+  const setLocale = useCallback((id) => {
+    const next = getLocale(id).id;
+    setLocaleState(next);
+    savePref("locale", next);
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(() => bind(locale, setLocale), [locale, setLocale]);
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
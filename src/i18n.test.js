@@ -0,0 +1,66 @@
+import {
+  formatNumber,
+  formatTime,
+  localizePack,
+  localizeStage,
+  translate,
+} from "./i18n";
+import en from "./locales/en";
+import vi from "./locales/vi";
+
+const STAGE = {
+  id: "ho-chi-minh",
+  name: "Hồ Chí Minh",
+  bio: "Chủ tịch Hồ Chí Minh",
+  facts: [{ date: "1890", event: "Sinh tại làng Kim Liên" }],
+  quiz: { question: "Ngày nào?", choices: ["19/8", "2/9"], answer: 1 },
+  translations: {
+    en: {
+      name: "Ho Chi Minh",
+      quiz: { question: "Which day?", choices: ["19 Aug", "2 Sep"] },
+    },
+  },
+};
+
+test("messages fill in their params, with counts where the wording needs them", () => {
+  expect(translate("vi", "game.stage", { n: 2, total: 4 })).toBe("Màn 2/4:");
+  expect(translate("en", "game.stage", { n: 2, total: 4 })).toBe("Stage 2/4:");
+  expect(translate("en", "results.moves", { n: 1 })).toBe("1 move");
+  expect(translate("en", "results.moves", { n: 12 })).toBe("12 moves");
+  expect(translate("vi", "results.moves", { n: 12 })).toBe("12 nước");
+});
+
+test("missing messages fall back to Vietnamese, then to the key", () => {
+  expect(translate("fr", "menu.start")).toBe("Bắt đầu chơi");
+  expect(translate("en", "no.such.key")).toBe("no.such.key");
+});
+
+test("the English catalog covers every Vietnamese key", () => {
+  expect(Object.keys(en).sort()).toEqual(Object.keys(vi).sort());
+});
+
+test("numbers and times follow the locale", () => {
+  expect(formatTime("vi", 12.34)).toBe("12,3s");
+  expect(formatTime("en", 12.34)).toBe("12.3s");
+  expect(formatNumber("vi", 1250)).toBe("1.250");
+  expect(formatNumber("en", 1250)).toBe("1,250");
+});
+
+test("stage texts are translated but the quiz answer stays", () => {
+  const stage = localizeStage(STAGE, "en");
+  expect(stage.name).toBe("Ho Chi Minh");
+  expect(stage.bio).toBe(STAGE.bio); // not translated: original kept
+  expect(stage.quiz).toEqual({
+    question: "Which day?",
+    choices: ["19 Aug", "2 Sep"],
+    answer: 1,
+  });
+  expect(localizeStage(STAGE, "vi")).toBe(STAGE);
+
+  const pack = localizePack(
+    { name: "Gói", translations: { en: { name: "Pack" } }, stages: [STAGE] },
+    "en"
+  );
+  expect(pack.name).toBe("Pack");
+  expect(pack.stages[0].name).toBe("Ho Chi Minh");
+});
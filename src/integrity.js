@@ -0,0 +1,120 @@
+// Score integrity: plausibility checks on a rotate-puzzle solve, recomputed
+// from its replay alone. Every frame of the replay names the input that made
+// it (replay.js), so a verifier can tell a drag from a slider jump, or from
+// a view that no input explains (state edited in the devtools).
+//
+// The signature is a hash of the seed, the result (hints used and quiz bonus
+// included) and the whole trace. It is a checksum, not a secret: anyone with
+// this source can compute one, so it only shows that a result and its trace
+// belong together and were not edited apart afterwards. In a LAN race the server's own timing counts.
+//
+// Flags (names in the catalogs under `integrity.<flag>`):
+//   replay       the log doesn't end solved, or not in the time claimed
+//   signature    missing, or doesn't match the replay
+//   edited       the score differs from its replay
+//   too-fast     lined up from afar quicker than anyone can
+//   slider-jump  a single slider change brought the view into snap range
+//   untraced     a view change no input accounts for
+
+import { getPreset } from "./difficulty";
+import { KEY_STEP, alignment, secretOrientation, wrapAngle } from "./puzzle";
+import { verifyReplay } from "./replay";
+import { hashSeed } from "./seed";
+
+export const MIN_SOLVE_SECONDS = 2;
+export const JUMP_RADIANS = 0.5; // one slider change further than this
+// two key presses may land in one frame (see recordFrame)
+const MAX_KEY_STEP = 2 * KEY_STEP + 1e-3;
+const SNAP_SLACK = 0.01; // frames are rounded, the live check was not
+
+export function signReplay(replay) {
+  const {
+    seed,
+    packId,
+    stageIndex,
+    mode,
+    difficulty,
+    time,
+    points,
+    hints,
+    quizBonus,
+    frames,
+  } = replay;
+  const body = JSON.stringify([
+    seed,
+    packId,
+    stageIndex,
+    mode,
+    difficulty,
+    time,
+    points,
+    hints ?? [],
+    quizBonus ?? 0,
+    frames,
+  ]);
+  // two salted 32-bit passes make a 64-bit digest
+  return ["a", "b"]
+    .map((salt) => hashSeed(`${salt}:${body}`).toString(16).padStart(8, "0"))
+    .join("");
+}
+
+// Flags raised by a replay; an empty list means it checks out
+export function checkReplay(replay) {
+  const flags = [];
+  const { solved, timeMatches } = verifyReplay(replay);
+  if (!solved || !timeMatches) flags.push("replay");
+  if (replay.signature !== signReplay(replay)) flags.push("signature");
+
+  const { frames } = replay;
+  const { secretAngle, secretPitch } = secretOrientation(
+    replay.seed,
+    replay.stageIndex,
+    replay.mode === "dual"
+  );
+  // within reach of the snapback; older replays don't say where that is, and
+  // are checked against the normal preset's
+  const snapThreshold =
+    replay.snapThreshold ?? getPreset("normal").snapThreshold;
+  const near = ([, angle, pitch]) =>
+    alignment(angle, pitch, secretAngle, secretPitch, replay.sharpness) >=
+    snapThreshold - SNAP_SLACK;
+
+  if (replay.time < MIN_SOLVE_SECONDS && !near(frames[0])) {
+    flags.push("too-fast");
+  }
+  let jump = false;
+  let untraced = false;
+  for (let i = 1; i < frames.length; i++) {
+    const [, angle, pitch, input] = frames[i];
+    const [, lastAngle, lastPitch] = frames[i - 1];
+    const step = Math.hypot(wrapAngle(angle - lastAngle), pitch - lastPitch);
+    if (input === "slider" && step > JUMP_RADIANS) {
+      jump = jump || (near(frames[i]) && !near(frames[i - 1]));
+    }
+    untraced =
+      untraced ||
+      !input ||
+      (input === "key" && step > MAX_KEY_STEP) ||
+      (input === "snap" && !near(frames[i - 1]));
+  }
+  if (jump) flags.push("slider-jump");
+  if (untraced) flags.push("untraced");
+  return flags;
+}
+
+// Flags of a stage score, or null when there is nothing to check: only
+// rotate-puzzle solves on the main board keep a replay
+export function checkScore(score) {
+  if (!score.replay) return null;
+  const flags = checkReplay(score.replay);
+  const { replay } = score;
+  if (
+    score.time !== replay.time ||
+    score.points !== replay.points ||
+    (score.quizBonus || 0) !== (replay.quizBonus ?? 0) ||
+    JSON.stringify(score.hints ?? []) !== JSON.stringify(replay.hints ?? [])
+  ) {
+    flags.push("edited");
+  }
+  return flags;
+}
@@ -0,0 +1,116 @@
+import { initialState, reduce } from "./engine";
+import { checkReplay, checkScore, signReplay } from "./integrity";
+import { wrapAngle } from "./puzzle";
+
+const RUN = {
+  stages: [{ id: "a", name: "A", url: "/a.jpg", grid: 12, timeBudget: 100 }],
+  difficulty: "normal",
+  custom: null,
+  dualAxis: false,
+  rotationMode: "single",
+  mode: "rotate",
+  packId: "test",
+  players: ["Lan"],
+  hotSeat: false,
+  race: false,
+  lan: false,
+};
+
+// Play the stage: `moves` are [ms, input, radians from the secret], then the
+// snapback runs one tick per frame until it lands
+function solve(moves) {
+  let game = reduce(initialState(), {
+    type: "start",
+    run: RUN,
+    seed: "ABC123",
+    now: 0,
+  });
+  let now = 0;
+  for (const [ms, input, offset] of moves) {
+    now = ms;
+    const dYaw = wrapAngle(game.secret.angle + offset - game.angle);
+    game = reduce(game, { type: "rotate", dYaw, input, now });
+  }
+  for (let i = 0; i < 200 && !game.solved; i++) {
+    now += 16;
+    game = reduce(game, { type: "tick", now });
+  }
+  return game.scores[0];
+}
+
+// a drag from the far side of the board into reach of the snapback
+const drag = (from, ms) =>
+  Array.from({ length: 8 }, (_, i) => [
+    from + i * ms,
+    "drag",
+    Math.PI - 0.1 - (i + 1) * 0.38,
+  ]);
+
+test("an ordinary solve checks out", () => {
+  const score = solve([[500, "drag", Math.PI - 0.1], ...drag(1000, 400)]);
+  expect(score.replay.signature).toBe(signReplay(score.replay));
+  expect(checkScore(score)).toEqual([]);
+});
+
+test("flags a slider jump into the snap range", () => {
+  const score = solve([
+    [500, "drag", Math.PI - 0.1],
+    [4000, "slider", 0.05],
+  ]);
+  expect(checkScore(score)).toEqual(["slider-jump"]);
+});
+
+test("flags a solve quicker than anyone can line one up", () => {
+  const score = solve([[100, "drag", Math.PI - 0.1], ...drag(150, 30)]);
+  expect(checkScore(score)).toEqual(["too-fast"]);
+});
+
+test("flags view changes no input explains and edited results", () => {
+  const score = solve([
+    [500, "drag", Math.PI - 0.1],
+    [4000, undefined, 0.05], // e.g. the state edited in the devtools
+  ]);
+  expect(checkScore(score)).toEqual(["untraced"]);
+
+  const honest = solve([[500, "drag", Math.PI - 0.1], ...drag(1000, 400)]);
+  expect(checkScore({ ...honest, points: honest.points + 500 })).toEqual([
+    "edited",
+  ]);
+  const replay = { ...honest.replay, points: honest.points + 500 };
+  expect(checkReplay(replay)).toEqual(["signature"]);
+  expect(checkScore({ ...honest, replay: null })).toBeNull();
+});
+
+test("older replays are checked against the normal snap range", () => {
+  const quick = solve([[100, "drag", Math.PI - 0.1], ...drag(150, 30)]).replay;
+  const honest = solve([
+    [500, "drag", Math.PI - 0.1],
+    ...drag(1000, 400),
+  ]).replay;
+  const older = ({ snapThreshold, ...replay }) => replay;
+  expect(checkReplay(older(honest))).toEqual([]);
+  expect(checkReplay(older(quick))).toEqual(["too-fast"]);
+});
+
+test("hints and the quiz bonus are signed with the solve", () => {
+  const honest = solve([[500, "drag", Math.PI - 0.1], ...drag(1000, 400)]);
+  const hinted = {
+    ...honest,
+    hints: ["arrow"],
+    replay: { ...honest.replay, hints: ["arrow"] },
+  };
+  hinted.replay.signature = signReplay(hinted.replay);
+  expect(checkScore(hinted)).toEqual([]);
+
+  // hints edited out, or a bonus raised, on the score or its replay
+  expect(checkScore({ ...hinted, hints: [] })).toEqual(["edited"]);
+  expect(checkScore({ ...hinted, quizBonus: 200 })).toEqual(["edited"]);
+  expect(
+    checkScore({
+      ...hinted,
+      hints: [],
+      quizBonus: 200,
+      replay: { ...hinted.replay, hints: [], quizBonus: 200 },
+    })
+  ).toEqual(["signature"]);
+});
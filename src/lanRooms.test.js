@@ -0,0 +1,125 @@
+import { calculatePoints } from "./engine";
+import {
+  LATENCY_ALLOWANCE,
+  checkedTime,
+  createRooms,
+  stagePoints,
+  validateConfig,
+} from "../server/rooms";
+
+const STAGE = {
+  id: "a",
+  name: "A",
+  timeBudget: 100,
+  maxPoints: 1000,
+  minPoints: 100,
+  multiplier: 1.35,
+};
+const config = (overrides) => ({
+  seed: "ROOM",
+  packId: "p",
+  mode: "single",
+  difficulty: "normal",
+  stages: [STAGE, { ...STAGE, id: "b", name: "B" }],
+  ...overrides,
+});
+
+// a room on a hand-driven clock, with the host seated
+function setup() {
+  let ms = 0;
+  const rooms = createRooms({ now: () => ms, random: () => 0 });
+  const { room, player: host } = rooms.create("Cô Lan", config());
+  const tick = (seconds) => (ms += seconds * 1000);
+  return { rooms, room, host, tick };
+}
+
+test("the server's clock decides, within the latency allowance", () => {
+  expect(checkedTime(10, 10.4)).toEqual({ time: 10, adjusted: false });
+  expect(checkedTime(12, 10)).toEqual({ time: 10, adjusted: true });
+  expect(checkedTime(2, 10)).toEqual({
+    time: 10 - LATENCY_ALLOWANCE,
+    adjusted: true,
+  });
+  expect(checkedTime("fast", 10)).toEqual({ time: 10, adjusted: false });
+});
+
+test("points follow the app's curve and multiplier", () => {
+  for (const seconds of [0, 12.5, 50, 99, 150]) {
+    expect(stagePoints(seconds, STAGE)).toBe(
+      Math.round(calculatePoints(seconds, STAGE) * STAGE.multiplier)
+    );
+  }
+});
+
+test("hostile configs are refused or clamped", () => {
+  expect(validateConfig(null)).toBeNull();
+  expect(validateConfig(config({ seed: "" }))).toBeNull();
+  expect(validateConfig(config({ stages: [] }))).toBeNull();
+  expect(
+    validateConfig(config({ stages: [{ ...STAGE, timeBudget: "soon" }] }))
+  ).toBeNull();
+
+  const clean = validateConfig(
+    config({
+      difficulty: "<script>",
+      custom: { grid: 1e9 },
+      extra: "dropped",
+      stages: [{ ...STAGE, maxPoints: 1e9, minPoints: 2e9, multiplier: 1000 }],
+    })
+  );
+  expect(clean).not.toHaveProperty("extra");
+  expect(clean).toMatchObject({ difficulty: "normal", custom: null });
+  expect(clean.stages[0]).toMatchObject({
+    maxPoints: 5000,
+    minPoints: 5000,
+    multiplier: 0.6, // an instant solve pays 3000 at most
+  });
+
+  const custom = validateConfig(
+    config({
+      difficulty: "custom",
+      custom: { grid: 1e9, timeBudget: -5, sharpness: "x", evil: 1 },
+    })
+  );
+  expect(custom.custom).toEqual({ grid: 64, timeBudget: 15 });
+});
+
+test("stages run in order and each counts one solve per player", () => {
+  const { rooms, room, host, tick } = setup();
+  const { player } = rooms.join(room.code.toLowerCase(), "An");
+  expect(rooms.advance(room, player)).toEqual({ error: "not-host" });
+  expect(rooms.solve(room, player, 0, 5)).toEqual({ error: "wrong-stage" });
+
+  rooms.advance(room, host);
+  expect(rooms.join(room.code, "Late")).toEqual({ error: "already-started" });
+  tick(20);
+  const { result } = rooms.solve(room, player, 0, 19.5);
+  expect(result).toEqual({
+    time: 19.5,
+    points: stagePoints(19.5, STAGE),
+    adjusted: false,
+  });
+  expect(rooms.solve(room, player, 0, 19.5)).toEqual({
+    error: "already-solved",
+  });
+  expect(rooms.solve(room, player, 1, 5)).toEqual({ error: "wrong-stage" });
+
+  rooms.advance(room, host);
+  rooms.advance(room, host);
+  expect(room.phase).toBe("finished");
+  expect(rooms.advance(room, host)).toEqual({ error: "already-finished" });
+});
+
+test("the host role moves on and an empty room closes", () => {
+  const { rooms, room, host } = setup();
+  const { player } = rooms.join(room.code, "An");
+  expect(rooms.join(room.code, "An")).toEqual({ error: "name-taken" });
+
+  rooms.leave(room, host);
+  expect(host.host).toBe(false);
+  expect(player.host).toBe(true);
+  expect(rooms.advance(room, player).error).toBeUndefined();
+
+  expect(rooms.leave(room, player)).toEqual({ room: null });
+  expect(rooms.join(room.code, "Bình")).toEqual({ error: "room-not-found" });
+});
@@ -0,0 +1,173 @@
+// Local leaderboard: finished runs and per-stage best times, per player.
+//
+// Persistence goes through the async storage interface of storage.js. Stored
+// data is treated as untrusted: anything malformed is dropped rather than
+// allowed to crash the menu.
+
+export const LEADERBOARD_VERSION = 1;
+const MAX_RUNS = 50; // per category (pack, mode, format), to stay bounded
+const DEFAULT_MODE = "rotate"; // runs stored before game modes existed
+const DEFAULT_FORMAT = "classic"; // ... and before run formats
+
+export function emptyLeaderboard() {
+  return { version: LEADERBOARD_VERSION, runs: [], bests: {} };
+}
+
+// ------- reading / writing -------
+export async function loadLeaderboard(storage) {
+  try {
+    return normalizeLeaderboard(await storage.read());
+  } catch (err) {
+    // unreadable JSON, blocked storage, ...: start over instead of crashing
+    console.warn("Leaderboard data unreadable, starting fresh", err);
+    return emptyLeaderboard();
+  }
+}
+
+// Accept whatever was stored and keep only well-formed entries
+export function normalizeLeaderboard(raw) {
+  const board = emptyLeaderboard();
+  if (!raw || typeof raw !== "object") return board;
+  // unversioned data from before the bests map existed: a bare runs array
+  const runs = Array.isArray(raw) ? raw : raw.runs;
+  if (Array.isArray(runs)) {
+    board.runs = capRuns(runs.filter(isValidRun));
+  }
+  if (raw.bests && typeof raw.bests === "object" && !Array.isArray(raw.bests)) {
+    for (const [player, stages] of Object.entries(raw.bests)) {
+      if (!stages || typeof stages !== "object") continue;
+      const clean = {};
+      for (const [key, time] of Object.entries(stages)) {
+        if (isPositiveNumber(time)) clean[key] = time;
+      }
+      board.bests[player] = clean;
+    }
+  }
+  return board;
+}
+
+// Add a finished run; returns the new board plus what it improved on.
+// `run` = { player, packId, packName, seed, difficulty, mode, format, total,
+//           time, stages: [{ id, time }] }
+// `mode` is the game mode (gameModes.js); runs and stage bests of different
+// modes are kept apart since their times don't compare. Likewise `format`
+// (runFormats.js): a time attack total is its own category.
+export function recordRun(board, run) {
+  const entry = {
+    player: run.player,
+    packId: run.packId,
+    packName: run.packName,
+    seed: run.seed,
+    difficulty: run.difficulty,
+    mode: run.mode || DEFAULT_MODE,
+    format: run.format || DEFAULT_FORMAT,
+    total: run.total,
+    time: run.time,
+    date: run.date || new Date().toISOString(),
+  };
+  const previous = topRuns(board, {
+    packId: run.packId,
+    player: run.player,
+    mode: entry.mode,
+    format: entry.format,
+  })[0];
+  const personalBest = !previous || entry.total > previous.total;
+
+  const playerBests = { ...(board.bests[run.player] || {}) };
+  const newStageBests = [];
+  for (const stage of run.stages) {
+    const key = stageKey(run.packId, stage.id, entry.mode);
+    const best = playerBests[key];
+    if (best == null || stage.time < best) {
+      playerBests[key] = stage.time;
+      newStageBests.push(stage.id);
+    }
+  }
+
+  const runs = capRuns([...board.runs, entry], entry);
+  return {
+    board: {
+      ...board,
+      runs,
+      bests: { ...board.bests, [run.player]: playerBests },
+    },
+    entry,
+    personalBest,
+    newStageBests,
+  };
+}
+
+export function saveLeaderboard(storage, board) {
+  return storage.write(board).catch((err) => {
+    console.warn("Could not save leaderboard", err);
+  });
+}
+
+// Best runs first, optionally filtered by pack, player, game mode and/or
+// run format
+export function topRuns(
+  board,
+  { packId, player, mode, format, limit = Infinity } = {}
+) {
+  return board.runs
+    .filter(
+      (r) =>
+        (packId == null || r.packId === packId) &&
+        (player == null || r.player === player) &&
+        (mode == null || (r.mode || DEFAULT_MODE) === mode) &&
+        (format == null || (r.format || DEFAULT_FORMAT) === format)
+    )
+    .sort(compareRuns)
+    .slice(0, limit);
+}
+
+// rotate keeps the keys stored before there were other modes
+function stageKey(packId, stageId, mode) {
+  const key = `${packId}/${stageId}`;
+  return mode === DEFAULT_MODE ? key : `${key}/${mode}`;
+}
+
+// The best MAX_RUNS of every category, best first, so high-scoring runs of
+// one category never push out another's. `keep` (the run just recorded)
+// stays even when it ranks last; the worst other run of its category goes.
+function capRuns(runs, keep) {
+  const categories = new Map();
+  for (const r of [...runs].sort(compareRuns)) {
+    const key = JSON.stringify([
+      r.packId,
+      r.mode || DEFAULT_MODE,
+      r.format || DEFAULT_FORMAT,
+    ]);
+    if (!categories.has(key)) categories.set(key, []);
+    categories.get(key).push(r);
+  }
+  const kept = new Set();
+  for (const list of categories.values()) {
+    const top = list.slice(0, MAX_RUNS);
+    if (list.includes(keep) && !top.includes(keep)) top[MAX_RUNS - 1] = keep;
+    top.forEach((r) => kept.add(r));
+  }
+  return runs.filter((r) => kept.has(r)).sort(compareRuns);
+}
+
+// higher total wins; faster run breaks ties
+function compareRuns(a, b) {
+  return b.total - a.total || a.time - b.time;
+}
+
+function isValidRun(r) {
+  return (
+    r &&
+    typeof r === "object" &&
+    typeof r.player === "string" &&
+    typeof r.packId === "string" &&
+    Number.isFinite(r.total) &&
+    // an open-ended run may end before any stage is solved
+    Number.isFinite(r.time) &&
+    r.time >= 0
+  );
+}
+
+function isPositiveNumber(v) {
+  return Number.isFinite(v) && v > 0;
+}
@@ -0,0 +1,123 @@
+import {
+  emptyLeaderboard,
+  loadLeaderboard,
+  normalizeLeaderboard,
+  recordRun,
+  topRuns,
+} from "./leaderboard";
+import { createLocalStorage } from "./storage";
+
+const run = (player, total, time, stages = []) => ({
+  player,
+  packId: "p",
+  packName: "Pack",
+  total,
+  time,
+  stages,
+  date: "2024-01-01T00:00:00.000Z",
+});
+
+test("marks personal bests per run and per stage", () => {
+  let { board, personalBest, newStageBests } = recordRun(
+    emptyLeaderboard(),
+    run("An", 3000, 40, [{ id: "a", time: 20 }])
+  );
+  expect(personalBest).toBe(true);
+  expect(newStageBests).toEqual(["a"]);
+
+  ({ board, personalBest, newStageBests } = recordRun(
+    board,
+    run("An", 2500, 35, [{ id: "a", time: 15 }])
+  ));
+  expect(personalBest).toBe(false);
+  expect(newStageBests).toEqual(["a"]);
+  expect(topRuns(board, { packId: "p" }).map((r) => r.total)).toEqual([
+    3000, 2500,
+  ]);
+});
+
+test("keeps the game modes apart", () => {
+  let { board } = recordRun(
+    emptyLeaderboard(),
+    run("An", 3000, 40, [{ id: "a", time: 20 }])
+  );
+  const sliding = run("An", 1200, 90, [{ id: "a", time: 90 }]);
+  const result = recordRun(board, { ...sliding, mode: "sliding" });
+  // a first sliding run is a best of its own, however slow
+  expect(result.personalBest).toBe(true);
+  expect(result.newStageBests).toEqual(["a"]);
+  board = result.board;
+  expect(topRuns(board, { mode: "rotate" }).map((r) => r.total)).toEqual([
+    3000,
+  ]);
+  expect(topRuns(board, { mode: "sliding" }).map((r) => r.total)).toEqual([
+    1200,
+  ]);
+});
+
+test("keeps time attack and endless runs in their own categories", () => {
+  let { board } = recordRun(emptyLeaderboard(), run("An", 3000, 40));
+  const result = recordRun(board, {
+    ...run("An", 900, 180),
+    format: "endless",
+  });
+  expect(result.personalBest).toBe(true);
+  board = result.board;
+  expect(topRuns(board, { format: "classic" }).map((r) => r.total)).toEqual([
+    3000,
+  ]);
+  expect(topRuns(board, { format: "endless" }).map((r) => r.total)).toEqual([
+    900,
+  ]);
+});
+
+test("caps every category on its own and keeps the run just recorded", () => {
+  let board = emptyLeaderboard();
+  for (let i = 0; i < 50; i++) {
+    board = recordRun(board, run("An", 5000 + i, 40)).board;
+  }
+  // a low score in a category of its own is not pushed out
+  const endless = recordRun(board, {
+    ...run("Bình", 10, 20),
+    format: "endless",
+  });
+  expect(endless.board.runs).toContain(endless.entry);
+  expect(endless.board.runs).toHaveLength(51);
+
+  // nor, in a full category, is a first run that ranks last
+  const result = recordRun(endless.board, run("Chi", 20, 60));
+  expect(result.personalBest).toBe(true);
+  const classic = topRuns(result.board, { packId: "p", format: "classic" });
+  expect(classic).toHaveLength(50);
+  expect(classic[49]).toBe(result.entry);
+  expect(classic.map((r) => r.total)).not.toContain(5000);
+});
+
+test("drops malformed entries from stored data", () => {
+  const board = normalizeLeaderboard({
+    runs: [run("An", 100, 10), { player: 3 }, null],
+    bests: { An: { "p/a": 12, "p/b": "fast" }, Binh: "oops" },
+  });
+  expect(board.runs).toHaveLength(1);
+  expect(board.bests).toEqual({ An: { "p/a": 12 } });
+  expect(normalizeLeaderboard("garbage")).toEqual(emptyLeaderboard());
+});
+
+test("a run ended before any stage was solved survives a reload", () => {
+  const { board } = recordRun(emptyLeaderboard(), {
+    ...run("An", 0, 0),
+    format: "timeAttack",
+  });
+  const reloaded = normalizeLeaderboard(JSON.parse(JSON.stringify(board)));
+  expect(reloaded.runs).toEqual(board.runs);
+  expect(normalizeLeaderboard({ runs: [run("An", 0, -1)] }).runs).toEqual([]);
+});
+
+test("starts fresh when the stored JSON is corrupted", async () => {
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  window.localStorage.setItem("test.board", "{not json");
+  const board = await loadLeaderboard(createLocalStorage("test.board"));
+  expect(board).toEqual(emptyLeaderboard());
+  expect(warn).toHaveBeenCalled();
+  warn.mockRestore();
+});
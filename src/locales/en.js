@@ -0,0 +1,361 @@
+// English interface strings; keys missing here fall back to vi.js
+
+const plural = (n, one, many) => `${n} ${Number(n) === 1 ? one : many}`;
+
+const en = {
+  "app.title": "3D Particle Picture Puzzle",
+  "app.subtitle": "Discover the historical figures of Vietnam",
+  "player.default": "Player",
+  "player.numbered": "Player {n}",
+  "player.remove": "Remove player {n}",
+  "player.add": "+ Add player",
+  "common.points": ({ points }) => plural(points, "point", "points"),
+  "common.backToMenu": "Back to menu",
+  "common.disconnected": "Lost the connection to the server.",
+  "common.loading": "Loading...",
+  "image.loadFailed": "Could not load the image {src}",
+  "image.offline":
+    "The image could not load because you are offline. It will load again once you are back online.",
+  "image.retry": "Try again",
+  "offline.banner": "You are offline: stages already downloaded still play.",
+
+  // menu
+  "menu.intro":
+    "Rotate the picture to fit the pieces together and discover the historical figures of Vietnam!",
+  "menu.speed": "Solve faster to score more (up to 1000 points per stage)",
+  "menu.quizBonus":
+    "Answer the question after each stage correctly for {bonus} bonus points",
+  "menu.stageCount": ({ n }) => plural(n, "stage", "stages"),
+  "menu.language": "Language",
+  "menu.playMode": "Players",
+  "menu.playerName": "Player name",
+  "menu.pack": "Stage pack",
+  "menu.builtinPack": "{name} (built in)",
+  "menu.myPhotos": "My photos",
+  "menu.packInvalid": 'Invalid stage pack, using "{name}" instead:',
+  "menu.gameMode": "Puzzle type",
+  "menu.raceRotateOnly": "Split-screen races only have the rotate puzzle",
+  "menu.runFormat": "Run type",
+  "menu.runFormatSolo": "Time attack and endless are single-player only",
+  "menu.rotationMode": "Rotation",
+  "menu.run": "Run",
+  "menu.runRandom": "Free play",
+  "menu.runDaily": "Daily challenge",
+  "menu.seed": "Run code",
+  "menu.seedPlaceholder": "Run code (empty: random)",
+  "menu.reducedMotion":
+    "Reduce motion (no wobble, snapping effect or proximity tone)",
+  "menu.hideMeter": 'Hard mode: hide the "Accuracy" bar',
+  "menu.start": "Start game",
+  "menu.install": "📲 Install app",
+  "menu.lan": "Play over LAN",
+  "menu.openReplay": "Open a replay (.json)",
+  "menu.replayInvalid": "Invalid replay file: {message}",
+  "menu.figures": "Historical figures in the game:",
+  "menu.stageMeta": "({difficulty}, {grid}×{grid} grid)",
+  "menu.lanUploadsNote":
+    "Uploaded photos only exist on this device; pick another stage pack to create a room.",
+
+  "playMode.solo": "Single player",
+  "playMode.hotseat": "Take turns (one device)",
+  "playMode.race": "Side-by-side race (split screen)",
+  "rotationMode.single": "One axis (turn)",
+  "rotationMode.dual": "Two axes (turn + tilt)",
+
+  "gameMode.rotate": "Rotate puzzle",
+  "gameMode.rotate.description":
+    "Rotate to the right angle and the pieces fall into place",
+  "gameMode.sliding": "Sliding tiles",
+  "gameMode.sliding.description":
+    "Slide the tiles into the gap until the picture is whole",
+  "gameMode.swap": "Swap tiles",
+  "gameMode.swap.description":
+    "Drag and drop (or pick two tiles) to swap them until the picture is right",
+
+  "runFormat.classic": "Classic",
+  "runFormat.classic.description": "Every stage of the pack, in order",
+  "runFormat.timeAttack": "Time attack",
+  "runFormat.timeAttack.description":
+    "Solve as many stages as you can in {time}; the pieces get smaller every stage",
+  "runFormat.endless": "Endless",
+  "runFormat.endless.description":
+    "Shuffled stages that keep getting harder; fast solves in a row multiply your points, running out of time on a stage ends the run",
+
+  "difficulty.label": "Difficulty",
+  "difficulty.multiplier": "×{multiplier} points",
+  "difficulty.easy": "Easy",
+  "difficulty.normal": "Normal",
+  "difficulty.hard": "Hard",
+  "difficulty.custom": "Custom",
+  "difficulty.field.grid": "Tiles per side",
+  "difficulty.field.timeBudget": "Time budget (s)",
+  "difficulty.field.snapThreshold": "Snap threshold",
+  "difficulty.field.solveThreshold": "Solve threshold",
+  "difficulty.field.sharpness": "Sharpness",
+  "difficulty.field.maxPoints": "Maximum points",
+  "stageDifficulty.easy": "easy",
+  "stageDifficulty.normal": "medium",
+  "stageDifficulty.hard": "hard",
+
+  "upload.panel": "Stages from your photos",
+  "upload.drop": "Drop a photo here or click to pick a file",
+  "upload.processing": "Processing the photo...",
+  "upload.full": "You have reached the limit of {max} photos; remove some.",
+  "upload.preview": "Preview",
+  "upload.title": "Title",
+  "upload.caption": "Caption",
+  "upload.captionPlaceholder": "Caption (shown once solved)",
+  "upload.cancel": "Discard",
+  "upload.add": "Add stage",
+  "upload.remove": "Remove",
+  "upload.removeLabel": "Remove {name}",
+  "upload.unreadable":
+    "This file could not be read. Please pick an image file (JPG, PNG...).",
+  "upload.saveFailed":
+    "The photo could not be saved: the browser storage may be full.",
+
+  // leaderboard and result tables
+  "leaderboard.title": "Leaderboard: {pack}",
+  "leaderboard.titleMode": "Leaderboard: {pack} · {mode}",
+  "leaderboard.empty": "No runs saved yet.",
+  "table.stage": "Stage",
+  "table.figure": "Figure",
+  "table.player": "Player",
+  "table.time": "Time",
+  "table.hints": "Hints",
+  "table.points": "Points",
+  "table.quiz": "Quiz",
+  "table.replay": "Replay",
+  "table.difficulty": "Difficulty",
+  "table.date": "Date",
+  "table.total": "Total",
+
+  // results
+  "results.title": "🎉 Complete! 🎉",
+  "results.personalBest": "🏅 New personal best!",
+  "results.tie": "Tie:",
+  "results.winner": "🏆 {name} wins!",
+  "results.total": "Total score:",
+  "results.difficulty": "Difficulty:",
+  "results.totalTime": "Total time:",
+  "results.details": "Stage by stage:",
+  "results.moves": ({ n }) => plural(n, "move", "moves"),
+  "results.newBest": "new record",
+  "results.timeUp": "time's up",
+  "results.stagesSolved": ({ n }) => `${plural(n, "stage", "stages")} solved`,
+  "results.bestCombo": "best combo ×{n}",
+  "results.gaveUp": "Gave up",
+  "results.watch": "Watch {stage}",
+  "results.watchPlayer": "Watch {stage}: {player}",
+  "results.watchButton": "▶ Watch",
+  "results.daily": "Daily challenge",
+  "results.seed": "Run code",
+  "results.copyLink": "Copy link",
+  "results.replaySeed": "Replay this run",
+  "results.playAgain": "Play again",
+  "results.unverified": "unverified",
+  "results.unverifiedNote":
+    "⚠ Unverified scores failed a plausibility check; point at the mark to see why.",
+
+  // playing
+  "game.stage": "Stage {n}/{total}:",
+  "game.stageOpen": "Stage {n}:",
+  "game.combo": "Combo ×{n}",
+  "game.endRun": "End run",
+  "game.turn": "Turn:",
+  "game.time": "Time:",
+  "game.timeLeft": "Time left:",
+  "game.timeUp": "⏰ Time's up!",
+  "game.currentPoints": "Current points:",
+  "game.pause": "⏸ Pause",
+  "game.resume": "▶ Resume",
+  "game.paused": "Paused",
+  "game.continue": "Resume",
+  "game.begin": "Start",
+  "game.turnOf": "{name}'s turn",
+  "game.nextStage": "Next stage",
+  "game.results": "See results",
+  "game.solved": "Solved!",
+  "game.moves": "Moves",
+  "game.movesPar": "(points drop after {par} moves)",
+  "game.angle": "Angle",
+  "game.pitch": "Tilt",
+  "game.accuracy": "Accuracy",
+  "game.hints": "Hints",
+  "game.hintCount": ({ n }) => plural(n, "use", "uses"),
+  "game.boardTitle":
+    "Drag to rotate; the pieces come together when you find the right angle",
+  "game.boardRole": "puzzle board",
+  "game.boardLabel": "Puzzle of {name}",
+  "game.helpRotate":
+    'Tip: drag, use the slider or the arrow keys (Shift: slow) to change the angle{pitch}. When the "Accuracy" bar is full, you have solved it! Press Enter for the next stage, Esc or P to pause.',
+  "game.helpPitch": " (drag vertically or use up/down to tilt)",
+  "game.helpSliding": "Click a tile next to the gap or use the arrow keys.",
+  "game.helpSwap": "Pick two tiles with the mouse, touch or Tab + Enter.",
+  "game.helpKeys": "Press Enter for the next stage, Esc or P to pause.",
+  "game.tile": "Tile row {row} column {col}",
+
+  "hint.pulse": "Hot/cold",
+  "hint.pulse.description": "A ring changes colour as you get closer",
+  "hint.arrow": "Direction",
+  "hint.arrow.description": "Arrows show which way to turn",
+  "hint.reveal": "Peek",
+  "hint.reveal.description": "Briefly shows the assembled picture",
+
+  "reveal.about": "About {name}",
+  "reveal.question": "Question (+{bonus} points): {question}",
+  "reveal.correct": "Correct! +{bonus} points",
+  "reveal.wrong": "Not quite. The answer is: {answer}",
+
+  "announce.stage": "Stage {n}/{total}: {name}.",
+  "announce.race": "Each player turns their own board with their own keys.",
+  "announce.rotate": "Use the arrow keys to rotate, hold Shift to go slowly.",
+  "announce.accuracy": "Accuracy {percent}%",
+  "announce.turn": "{name}'s turn. Press Esc or P to start.",
+  "announce.paused": "Paused. Press Esc or P to resume.",
+  "announce.solvedQuiz":
+    "{name} solved! Question: {question} Press 1 to {count} to answer.",
+  "announce.solved": "{name} solved! Press Enter to continue.",
+
+  // split-screen race
+  "race.help":
+    "Each player drags on their own board or uses their own keys (Shift: slow). Esc or P to pause; once everyone is done, press Enter for the next stage.",
+  "race.board": "{name}'s board",
+  "race.boardLabel": "{name}'s puzzle",
+  "race.pitchKeys": " (+ up / down)",
+  "race.result": "#{place} · {time} · {points} points",
+  "race.giveUp": "Give up",
+
+  // LAN
+  "lan.title": "Play over LAN",
+  "lan.room": "Room",
+  "lan.roomCode": "Room code",
+  "lan.roomHelp":
+    "Other devices connect to the same server and enter this code to join.",
+  "lan.host": " ★ host",
+  "lan.packLoading": "Loading the stage pack...",
+  "lan.leave": "Leave room",
+  "lan.startRoom": "Start for everyone",
+  "lan.waitStart": "Waiting for the host to start...",
+  "lan.server": "Server",
+  "lan.yourName": "Your name",
+  "lan.join": "Join",
+  "lan.createHelp":
+    'Create a new room with the menu settings (pack "{pack}", difficulty, rotation). Everyone plays the same run code.',
+  "lan.create": "Create room",
+  "lan.connecting": "Connecting...",
+  "lan.back": "← Back to menu",
+  "lan.finished": "🏁 Race over! 🏁",
+  "lan.roomNext": "Next stage for everyone",
+  "lan.finishRace": "End the race",
+  "lan.waitHost": "Waiting for the host to move on...",
+  "lan.scoreboard": "Room scoreboard",
+  "lan.scoreboardTitle": "Room {code}",
+  "lan.scoreboardStage": " · Stage {n}/{total}",
+  "lan.end": "Finish",
+  "lan.nextStage": "Next stage",
+  "lan.thisStage": "This stage",
+  "lan.total": "Total",
+  "lan.error.connection": "Could not connect to the server.",
+  "lan.error.room-not-found": "No room with this code.",
+  "lan.error.bad-name": "Please enter a player name.",
+  "lan.error.name-taken": "Someone in the room already has this name.",
+  "lan.error.already-started": "The room has already started.",
+  "lan.error.room-full": "The room is full.",
+  "lan.error.bad-config": "Invalid run settings.",
+  "lan.error.not-host": "Only the host can do that.",
+
+  // replay viewer
+  "replay.title": "Replay: {name}",
+  "replay.close": "✕ Close",
+  "replay.seed": "Run code",
+  "replay.ok": "✓ The replay matches the solve",
+  "replay.unsolved": "✗ The replay does not end solved",
+  "replay.timeMismatch": "✗ The time does not match the replay",
+  "replay.board": "Replay {name}",
+  "replay.scrub": "Seek",
+  "replay.speed": "Speed",
+  "replay.download": "Download replay",
+  "replay.accuracy": "Accuracy {percent}%",
+  "replay.unverified": "⚠ Unverified: {reasons}",
+  "integrity.replay": "the replay does not end solved in the time claimed",
+  "integrity.signature": "the signature does not match the replay",
+  "integrity.edited": "the score differs from its replay",
+  "integrity.too-fast": "solved faster than humanly possible",
+  "integrity.slider-jump": "solved with a single slider jump",
+  "integrity.untraced": "the view moved without any input",
+
+  // sound
+  "sound.muted": "Mute sound",
+  "sound.volume": "Volume",
+  "sound.mute": "Mute",
+  "sound.unmute": "Unmute",
+
+  // achievements
+  "menu.achievements": "🏆 Achievements",
+  "achievements.title": "Achievements",
+  "achievements.count": "{n}/{total} unlocked",
+  "achievements.streak": ({ n }) =>
+    `Daily challenge streak: ${plural(n, "day", "days")}`,
+  "achievements.unlocked": "Unlocked on {date}",
+  "achievements.locked": "Locked",
+  "achievements.unlockedToast": "Achievement unlocked!",
+  "achievement.first-solve": "First piece",
+  "achievement.first-solve.description": "Solve a stage",
+  "achievement.quick-solve": "Lightning fast",
+  "achievement.quick-solve.description": "Solve a stage in under 15 seconds",
+  "achievement.perfect": "Perfect",
+  "achievement.perfect.description":
+    "Score 1000 points on one stage (quiz bonus included)",
+  "achievement.no-hints": "On my own",
+  "achievement.no-hints.description": "Finish a whole run without hints",
+  "achievement.quiz-master": "Historian",
+  "achievement.quiz-master.description":
+    "Answer every question in a run correctly",
+  "achievement.speed-run": "Speed run",
+  "achievement.speed-run.description": "Finish a whole run in under 2 minutes",
+  "achievement.all-packs": "Collector",
+  "achievement.all-packs.description": "Finish every stage pack",
+  "achievement.daily-3": "Regular",
+  "achievement.daily-3.description":
+    "Finish the daily challenge 3 days in a row",
+  "achievement.daily-7": "Devoted",
+  "achievement.daily-7.description":
+    "Finish the daily challenge 7 days in a row",
+
+  // teacher mode
+  "menu.teacher": "🎓 Teacher mode",
+  "teacher.title": "Class session",
+  "teacher.intro":
+    "Pick the stages of the {pack} pack, the difficulty and the time per stage. Students take turns on this machine; their results are kept for export to the gradebook.",
+  "teacher.stages": "Stages",
+  "teacher.timeLimit": "Time per stage (seconds)",
+  "teacher.timeLimitHelp":
+    "0: no limit. When time runs out the stage counts as given up, with no points.",
+  "teacher.create": "Start the session",
+  "teacher.session": ({ pack, n, difficulty }) =>
+    `${pack} · ${plural(n, "stage", "stages")} · ${difficulty}`,
+  "teacher.limit": "{time} per stage",
+  "teacher.noLimit": "no time limit",
+  "teacher.student": "Student name",
+  "teacher.startStudent": "▶ Play",
+  "teacher.otherPack":
+    "This session uses the {pack} pack: pick it again in the menu.",
+  "teacher.stats": "Statistics",
+  "teacher.empty": "No student has played yet.",
+  "teacher.studentCount": ({ n }) => plural(n, "student", "students"),
+  "teacher.hardest": "Hardest stage: {stage}",
+  "teacher.solved": "Solved",
+  "teacher.averageTime": "Average time",
+  "teacher.averagePoints": "Average points",
+  "teacher.students": "Students",
+  "teacher.exportCsv": "⬇ Export CSV",
+  "teacher.exportJson": "⬇ Export JSON",
+  "teacher.reset": "New session",
+  "teacher.confirmReset":
+    "Clear this session's results? Export them first if you need to keep them.",
+  "teacher.saved": "{name}'s results were added to the session.",
+  "teacher.nextStudent": "Next student",
+};
+
+export default en;
@@ -0,0 +1,357 @@
+// Vietnamese interface strings, the reference catalog: every key used in the
+// game must be here (see i18n.js)
+const vi = {
+  "app.title": "Trò chơi đố ảnh hạt 3D",
+  "app.subtitle": "Tìm hiểu về các nhân vật lịch sử Việt\u00A0Nam",
+  "player.default": "Người chơi",
+  "player.numbered": "Người chơi {n}",
+  "player.remove": "Xóa người chơi {n}",
+  "player.add": "+ Thêm người chơi",
+  "common.points": "{points} điểm",
+  "common.backToMenu": "Về menu",
+  "common.disconnected": "Mất kết nối tới máy chủ.",
+  "common.loading": "Đang tải...",
+  "image.loadFailed": "Không tải được ảnh {src}",
+  "image.offline":
+    "Chưa tải được ảnh vì đang mất mạng. Ảnh sẽ tự tải lại khi có mạng.",
+  "image.retry": "Thử lại",
+  "offline.banner":
+    "Đang mất mạng: các màn đã tải sẵn vẫn chơi được bình thường.",
+
+  // menu
+  "menu.intro":
+    "Xoay hình để ghép các mảnh lại với nhau và khám phá các nhân vật lịch sử Việt\u00A0Nam!",
+  "menu.speed": "Giải nhanh để được nhiều điểm hơn (tối đa 1000 điểm/màn)",
+  "menu.quizBonus":
+    "Trả lời đúng câu hỏi sau mỗi màn để được thêm {bonus} điểm",
+  "menu.stageCount": "{n} màn chơi",
+  "menu.language": "Ngôn ngữ",
+  "menu.playMode": "Chế độ chơi",
+  "menu.playerName": "Tên người chơi",
+  "menu.pack": "Gói màn chơi",
+  "menu.builtinPack": "{name} (có sẵn)",
+  "menu.myPhotos": "Ảnh của tôi",
+  "menu.packInvalid": 'Gói màn chơi không hợp lệ, đang dùng "{name}":',
+  "menu.gameMode": "Cách chơi",
+  "menu.raceRotateOnly": "Đua chia màn hình chỉ có cách chơi xoay",
+  "menu.runFormat": "Kiểu lượt chơi",
+  "menu.runFormatSolo": "Đua giờ và vô tận chỉ dành cho một người chơi",
+  "menu.rotationMode": "Chế độ xoay",
+  "menu.run": "Ván chơi",
+  "menu.runRandom": "Tự chọn",
+  "menu.runDaily": "Thử thách hằng ngày",
+  "menu.seed": "Mã ván chơi",
+  "menu.seedPlaceholder": "Mã ván (để trống: ngẫu nhiên)",
+  "menu.reducedMotion":
+    "Giảm chuyển động (tắt rung, hiệu ứng hút và âm báo khoảng cách)",
+  "menu.hideMeter": 'Chế độ khó: ẩn thanh "Độ chính xác"',
+  "menu.start": "Bắt đầu chơi",
+  "menu.install": "📲 Cài đặt ứng dụng",
+  "menu.lan": "Chơi qua mạng LAN",
+  "menu.openReplay": "Mở bản ghi (.json)",
+  "menu.replayInvalid": "Tệp bản ghi không hợp lệ: {message}",
+  "menu.figures": "Các nhân vật lịch sử trong game:",
+  "menu.stageMeta": "({difficulty}, lưới {grid}×{grid})",
+  "menu.lanUploadsNote":
+    "Ảnh tự tải lên chỉ có trên máy này, hãy chọn gói màn chơi khác để tạo phòng.",
+
+  "playMode.solo": "Một người chơi",
+  "playMode.hotseat": "Lần lượt (chung một máy)",
+  "playMode.race": "Đua song song (chia màn hình)",
+  "rotationMode.single": "Một trục (xoay ngang)",
+  "rotationMode.dual": "Hai trục (xoay ngang + nghiêng)",
+
+  "gameMode.rotate": "Xoay ghép hình",
+  "gameMode.rotate.description": "Xoay đến góc đúng để các mảnh tự ghép lại",
+  "gameMode.sliding": "Trượt ô",
+  "gameMode.sliding.description":
+    "Trượt các ô vào chỗ trống cho đến khi ảnh liền lại",
+  "gameMode.swap": "Đổi chỗ ô",
+  "gameMode.swap.description":
+    "Kéo thả (hoặc chọn hai ô) để đổi chỗ cho đến khi ảnh đúng",
+
+  "runFormat.classic": "Cổ điển",
+  "runFormat.classic.description": "Chơi lần lượt mọi màn của gói",
+  "runFormat.timeAttack": "Đua giờ",
+  "runFormat.timeAttack.description":
+    "Giải càng nhiều màn càng tốt trong {time}; các mảnh nhỏ dần sau mỗi màn",
+  "runFormat.endless": "Vô tận",
+  "runFormat.endless.description":
+    "Các màn xáo trộn nối tiếp, khó dần; giải nhanh liên tiếp để nhân điểm, hết giờ một màn là kết thúc",
+
+  "difficulty.label": "Độ khó",
+  "difficulty.multiplier": "×{multiplier} điểm",
+  "difficulty.easy": "Dễ",
+  "difficulty.normal": "Thường",
+  "difficulty.hard": "Khó",
+  "difficulty.custom": "Tùy chỉnh",
+  "difficulty.field.grid": "Số mảnh mỗi cạnh",
+  "difficulty.field.timeBudget": "Thời gian chuẩn (s)",
+  "difficulty.field.snapThreshold": "Ngưỡng tự hút",
+  "difficulty.field.solveThreshold": "Ngưỡng hoàn thành",
+  "difficulty.field.sharpness": "Độ dốc",
+  "difficulty.field.maxPoints": "Điểm tối đa",
+  "stageDifficulty.easy": "Dễ",
+  "stageDifficulty.normal": "Vừa",
+  "stageDifficulty.hard": "Khó",
+
+  "upload.panel": "Màn chơi từ ảnh của bạn",
+  "upload.drop": "Kéo thả ảnh vào đây hoặc bấm để chọn tệp",
+  "upload.processing": "Đang xử lý ảnh...",
+  "upload.full": "Đã đạt tối đa {max} ảnh, hãy xóa bớt.",
+  "upload.preview": "Ảnh xem trước",
+  "upload.title": "Tiêu đề",
+  "upload.caption": "Chú thích",
+  "upload.captionPlaceholder": "Chú thích (hiện sau khi giải xong)",
+  "upload.cancel": "Bỏ",
+  "upload.add": "Thêm màn chơi",
+  "upload.remove": "Xóa",
+  "upload.removeLabel": "Xóa {name}",
+  "upload.unreadable":
+    "Không đọc được tệp này. Hãy chọn một tệp ảnh (JPG, PNG...).",
+  "upload.saveFailed":
+    "Không lưu được ảnh: bộ nhớ của trình duyệt có thể đã đầy.",
+
+  // leaderboard and result tables
+  "leaderboard.title": "Bảng xếp hạng: {pack}",
+  "leaderboard.titleMode": "Bảng xếp hạng: {pack} · {mode}",
+  "leaderboard.empty": "Chưa có lượt chơi nào được lưu.",
+  "table.stage": "Màn",
+  "table.figure": "Nhân vật",
+  "table.player": "Người chơi",
+  "table.time": "Thời gian",
+  "table.hints": "Gợi ý",
+  "table.points": "Điểm",
+  "table.quiz": "Câu hỏi",
+  "table.replay": "Bản ghi",
+  "table.difficulty": "Độ khó",
+  "table.date": "Ngày",
+  "table.total": "Tổng",
+
+  // results
+  "results.title": "🎉 Hoàn thành! 🎉",
+  "results.personalBest": "🏅 Kỷ lục cá nhân mới!",
+  "results.tie": "Hòa:",
+  "results.winner": "🏆 {name} thắng!",
+  "results.total": "Tổng điểm:",
+  "results.difficulty": "Độ khó:",
+  "results.totalTime": "Tổng thời gian:",
+  "results.details": "Chi tiết từng màn:",
+  "results.moves": "{n} nước",
+  "results.newBest": "kỷ lục mới",
+  "results.timeUp": "hết giờ",
+  "results.stagesSolved": "giải được {n} màn",
+  "results.bestCombo": "chuỗi dài nhất ×{n}",
+  "results.gaveUp": "Bỏ cuộc",
+  "results.watch": "Xem lại {stage}",
+  "results.watchPlayer": "Xem lại {stage}: {player}",
+  "results.watchButton": "▶ Xem lại",
+  "results.daily": "Thử thách hằng ngày",
+  "results.seed": "Mã ván chơi",
+  "results.copyLink": "Sao chép liên kết",
+  "results.replaySeed": "Chơi lại ván này",
+  "results.playAgain": "Chơi lại",
+  "results.unverified": "chưa xác minh",
+  "results.unverifiedNote":
+    "⚠ Điểm chưa xác minh không qua được kiểm tra tính hợp lý; trỏ vào dấu để xem lý do.",
+
+  // playing
+  "game.stage": "Màn {n}/{total}:",
+  "game.stageOpen": "Màn {n}:",
+  "game.combo": "Chuỗi ×{n}",
+  "game.endRun": "Kết thúc lượt",
+  "game.turn": "Lượt:",
+  "game.time": "Thời gian:",
+  "game.timeLeft": "Còn lại:",
+  "game.timeUp": "⏰ Hết giờ!",
+  "game.currentPoints": "Điểm hiện tại:",
+  "game.pause": "⏸ Tạm dừng",
+  "game.resume": "▶ Tiếp tục",
+  "game.paused": "Tạm dừng",
+  "game.continue": "Tiếp tục",
+  "game.begin": "Bắt đầu",
+  "game.turnOf": "Đến lượt {name}",
+  "game.nextStage": "Sang màn tiếp theo",
+  "game.results": "Xem kết quả",
+  "game.solved": "Hoàn thành!",
+  "game.moves": "Nước đi",
+  "game.movesPar": "(quá {par} nước thì điểm giảm dần)",
+  "game.angle": "Góc xoay",
+  "game.pitch": "Góc nghiêng",
+  "game.accuracy": "Độ chính xác",
+  "game.hints": "Gợi ý",
+  "game.hintCount": "{n} lần",
+  "game.boardTitle":
+    "Kéo để xoay; các mảnh sẽ ghép lại khi bạn tìm được góc đúng",
+  "game.boardRole": "bảng ghép hình",
+  "game.boardLabel": "Ảnh ghép {name}",
+  "game.helpRotate":
+    'Mẹo: Kéo, dùng thanh trượt hoặc phím mũi tên (Shift: chậm) để thay đổi góc xoay{pitch}. Khi thanh "Độ chính xác" đầy, bạn đã giải xong! Nhấn Enter để sang màn tiếp theo, Esc hoặc P để tạm dừng.',
+  "game.helpPitch": " (kéo dọc hoặc phím lên/xuống để nghiêng)",
+  "game.helpSliding": "Nhấn vào ô cạnh chỗ trống hoặc dùng phím mũi tên.",
+  "game.helpSwap": "Chọn hai ô bằng chuột, chạm hoặc Tab + Enter.",
+  "game.helpKeys": "Nhấn Enter để sang màn tiếp theo, Esc hoặc P để tạm dừng.",
+  "game.tile": "Mảnh hàng {row} cột {col}",
+
+  "hint.pulse": "Nóng/lạnh",
+  "hint.pulse.description": "Vòng tròn đổi màu theo độ gần đúng",
+  "hint.arrow": "Hướng xoay",
+  "hint.arrow.description": "Mũi tên chỉ chiều cần xoay",
+  "hint.reveal": "Nhìn trước",
+  "hint.reveal.description": "Hiện thoáng qua bức ảnh đã ghép",
+
+  "reveal.about": "Về {name}",
+  "reveal.question": "Câu hỏi (+{bonus} điểm): {question}",
+  "reveal.correct": "Chính xác! +{bonus} điểm",
+  "reveal.wrong": "Chưa đúng. Đáp án: {answer}",
+
+  "announce.stage": "Màn {n}/{total}: {name}.",
+  "announce.race": "Mỗi người chơi xoay bảng của mình bằng phím riêng.",
+  "announce.rotate": "Dùng phím mũi tên để xoay, giữ Shift để xoay chậm.",
+  "announce.accuracy": "Độ chính xác {percent}%",
+  "announce.turn": "Đến lượt {name}. Nhấn Esc hoặc P để bắt đầu.",
+  "announce.paused": "Đã tạm dừng. Nhấn Esc hoặc P để tiếp tục.",
+  "announce.solvedQuiz":
+    "Hoàn thành {name}! Câu hỏi: {question} Nhấn phím 1 đến {count} để trả lời.",
+  "announce.solved": "Hoàn thành {name}! Nhấn Enter để tiếp tục.",
+
+  // split-screen race
+  "race.help":
+    "Mỗi người chơi kéo trên bảng của mình hoặc dùng phím riêng (Shift: chậm). Esc hoặc P để tạm dừng; khi mọi người đã xong, nhấn Enter để sang màn tiếp theo.",
+  "race.board": "Bảng của {name}",
+  "race.boardLabel": "Ảnh ghép của {name}",
+  "race.pitchKeys": " (+ lên / xuống)",
+  "race.result": "#{place} · {time} · {points} điểm",
+  "race.giveUp": "Bỏ cuộc",
+
+  // LAN
+  "lan.title": "Chơi qua mạng LAN",
+  "lan.room": "Phòng",
+  "lan.roomCode": "Mã phòng",
+  "lan.roomHelp":
+    "Các máy khác vào cùng máy chủ và nhập mã phòng này để tham gia.",
+  "lan.host": " ★ chủ phòng",
+  "lan.packLoading": "Đang tải gói màn chơi...",
+  "lan.leave": "Rời phòng",
+  "lan.startRoom": "Bắt đầu cho cả phòng",
+  "lan.waitStart": "Chờ chủ phòng bắt đầu...",
+  "lan.server": "Máy chủ",
+  "lan.yourName": "Tên của bạn",
+  "lan.join": "Vào phòng",
+  "lan.createHelp":
+    'Tạo phòng mới với thiết lập ở menu (gói "{pack}", độ khó, chế độ xoay). Cả phòng chơi cùng một mã ván.',
+  "lan.create": "Tạo phòng",
+  "lan.connecting": "Đang kết nối...",
+  "lan.back": "← Về menu",
+  "lan.finished": "🏁 Kết thúc cuộc đua! 🏁",
+  "lan.roomNext": "Cả phòng sang màn tiếp theo",
+  "lan.finishRace": "Kết thúc cuộc đua",
+  "lan.waitHost": "Chờ chủ phòng chuyển màn...",
+  "lan.scoreboard": "Bảng điểm phòng",
+  "lan.scoreboardTitle": "Phòng {code}",
+  "lan.scoreboardStage": " · Màn {n}/{total}",
+  "lan.end": "Kết thúc",
+  "lan.nextStage": "Màn tiếp theo",
+  "lan.thisStage": "Màn này",
+  "lan.total": "Tổng điểm",
+  "lan.error.connection": "Không kết nối được tới máy chủ.",
+  "lan.error.room-not-found": "Không tìm thấy phòng với mã này.",
+  "lan.error.bad-name": "Hãy nhập tên người chơi.",
+  "lan.error.name-taken": "Tên này đã có người dùng trong phòng.",
+  "lan.error.already-started": "Phòng đã bắt đầu chơi.",
+  "lan.error.room-full": "Phòng đã đầy.",
+  "lan.error.bad-config": "Cấu hình ván chơi không hợp lệ.",
+  "lan.error.not-host": "Chỉ chủ phòng mới làm được việc này.",
+
+  // replay viewer
+  "replay.title": "Xem lại: {name}",
+  "replay.close": "✕ Đóng",
+  "replay.seed": "Mã ván",
+  "replay.ok": "✓ Bản ghi khớp với lời giải",
+  "replay.unsolved": "✗ Bản ghi không kết thúc ở lời giải",
+  "replay.timeMismatch": "✗ Thời gian không khớp với bản ghi",
+  "replay.board": "Bản ghi {name}",
+  "replay.scrub": "Tua bản ghi",
+  "replay.speed": "Tốc độ",
+  "replay.download": "Tải bản ghi",
+  "replay.accuracy": "Độ chính xác {percent}%",
+  "replay.unverified": "⚠ Chưa xác minh: {reasons}",
+  "integrity.replay":
+    "bản ghi không kết thúc ở lời giải trong thời gian đã nêu",
+  "integrity.signature": "chữ ký không khớp với bản ghi",
+  "integrity.edited": "điểm khác với bản ghi của nó",
+  "integrity.too-fast": "giải nhanh hơn khả năng của con người",
+  "integrity.slider-jump": "giải bằng một lần nhảy thanh trượt",
+  "integrity.untraced": "góc nhìn thay đổi mà không có thao tác nào",
+
+  // sound
+  "sound.muted": "Tắt âm thanh",
+  "sound.volume": "Âm lượng",
+  "sound.mute": "Tắt âm thanh",
+  "sound.unmute": "Bật âm thanh",
+
+  // achievements
+  "menu.achievements": "🏆 Thành tích",
+  "achievements.title": "Thành tích",
+  "achievements.count": "Đã mở {n}/{total}",
+  "achievements.streak": "Chuỗi thử thách ngày: {n} ngày",
+  "achievements.unlocked": "Mở ngày {date}",
+  "achievements.locked": "Chưa mở",
+  "achievements.unlockedToast": "Mở khóa thành tích!",
+  "achievement.first-solve": "Mảnh ghép đầu tiên",
+  "achievement.first-solve.description": "Giải xong một màn",
+  "achievement.quick-solve": "Nhanh như chớp",
+  "achievement.quick-solve.description": "Giải một màn trong chưa đầy 15 giây",
+  "achievement.perfect": "Hoàn hảo",
+  "achievement.perfect.description":
+    "Đạt 1000 điểm trong một màn (tính cả điểm câu hỏi)",
+  "achievement.no-hints": "Tự lực",
+  "achievement.no-hints.description":
+    "Hoàn thành cả lượt chơi mà không dùng gợi ý",
+  "achievement.quiz-master": "Nhà sử học",
+  "achievement.quiz-master.description":
+    "Trả lời đúng mọi câu hỏi trong một lượt chơi",
+  "achievement.speed-run": "Về đích thần tốc",
+  "achievement.speed-run.description": "Hoàn thành cả lượt chơi dưới 2 phút",
+  "achievement.all-packs": "Nhà sưu tầm",
+  "achievement.all-packs.description": "Hoàn thành mọi bộ màn",
+  "achievement.daily-3": "Chăm chỉ",
+  "achievement.daily-3.description": "Hoàn thành thử thách ngày 3 ngày liền",
+  "achievement.daily-7": "Bền bỉ",
+  "achievement.daily-7.description": "Hoàn thành thử thách ngày 7 ngày liền",
+
+  // teacher mode
+  "menu.teacher": "🎓 Chế độ giáo viên",
+  "teacher.title": "Buổi học",
+  "teacher.intro":
+    "Chọn các màn của bộ {pack}, độ khó và thời gian cho mỗi màn. Học sinh lần lượt chơi trên máy này; kết quả được lưu lại để xuất ra sổ điểm.",
+  "teacher.stages": "Các màn",
+  "teacher.timeLimit": "Thời gian mỗi màn (giây)",
+  "teacher.timeLimitHelp":
+    "0: không giới hạn. Hết giờ, màn được tính là bỏ cuộc, không có điểm.",
+  "teacher.create": "Bắt đầu buổi học",
+  "teacher.session": "{pack} · {n} màn · {difficulty}",
+  "teacher.limit": "{time} mỗi màn",
+  "teacher.noLimit": "không giới hạn thời gian",
+  "teacher.student": "Tên học sinh",
+  "teacher.startStudent": "▶ Vào chơi",
+  "teacher.otherPack":
+    "Buổi học dùng bộ màn {pack}: hãy chọn lại bộ này ở menu.",
+  "teacher.stats": "Thống kê",
+  "teacher.empty": "Chưa có học sinh nào chơi.",
+  "teacher.studentCount": "{n} học sinh",
+  "teacher.hardest": "Màn khó nhất: {stage}",
+  "teacher.solved": "Giải được",
+  "teacher.averageTime": "Thời gian TB",
+  "teacher.averagePoints": "Điểm TB",
+  "teacher.students": "Học sinh",
+  "teacher.exportCsv": "⬇ Xuất CSV",
+  "teacher.exportJson": "⬇ Xuất JSON",
+  "teacher.reset": "Buổi học mới",
+  "teacher.confirmReset":
+    "Xóa kết quả của buổi học này? Hãy xuất ra trước nếu cần giữ lại.",
+  "teacher.saved": "Kết quả của {name} đã được lưu vào buổi học.",
+  "teacher.nextStudent": "Học sinh tiếp theo",
+};
+
+export default vi;
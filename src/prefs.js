@@ -0,0 +1,22 @@
+// Small user preferences (player name, ...) remembered across reloads.
+// Values are JSON-encoded under a common prefix; storage failures (private
+// mode, quota, garbage) fall back to the default instead of throwing.
+
+const PREFIX = "vnr-puzzle.";
+
+export function loadPref(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+export function savePref(key, value) {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch {
+    // not fatal: the preference just won't survive a reload
+  }
+}
@@ -0,0 +1,93 @@
+// Puzzle geometry shared by every board on screen (the single-player board
+// and each split-screen board): the seeded scramble, the secret orientation
+// and how close a view is to it.
+
+import { DEFAULT_SCATTER, scatterPoints } from "./scatter";
+import { stageRng } from "./seed";
+
+export const MAX_PITCH = Math.PI * 0.45; // keep pitch away from the poles
+
+// Keyboard rotation steps (radians)
+export const KEY_STEP = 0.05; // arrow key
+export const KEY_STEP_FINE = 0.005; // Shift + arrow key
+
+// Tiles of a stage w/ deterministic scramble (based on run seed + stage).
+// `scatter` is the point each tile floats at while scrambled, on the stage's
+// scatter shape (see scatter.js); `label` is the text the "initials" spell.
+export function buildTiles(
+  grid,
+  seed,
+  stageIndex,
+  shape = DEFAULT_SCATTER,
+  label = ""
+) {
+  const tiles = [];
+  const rng = stageRng(seed, stageIndex, "tiles");
+  for (let y = 0; y < grid; y++) {
+    for (let x = 0; x < grid; x++) {
+      tiles.push({ x, y, r1: rng(), r2: rng(), r3: rng() });
+    }
+  }
+  const points = scatterPoints(shape, tiles, seed, stageIndex, label);
+  tiles.forEach((tile, i) => {
+    tile.scatter = points[i];
+  });
+  return tiles;
+}
+
+// A scatter point turned by the view: pitch about x, then yaw about y (the
+// WebGL renderer's "YXZ" euler)
+export function spinPoint([x, y, z], angle, pitch) {
+  const y1 = y * Math.cos(pitch) - z * Math.sin(pitch);
+  const z1 = y * Math.sin(pitch) + z * Math.cos(pitch);
+  return [
+    x * Math.cos(angle) + z1 * Math.sin(angle),
+    y1,
+    -x * Math.sin(angle) + z1 * Math.cos(angle),
+  ];
+}
+
+// Secret orientation of a stage, derived from the run seed
+export function secretOrientation(seed, stageIndex, dualAxis) {
+  const rng = stageRng(seed, stageIndex, "secret");
+  const secretAngle = rng() * Math.PI * 2;
+  const pitchRnd = rng();
+  // secret pitch stays 0 in single-axis mode so t only depends on the yaw
+  const secretPitch = dualAxis ? (pitchRnd * 2 - 1) * MAX_PITCH * 0.8 : 0;
+  return { secretAngle, secretPitch };
+}
+
+// Interpolation factor t in [0,1]; close to 1 when the view ~= the secret
+export function alignment(angle, pitch, secretAngle, secretPitch, sharpness) {
+  // cosine of the angular distance between the current and the secret view
+  // direction on the unit sphere; reduces to cos(angle - secret) when both
+  // pitches are 0
+  const c =
+    Math.cos(pitch) *
+      Math.cos(secretPitch) *
+      Math.cos(wrapAngle(angle - secretAngle)) +
+    Math.sin(pitch) * Math.sin(secretPitch);
+  // a steep bell function so it "clicks" into place near the target
+  return Math.pow(clamp((c + 1) / 2, 0, 1), sharpness);
+}
+
+export function fitContain(srcW, srcH, maxW, maxH) {
+  if (!srcW || !srcH) return { drawW: maxW, drawH: maxH };
+  const r = Math.min(maxW / srcW, maxH / srcH);
+  return { drawW: Math.round(srcW * r), drawH: Math.round(srcH * r) };
+}
+
+export function clamp(v, a, b) {
+  return Math.max(a, Math.min(b, v));
+}
+
+export function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+export function wrapAngle(a) {
+  // wrap to [-PI, PI]
+  let x =
+    ((((a + Math.PI) % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI)) - Math.PI;
+  return x;
+}
@@ -0,0 +1,189 @@
+// Replays: a stage solve stored as the seed plus a timestamped log of the
+// view (angle, pitch). Everything else (scramble, secret orientation, t) is
+// derived again from the seed, so playback goes through the same tile
+// interpolation as the live game and can double as a check of a score.
+//
+// A frame is [ms, angle, pitch, input]: active play time in milliseconds, the
+// view rounded to 1e-4 rad and the input that moved it there (FRAME_INPUTS;
+// the first frame and older replays have none). Replays are plain JSON,
+// exported/imported as files.
+
+import { alignment, secretOrientation } from "./puzzle";
+
+export const REPLAY_VERSION = 1;
+// "snap" is the snapback assist, the rest are the player's controls
+export const FRAME_INPUTS = ["drag", "twist", "key", "stick", "slider", "snap"];
+const MIN_FRAME_GAP = 16; // ms; drags fire faster than anyone can see
+const round4 = (v) => Math.round(v * 1e4) / 1e4;
+
+// Append a frame (seconds of active time) unless it repeats the last view
+// or comes too soon after one from the same input; the final frame of a
+// solve is always forced
+export function recordFrame(
+  frames,
+  seconds,
+  angle,
+  pitch,
+  force = false,
+  input = null
+) {
+  const frame = [Math.round(seconds * 1000), round4(angle), round4(pitch)];
+  if (input) frame.push(input);
+  const last = frames[frames.length - 1];
+  if (last && !force) {
+    if (last[1] === frame[1] && last[2] === frame[2]) return;
+    if (frame[0] - last[0] < MIN_FRAME_GAP && last[3] === frame[3]) {
+      frames[frames.length - 1] = [last[0], ...frame.slice(1)];
+      return;
+    }
+  }
+  frames.push(frame);
+}
+
+export function createReplay({
+  frames,
+  player,
+  seed,
+  packId,
+  stageIndex,
+  stage,
+  mode,
+  difficulty,
+  settings,
+  time,
+  points,
+  hints = [],
+}) {
+  return {
+    version: REPLAY_VERSION,
+    player,
+    seed,
+    packId,
+    stageIndex,
+    stage: {
+      id: stage.id,
+      name: stage.name,
+      image: stage.url,
+      scatter: stage.scatter,
+    },
+    mode,
+    difficulty,
+    grid: settings.grid,
+    sharpness: settings.sharpness,
+    snapThreshold: settings.snapThreshold,
+    solveThreshold: settings.solveThreshold,
+    time,
+    points,
+    hints,
+    quizBonus: 0, // set once the stage's quiz is answered
+    date: new Date().toISOString(),
+    frames,
+  };
+}
+
+// Check an imported replay; throws an Error listing what is wrong
+export function validateReplay(raw) {
+  const problems = [];
+  if (!raw || typeof raw !== "object") throw new Error("not a JSON object");
+  if (raw.version !== REPLAY_VERSION) problems.push("unknown version");
+  if (typeof raw.seed !== "string") problems.push("`seed` must be a string");
+  if (!Number.isInteger(raw.stageIndex) || raw.stageIndex < 0) {
+    problems.push("`stageIndex` must be a non-negative integer");
+  }
+  if (!raw.stage || typeof raw.stage.image !== "string") {
+    problems.push("`stage.image` must be a string");
+  }
+  if (!Number.isInteger(raw.grid) || raw.grid < 1 || raw.grid > 64) {
+    problems.push("`grid` must be an integer in 1..64");
+  }
+  for (const key of ["sharpness", "solveThreshold", "time"]) {
+    if (!Number.isFinite(raw[key]))
+      problems.push(`\`${key}\` must be a number`);
+  }
+  const frames = Array.isArray(raw.frames) ? raw.frames : null;
+  if (
+    !frames ||
+    !frames.length ||
+    !frames.every(
+      (f, i) =>
+        Array.isArray(f) &&
+        (f.length === 3 || (f.length === 4 && FRAME_INPUTS.includes(f[3]))) &&
+        f.slice(0, 3).every(Number.isFinite) &&
+        (i === 0 || f[0] >= frames[i - 1][0])
+    )
+  ) {
+    problems.push(
+      "`frames` must be a time-ordered list of [ms, angle, pitch, input?]"
+    );
+  }
+  if (problems.length) throw new Error(problems.join("; "));
+  return { ...raw, mode: raw.mode === "dual" ? "dual" : "single" };
+}
+
+// View at `ms` into the replay, linearly between the recorded frames
+export function viewAt(frames, ms) {
+  let lo = 0;
+  let hi = frames.length - 1;
+  if (ms <= frames[0][0]) return { angle: frames[0][1], pitch: frames[0][2] };
+  if (ms >= frames[hi][0])
+    return { angle: frames[hi][1], pitch: frames[hi][2] };
+  // last frame at or before ms
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (frames[mid][0] <= ms) lo = mid;
+    else hi = mid - 1;
+  }
+  const [t0, a0, p0] = frames[lo];
+  const [t1, a1, p1] = frames[lo + 1];
+  const k = t1 > t0 ? (ms - t0) / (t1 - t0) : 1;
+  return { angle: a0 + (a1 - a0) * k, pitch: p0 + (p1 - p0) * k };
+}
+
+export function replayDuration(replay) {
+  return replay.frames[replay.frames.length - 1][0];
+}
+
+// Does the log actually end on the solution, in the time it claims?
+export function verifyReplay(replay) {
+  const { secretAngle, secretPitch } = secretOrientation(
+    replay.seed,
+    replay.stageIndex,
+    replay.mode === "dual"
+  );
+  const { angle, pitch } = viewAt(replay.frames, Infinity);
+  const finalT = alignment(
+    angle,
+    pitch,
+    secretAngle,
+    secretPitch,
+    replay.sharpness
+  );
+  const duration = replayDuration(replay) / 1000;
+  return {
+    finalT,
+    solved: finalT > replay.solveThreshold,
+    // the log may end a frame before the clock stopped
+    timeMatches: Math.abs(duration - replay.time) < 0.25,
+  };
+}
+
+export function replayFileName(replay) {
+  const slug = String(replay.stage?.id || "stage").replace(/[^\w-]+/g, "-");
+  return `replay-${slug}-${replay.seed}.json`;
+}
+
+// Save as a .json download
+export function exportReplay(replay) {
+  const blob = new Blob([JSON.stringify(replay)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = replayFileName(replay);
+  a.click();
+  // some browsers start the download only after click() returns
+  setTimeout(() => URL.revokeObjectURL(url));
+}
+
+export async function importReplay(file) {
+  return validateReplay(JSON.parse(await file.text()));
+}
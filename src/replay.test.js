@@ -0,0 +1,112 @@
+import { secretOrientation } from "./puzzle";
+import {
+  REPLAY_VERSION,
+  createReplay,
+  recordFrame,
+  replayFileName,
+  validateReplay,
+  verifyReplay,
+  viewAt,
+} from "./replay";
+
+const SETTINGS = { grid: 8, sharpness: 60, solveThreshold: 0.985 };
+const STAGE = { id: "ho-chi-minh", name: "Hồ Chí Minh", url: "/img/hcm.jpg" };
+
+// A replay that drags from 0 to the secret angle in `time` seconds
+function solvingReplay(time = 4.2, seed = "ABC123") {
+  const { secretAngle } = secretOrientation(seed, 0, false);
+  const frames = [[0, 0, 0]];
+  recordFrame(frames, time / 2, secretAngle / 2, 0);
+  recordFrame(frames, time, secretAngle, 0, true);
+  return createReplay({
+    frames,
+    player: "Lan",
+    seed,
+    packId: "builtin",
+    stageIndex: 0,
+    stage: STAGE,
+    mode: "single",
+    difficulty: "normal",
+    settings: SETTINGS,
+    time,
+    points: 800,
+  });
+}
+
+test("frames skip repeats and merge updates closer than a frame apart", () => {
+  const frames = [[0, 0, 0]];
+  recordFrame(frames, 0.5, 0, 0);
+  expect(frames).toEqual([[0, 0, 0]]);
+  recordFrame(frames, 0.5, 0.123456, 0);
+  recordFrame(frames, 0.505, 0.2, 0.1);
+  expect(frames).toEqual([
+    [0, 0, 0],
+    [500, 0.2, 0.1],
+  ]);
+  // the final frame is kept even when it comes right after
+  recordFrame(frames, 0.51, 0.3, 0.1, true);
+  expect(frames).toHaveLength(3);
+});
+
+test("frames keep their input and only merge with the same one", () => {
+  const frames = [[0, 0, 0]];
+  recordFrame(frames, 0.5, 0.1, 0, false, "drag");
+  recordFrame(frames, 0.505, 0.2, 0, false, "drag");
+  recordFrame(frames, 0.51, 0.25, 0, false, "snap");
+  expect(frames).toEqual([
+    [0, 0, 0],
+    [500, 0.2, 0, "drag"],
+    [510, 0.25, 0, "snap"],
+  ]);
+  const replay = { ...solvingReplay(), frames };
+  expect(validateReplay(replay).frames).toBe(frames);
+  expect(() =>
+    validateReplay({ ...replay, frames: [[0, 0, 0, "teleport"]] })
+  ).toThrow("frames");
+});
+
+test("the view is interpolated between frames", () => {
+  const frames = [
+    [0, 0, 0],
+    [1000, 1, -0.5],
+    [2000, 1, 0.5],
+  ];
+  expect(viewAt(frames, -5)).toEqual({ angle: 0, pitch: 0 });
+  expect(viewAt(frames, 500)).toEqual({ angle: 0.5, pitch: -0.25 });
+  expect(viewAt(frames, 1500)).toEqual({ angle: 1, pitch: 0 });
+  expect(viewAt(frames, 9999)).toEqual({ angle: 1, pitch: 0.5 });
+});
+
+test("a recorded solve verifies against its seed and time", () => {
+  const replay = solvingReplay();
+  expect(replay.version).toBe(REPLAY_VERSION);
+  expect(replay.stage).toEqual({
+    id: STAGE.id,
+    name: STAGE.name,
+    image: STAGE.url,
+  });
+  expect(verifyReplay(replay)).toMatchObject({
+    solved: true,
+    timeMatches: true,
+  });
+  // survives a round trip through a file
+  const imported = validateReplay(JSON.parse(JSON.stringify(replay)));
+  expect(verifyReplay(imported).solved).toBe(true);
+  expect(replayFileName(replay)).toBe("replay-ho-chi-minh-ABC123.json");
+});
+
+test("a doctored time or seed no longer verifies", () => {
+  const replay = solvingReplay(4.2);
+  expect(verifyReplay({ ...replay, time: 1.5 }).timeMatches).toBe(false);
+  expect(verifyReplay({ ...replay, seed: "ZZZ999" }).solved).toBe(false);
+});
+
+test("junk files are rejected with the reasons", () => {
+  expect(() => validateReplay(null)).toThrow("not a JSON object");
+  expect(() => validateReplay({ version: REPLAY_VERSION })).toThrow(
+    /seed.*stageIndex.*stage\.image.*grid.*frames/
+  );
+  const replay = solvingReplay();
+  const unordered = { ...replay, frames: [...replay.frames].reverse() };
+  expect(() => validateReplay(unordered)).toThrow("time-ordered");
+});
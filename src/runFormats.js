@@ -0,0 +1,77 @@
+// Run formats: which stages a run plays and when it ends. "classic" is the
+// pack once through, in order. The open-ended formats have no last stage:
+//   timeAttack  as many stages as the clock allows, the pack on a loop with
+//               denser grids every stage; the clock only runs while a
+//               stage is being played
+//   endless     the pack reshuffled every lap, denser and with less time
+//               per stage as it goes on; running out of a stage's time
+//               budget ends the run, and fast solves in a row build a combo
+// Names are in the catalogs under `runFormat.<id>`.
+
+import { CUSTOM_LIMITS } from "./difficulty";
+import { clamp } from "./puzzle";
+import { stageRng } from "./seed";
+
+export const TIME_ATTACK_SECONDS = 180;
+
+const GRID_STEP = 0.12; // denser grid per stage played
+const BUDGET_STEP = 0.06; // endless: time budget lost per stage played
+const MIN_BUDGET_SHARE = 0.4;
+const FAST_SHARE = 0.4; // a solve within this share of the budget is fast
+const COMBO_STEP = 0.25; // multiplier added per fast solve in a row
+const MAX_COMBO = 5; // ×2 at most
+
+export const RUN_FORMATS = [
+  { id: "classic" },
+  { id: "timeAttack", open: true, duration: TIME_ATTACK_SECONDS },
+  {
+    id: "endless",
+    open: true,
+    shuffle: true,
+    combo: true,
+    stageLimit: (settings) => settings.timeBudget,
+  },
+];
+
+export function getRunFormat(id) {
+  return RUN_FORMATS.find((format) => format.id === id) || RUN_FORMATS[0];
+}
+
+// Position in the pack of the `index`-th stage played
+export function stageSlot(format, count, seed, index) {
+  if (!format.open) return index;
+  const lap = Math.floor(index / count);
+  if (!format.shuffle) return index % count;
+  // Fisher-Yates, seeded per lap
+  const order = Array.from({ length: count }, (_, i) => i);
+  const rng = stageRng(seed, lap, "endless");
+  for (let i = count - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order[index % count];
+}
+
+// A stage's settings at the `index`-th stage of the run
+export function levelSettings(format, settings, index) {
+  if (!format.open) return settings;
+  const [, maxGrid] = CUSTOM_LIMITS.grid;
+  const grid = clamp(
+    Math.round(settings.grid * (1 + GRID_STEP * index)),
+    settings.grid,
+    maxGrid
+  );
+  const budgetShare = format.stageLimit
+    ? Math.max(MIN_BUDGET_SHARE, 1 - BUDGET_STEP * index)
+    : 1;
+  return { ...settings, grid, timeBudget: settings.timeBudget * budgetShare };
+}
+
+export function isFastSolve(seconds, settings) {
+  return seconds <= settings.timeBudget * FAST_SHARE;
+}
+
+// Points multiplier for `combo` fast solves in a row (this one included)
+export function comboMultiplier(combo) {
+  return 1 + COMBO_STEP * clamp(combo - 1, 0, MAX_COMBO - 1);
+}
@@ -0,0 +1,47 @@
+import {
+  comboMultiplier,
+  getRunFormat,
+  levelSettings,
+  stageSlot,
+} from "./runFormats";
+
+const settings = { grid: 12, timeBudget: 100 };
+
+test("classic plays the pack once, in order", () => {
+  const classic = getRunFormat("nope");
+  expect(classic.id).toBe("classic");
+  expect([0, 1, 2].map((i) => stageSlot(classic, 3, "S", i))).toEqual([
+    0, 1, 2,
+  ]);
+  expect(levelSettings(classic, settings, 5)).toBe(settings);
+});
+
+test("time attack loops the pack with denser grids", () => {
+  const format = getRunFormat("timeAttack");
+  expect([0, 1, 2, 3, 4].map((i) => stageSlot(format, 3, "S", i))).toEqual([
+    0, 1, 2, 0, 1,
+  ]);
+  expect(levelSettings(format, settings, 0)).toEqual(settings);
+  expect(levelSettings(format, settings, 5)).toEqual({
+    grid: 19,
+    timeBudget: 100,
+  });
+  expect(levelSettings(format, settings, 100).grid).toBe(64);
+});
+
+test("endless shuffles every lap and shortens the budget", () => {
+  const format = getRunFormat("endless");
+  const lap = (n) =>
+    [0, 1, 2, 3].map((i) => stageSlot(format, 4, "S", n * 4 + i));
+  expect([...lap(0)].sort()).toEqual([0, 1, 2, 3]);
+  expect([...lap(1)].sort()).toEqual([0, 1, 2, 3]);
+  expect(lap(0)).toEqual(lap(0));
+  expect(levelSettings(format, settings, 5).timeBudget).toBeCloseTo(70);
+  expect(levelSettings(format, settings, 50).timeBudget).toBeCloseTo(40);
+});
+
+test("the combo multiplier grows with fast solves in a row", () => {
+  expect([0, 1, 2, 3, 5, 9].map(comboMultiplier)).toEqual([
+    1, 1, 1.25, 1.5, 2, 2,
+  ]);
+});
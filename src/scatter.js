@@ -0,0 +1,171 @@
+// Scatter shapes: where the tiles float while the puzzle is scrambled. A
+// generator places every tile of a stage on a point of a unit-sized shape
+// (y up, z toward the viewer, roughly within radius 1); the renderers scale
+// it, spin it with the player's view and `lerp` each tile from there to its
+// place in the image as `t` goes to 1. Stages pick a shape in their pack
+// manifest (`scatter`); all randomness comes from the run seed.
+
+import { stageRng } from "./seed";
+
+export const DEFAULT_SCATTER = "sphere";
+export const SCATTER_SHAPES = [
+  "sphere",
+  "spiral",
+  "helix",
+  "cube",
+  "vortex",
+  "initials",
+];
+
+// Scale of the unit shape relative to the larger side of the drawn image
+export const SCATTER_RADIUS = 0.42;
+
+const GENERATORS = {
+  // uniform points on a thick spherical shell
+  sphere: (tiles) =>
+    tiles.map((tile) => {
+      const theta = tile.r1 * Math.PI * 2;
+      const phi = Math.acos(2 * tile.r2 - 1);
+      const shell = 0.75 + 0.25 * tile.r3;
+      return [
+        Math.sin(phi) * Math.cos(theta) * shell,
+        Math.cos(phi) * shell,
+        Math.sin(phi) * Math.sin(theta) * shell,
+      ];
+    }),
+
+  // flat five-turn spiral facing the viewer, denser toward the middle
+  spiral: (tiles, rng) =>
+    ranks(tiles.length, rng).map((rank) => {
+      const f = (rank + 0.5) / tiles.length;
+      const r = 0.1 + 0.9 * Math.sqrt(f);
+      const theta = f * 5 * Math.PI * 2;
+      return [r * Math.cos(theta), r * Math.sin(theta), jitter(rng, 0.15)];
+    }),
+
+  // two interleaved strands winding around the vertical axis
+  helix: (tiles, rng) =>
+    ranks(tiles.length, rng).map((rank) => {
+      const f = (rank + 0.5) / tiles.length;
+      const theta = f * 5 * Math.PI + (rank % 2) * Math.PI;
+      return [
+        0.4 * Math.cos(theta) + jitter(rng, 0.06),
+        (f * 2 - 1) * 0.95,
+        0.4 * Math.sin(theta) + jitter(rng, 0.06),
+      ];
+    }),
+
+  // the faces of a cube, blown outward by a random amount
+  cube: (tiles, rng) =>
+    tiles.map(() => {
+      const face = Math.floor(rng() * 6);
+      const p = [rng() * 2 - 1, rng() * 2 - 1, rng() * 2 - 1];
+      p[face >> 1] = face & 1 ? 1 : -1;
+      const burst = 0.5 * (1 + 0.6 * rng());
+      return p.map((v) => v * burst);
+    }),
+
+  // funnel: wide at the top, narrowing and winding faster toward the bottom
+  vortex: (tiles, rng) =>
+    tiles.map(() => {
+      const f = rng();
+      const r = 0.08 + 0.9 * Math.pow(1 - f, 1.5);
+      const theta = f * 6 * Math.PI * 2 + rng() * 0.5;
+      return [r * Math.cos(theta), (1 - 2 * f) * 0.9, r * Math.sin(theta)];
+    }),
+
+  // the initials of the stage's figure in a 5×7 pixel font
+  initials: (tiles, rng, label) => {
+    const text = initials(label);
+    const lit = [];
+    [...text].forEach((ch, i) => {
+      FONT[ch].forEach((row, y) => {
+        for (let x = 0; x < GLYPH_W; x++) {
+          if (row[x] === "#") lit.push([i * (GLYPH_W + 1) + x, y]);
+        }
+      });
+    });
+    if (!lit.length) return GENERATORS.sphere(tiles, rng);
+    const width = text.length * (GLYPH_W + 1) - 1;
+    const scale = Math.min(1.8 / width, 1.8 / GLYPH_H);
+    // spread the tiles evenly over the lit pixels
+    return ranks(tiles.length, rng).map((rank) => {
+      const [px, py] = lit[rank % lit.length];
+      return [
+        (px + rng() - width / 2) * scale,
+        (GLYPH_H / 2 - py - rng()) * scale,
+        jitter(rng, 0.2),
+      ];
+    });
+  },
+};
+
+// Scattered point of every tile, in tile order. `label` is the text the
+// "initials" shape spells (the stage name).
+export function scatterPoints(shape, tiles, seed, stageIndex, label = "") {
+  const generate = GENERATORS[shape] || GENERATORS[DEFAULT_SCATTER];
+  return generate(tiles, stageRng(seed, stageIndex, "scatter"), label);
+}
+
+// "Hồ Chí Minh" -> "HCM": first letter of each word, diacritics dropped,
+// letters the font has only, at most four
+export function initials(label) {
+  return String(label)
+    .split(/\s+/)
+    .map((word) =>
+      word
+        .replace(/[đĐ]/g, "D")
+        .normalize("NFD")
+        .replace(/[^A-Za-z]/g, "")
+        .charAt(0)
+        .toUpperCase()
+    )
+    .join("")
+    .slice(0, 4);
+}
+
+// A random order of 0..n-1, so neighbouring tiles don't end up side by side
+function ranks(n, rng) {
+  const order = Array.from({ length: n }, (_, i) => i);
+  for (let i = n - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+function jitter(rng, amount) {
+  return (rng() - 0.5) * amount;
+}
+
+const GLYPH_W = 5;
+const GLYPH_H = 7;
+// prettier-ignore
+const FONT = {
+  A: [".###.", "#...#", "#...#", "#####", "#...#", "#...#", "#...#"],
+  B: ["####.", "#...#", "#...#", "####.", "#...#", "#...#", "####."],
+  C: [".###.", "#...#", "#....", "#....", "#....", "#...#", ".###."],
+  D: ["####.", "#...#", "#...#", "#...#", "#...#", "#...#", "####."],
+  E: ["#####", "#....", "#....", "####.", "#....", "#....", "#####"],
+  F: ["#####", "#....", "#....", "####.", "#....", "#....", "#...."],
+  G: [".###.", "#...#", "#....", "#.###", "#...#", "#...#", ".####"],
+  H: ["#...#", "#...#", "#...#", "#####", "#...#", "#...#", "#...#"],
+  I: [".###.", "..#..", "..#..", "..#..", "..#..", "..#..", ".###."],
+  J: ["..###", "...#.", "...#.", "...#.", "...#.", "#..#.", ".##.."],
+  K: ["#...#", "#..#.", "#.#..", "##...", "#.#..", "#..#.", "#...#"],
+  L: ["#....", "#....", "#....", "#....", "#....", "#....", "#####"],
+  M: ["#...#", "##.##", "#.#.#", "#.#.#", "#...#", "#...#", "#...#"],
+  N: ["#...#", "#...#", "##..#", "#.#.#", "#..##", "#...#", "#...#"],
+  O: [".###.", "#...#", "#...#", "#...#", "#...#", "#...#", ".###."],
+  P: ["####.", "#...#", "#...#", "####.", "#....", "#....", "#...."],
+  Q: [".###.", "#...#", "#...#", "#...#", "#.#.#", "#..#.", ".##.#"],
+  R: ["####.", "#...#", "#...#", "####.", "#.#..", "#..#.", "#...#"],
+  S: [".####", "#....", "#....", ".###.", "....#", "....#", "####."],
+  T: ["#####", "..#..", "..#..", "..#..", "..#..", "..#..", "..#.."],
+  U: ["#...#", "#...#", "#...#", "#...#", "#...#", "#...#", ".###."],
+  V: ["#...#", "#...#", "#...#", "#...#", "#...#", ".#.#.", "..#.."],
+  W: ["#...#", "#...#", "#...#", "#.#.#", "#.#.#", "#.#.#", ".#.#."],
+  X: ["#...#", "#...#", ".#.#.", "..#..", ".#.#.", "#...#", "#...#"],
+  Y: ["#...#", "#...#", ".#.#.", "..#..", "..#..", "..#..", "..#.."],
+  Z: ["#####", "....#", "...#.", "..#..", ".#...", "#....", "#####"],
+};
@@ -0,0 +1,53 @@
+import { buildTiles, spinPoint } from "./puzzle";
+import { SCATTER_SHAPES, initials, scatterPoints } from "./scatter";
+
+test("initials drop the Vietnamese diacritics", () => {
+  expect(initials("Hồ Chí Minh")).toBe("HCM");
+  expect(initials("Võ Nguyên Giáp")).toBe("VNG");
+  expect(initials("  Đặng Thùy Trâm ")).toBe("DTT");
+  expect(initials("Ảnh 1941")).toBe("A");
+});
+
+test("every shape places every tile, the same way for the same seed", () => {
+  const tiles = buildTiles(6, "ABC123", 0);
+  for (const shape of SCATTER_SHAPES) {
+    const points = scatterPoints(shape, tiles, "ABC123", 0, "Lê Duẩn");
+    expect(points).toHaveLength(tiles.length);
+    for (const p of points) {
+      expect(p).toHaveLength(3);
+      expect(Math.hypot(...p)).toBeLessThan(1.5);
+    }
+    expect(points).toEqual(scatterPoints(shape, tiles, "ABC123", 0, "Lê Duẩn"));
+  }
+  expect(scatterPoints("spiral", tiles, "ABC123", 0)).not.toEqual(
+    scatterPoints("spiral", tiles, "XYZ789", 0)
+  );
+});
+
+test("unknown shapes and unspellable names fall back to the sphere", () => {
+  const tiles = buildTiles(4, "s", 1);
+  const sphere = scatterPoints("sphere", tiles, "s", 1);
+  expect(scatterPoints("torus", tiles, "s", 1)).toEqual(sphere);
+  expect(scatterPoints("initials", tiles, "s", 1, "1941")).toEqual(sphere);
+  expect(tiles.map((tile) => tile.scatter)).toEqual(sphere);
+});
+
+test("the initials spell the name: no tile inside the gap of an H", () => {
+  const tiles = buildTiles(20, "s", 0);
+  const points = scatterPoints("initials", tiles, "s", 0, "Hà");
+  // the H is 5 pixels wide; its bar is the only lit part of the middle column
+  const scale = 1.8 / 7;
+  const middle = points.filter(([x]) => Math.abs(x) < scale / 2);
+  expect(middle.length).toBeGreaterThan(0);
+  for (const [, y] of middle) expect(Math.abs(y)).toBeLessThanOrEqual(scale);
+});
+
+test("spinning follows the WebGL yaw/pitch order", () => {
+  const [x, y, z] = spinPoint([1, 0, 0], Math.PI / 2, 0);
+  expect(x).toBeCloseTo(0);
+  expect(y).toBeCloseTo(0);
+  expect(z).toBeCloseTo(-1);
+  const tilted = spinPoint([0, 1, 0], 0, Math.PI / 2);
+  expect(tilted[1]).toBeCloseTo(0);
+  expect(tilted[2]).toBeCloseTo(1);
+});
@@ -0,0 +1,93 @@
+// Seeded runs: one seed string drives every random choice of a run (tile
+// scramble and secret angles of every stage), so two players with the same
+// seed face exactly the same puzzles. Seeds travel in the URL
+// (?seed=...&pack=...&mode=...) and the daily challenge derives its seed
+// from the calendar date.
+
+// Tiny deterministic RNG
+export function mulberry32(a) {
+  return function () {
+    var t = (a += 0x6d2b79f5);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// FNV-1a: stable 32-bit hash of any seed string
+export function hashSeed(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Independent RNG stream for one purpose ("tiles", "secret", ...) of a stage
+export function stageRng(seed, stageIndex, purpose) {
+  return mulberry32(hashSeed(`${seed}/${stageIndex}/${purpose}`));
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 36 ** 6)
+    .toString(36)
+    .padStart(6, "0");
+}
+
+// Same seed for everyone on the same (local) calendar day
+export function dailySeed(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `daily-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
+
+export function isDailySeed(seed) {
+  return /^daily-\d{4}-\d{2}-\d{2}$/.test(seed);
+}
+
+// { seed, pack, mode, difficulty, custom, game, format } from the current
+// URL (missing ones are null). `mode` is the rotation mode, `game` the game
+// mode and `custom` the values of a custom difficulty; the caller checks
+// every one of them.
+export function readRunParams() {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    seed: params.get("seed"),
+    pack: params.get("pack"),
+    mode: params.get("mode"),
+    difficulty: params.get("difficulty"),
+    custom: parseCustom(params.get("custom")),
+    game: params.get("game"),
+    format: params.get("format"),
+  };
+}
+
+function parseCustom(text) {
+  if (!text) return null;
+  try {
+    const custom = JSON.parse(text);
+    return custom && typeof custom === "object" ? custom : null;
+  } catch {
+    return null;
+  }
+}
+
+// Shareable link that replays the run, rules included
+export function runUrl({ seed, pack, mode, difficulty, custom, game, format }) {
+  const params = new URLSearchParams({ seed, pack, mode });
+  if (difficulty) params.set("difficulty", difficulty);
+  // the presets are the same everywhere, a custom difficulty needs its values
+  if (difficulty === "custom" && custom) {
+    params.set("custom", JSON.stringify(custom));
+  }
+  if (game) params.set("game", game);
+  if (format) params.set("format", format);
+  return `${window.location.origin}${window.location.pathname}?${params}`;
+}
+
+// Put the run into the address bar so a reload replays it
+export function writeRunParams(run) {
+  window.history.replaceState(null, "", runUrl(run));
+}
@@ -0,0 +1,70 @@
+import { getPreset } from "./difficulty";
+import { getGameMode } from "./gameModes";
+import { getRunFormat } from "./runFormats";
+import {
+  dailySeed,
+  isDailySeed,
+  readRunParams,
+  runUrl,
+  stageRng,
+  writeRunParams,
+} from "./seed";
+
+test("same seed gives the same stream, other stages/purposes differ", () => {
+  const a = stageRng("abc", 0, "tiles");
+  const b = stageRng("abc", 0, "tiles");
+  const seq = [a(), a(), a()];
+  expect([b(), b(), b()]).toEqual(seq);
+  expect(stageRng("abc", 1, "tiles")()).not.toBe(seq[0]);
+  expect(stageRng("abc", 0, "secret")()).not.toBe(seq[0]);
+  expect(stageRng("abd", 0, "tiles")()).not.toBe(seq[0]);
+});
+
+test("daily seed comes from the local calendar date", () => {
+  const seed = dailySeed(new Date(2025, 0, 7, 23, 59));
+  expect(seed).toBe("daily-2025-01-07");
+  expect(isDailySeed(seed)).toBe(true);
+  expect(isDailySeed("abc123")).toBe(false);
+});
+
+test("a shared link carries the run's rules and reads back", () => {
+  const run = {
+    seed: "abc123",
+    pack: "lanh-tu",
+    mode: "dual",
+    difficulty: "custom",
+    custom: { grid: 20, timeBudget: 45 },
+    game: "sliding",
+    format: "endless",
+  };
+  writeRunParams(run);
+  expect(window.location.href).toBe(runUrl(run));
+  expect(readRunParams()).toEqual(run);
+
+  // a preset needs no values; older links just lack the new fields
+  writeRunParams({ seed: "x", pack: "p", mode: "single", difficulty: "hard" });
+  expect(readRunParams()).toMatchObject({ difficulty: "hard", custom: null });
+  window.history.replaceState(null, "", "/?seed=x&custom=%7Bnope");
+  expect(readRunParams()).toMatchObject({
+    difficulty: null,
+    custom: null,
+    game: null,
+    format: null,
+  });
+
+  // unknown ids read back as they are; the menu falls back to its defaults
+  window.history.replaceState(
+    null,
+    "",
+    "/?seed=x&difficulty=insane&game=teleport&format=forever"
+  );
+  const params = readRunParams();
+  expect(params).toMatchObject({
+    difficulty: "insane",
+    game: "teleport",
+    format: "forever",
+  });
+  expect(getPreset(params.difficulty).id).toBe("normal");
+  expect(getGameMode(params.game).id).toBe("rotate");
+  expect(getRunFormat(params.format).id).toBe("classic");
+});
@@ -0,0 +1,71 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker (built by react-scripts from this file): keeps the game
+// playable on flaky classroom Wi-Fi. The app shell comes from the build's
+// precache manifest; stage packs and their images are fetched and cached on
+// install, so every stage plays offline once the app has been opened online.
+//   - images: cache first, they never change under the same URL
+//   - pack manifests: served from the cache, refreshed in the background
+//   - page loads: index.html from the precache
+
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { CacheFirst, StaleWhileRevalidate } from "workbox-strategies";
+import { PACKS_BASE_URL, listStageAssets } from "./stagePacks";
+
+const IMAGE_CACHE = "stage-images";
+const PACK_CACHE = "stage-packs";
+const MAX_IMAGES = 200; // runtime-cached images (uploads are data URLs)
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Client-side routes all serve index.html; files (a dot in the last
+// segment) and pack manifests are fetched as they are
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") return false;
+  if (url.pathname.startsWith("/_")) return false;
+  return !fileExtension.test(url.pathname);
+}, createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`));
+
+registerRoute(
+  ({ request, url }) =>
+    url.origin === self.location.origin && request.destination === "image",
+  new CacheFirst({
+    cacheName: IMAGE_CACHE,
+    plugins: [new ExpirationPlugin({ maxEntries: MAX_IMAGES })],
+  })
+);
+
+registerRoute(
+  ({ url }) =>
+    url.origin === self.location.origin &&
+    url.pathname.startsWith(PACKS_BASE_URL),
+  new StaleWhileRevalidate({ cacheName: PACK_CACHE })
+);
+
+// Stage assets are not part of the build, so they are listed from the pack
+// manifests. A failed download does not hold up the install: that stage is
+// cached the first time it is played instead.
+async function cacheStageAssets() {
+  const urls = await listStageAssets();
+  const [images, packs] = await Promise.all([
+    caches.open(IMAGE_CACHE),
+    caches.open(PACK_CACHE),
+  ]);
+  await Promise.all(
+    urls.map((url) =>
+      (url.startsWith(PACKS_BASE_URL) ? packs : images)
+        .add(url)
+        .catch((err) => console.warn("Not cached for offline play", url, err))
+    )
+  );
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(cacheStageAssets());
+});
@@ -0,0 +1,12 @@
+// Registers the service worker built from src/service-worker.js. Only
+// production builds have one: in development it would keep serving stale
+// files. A new version takes over once every tab of the old one is closed.
+export function register() {
+  if (process.env.NODE_ENV !== "production") return;
+  if (!("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch((err) => console.warn("Service worker not registered", err));
+  });
+}
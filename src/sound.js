@@ -0,0 +1,140 @@
+// Sound: every cue is synthesised with Web Audio, so there are no audio
+// files to download or cache. One engine per game holds the AudioContext
+// (created on the first sound, after a click has allowed audio), a master
+// gain for volume and mute, and the proximity tone while a stage is played:
+//   proximity(t)  continuous tone, higher and louder as `t` nears 1;
+//                 proximity(null) fades it out
+//   click()       snapback takes over
+//   chime()       stage solved
+//   fanfare()     run complete
+// Browsers without Web Audio (and tests) get an engine that does nothing.
+//
+// `createContext` is injectable to keep the engine testable.
+
+export const DEFAULT_VOLUME = 0.6;
+
+const PROXIMITY_GAIN = 0.12; // the tone sits under the other cues
+const RAMP = 0.05; // seconds; smooths changes to avoid clicks
+
+// Pitch and loudness of the proximity tone for an alignment `t`: two octaves
+// up from A3, rising faster near the solution where it matters
+export function proximityTone(t) {
+  const x = Math.min(1, Math.max(0, t));
+  return {
+    frequency: 220 * 4 ** (x * x),
+    gain: (PROXIMITY_GAIN * (0.2 + x)) / 1.2,
+  };
+}
+
+function defaultContext() {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  return AudioContext ? new AudioContext() : null;
+}
+
+export function createSoundEngine(createContext = defaultContext) {
+  let ctx = null; // created lazily, null when unsupported
+  let master = null;
+  let tone = null; // { osc, gain } while the proximity tone plays
+  let volume = DEFAULT_VOLUME;
+  let muted = false;
+
+  const level = () => (muted ? 0 : volume);
+
+  function context() {
+    if (!ctx) {
+      try {
+        ctx = createContext();
+      } catch {
+        ctx = null;
+      }
+      if (!ctx) return null;
+      master = ctx.createGain();
+      master.gain.value = level();
+      master.connect(ctx.destination);
+    }
+    if (ctx.state === "suspended") ctx.resume().catch(() => {});
+    return ctx;
+  }
+
+  // One enveloped oscillator note `at` seconds from now
+  function note(frequency, at, duration, { type = "sine", peak = 0.3 } = {}) {
+    const start = ctx.currentTime + at;
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.type = type;
+    osc.frequency.value = frequency;
+    gain.gain.setValueAtTime(0, start);
+    gain.gain.linearRampToValueAtTime(peak, start + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+    osc.connect(gain).connect(master);
+    osc.start(start);
+    osc.stop(start + duration + 0.05);
+  }
+
+  // Cues are skipped while muted rather than played at zero volume
+  const play = (fn) => () => {
+    if (muted || !context()) return;
+    fn();
+  };
+
+  return {
+    // resume audio from a user gesture so later cues are allowed to play
+    unlock() {
+      context();
+    },
+    setVolume(value) {
+      volume = Math.min(1, Math.max(0, value));
+      master?.gain.setTargetAtTime(level(), ctx.currentTime, RAMP);
+    },
+    setMuted(value) {
+      muted = value;
+      master?.gain.setTargetAtTime(level(), ctx.currentTime, RAMP);
+    },
+    proximity(t) {
+      if (t == null || muted) {
+        if (!tone) return;
+        const { osc, gain } = tone;
+        tone = null;
+        gain.gain.setTargetAtTime(0, ctx.currentTime, RAMP);
+        osc.stop(ctx.currentTime + RAMP * 5);
+        return;
+      }
+      if (!context()) return;
+      if (!tone) {
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.type = "triangle";
+        gain.gain.value = 0;
+        osc.connect(gain).connect(master);
+        osc.start();
+        tone = { osc, gain };
+      }
+      const { frequency, gain } = proximityTone(t);
+      tone.osc.frequency.setTargetAtTime(frequency, ctx.currentTime, RAMP);
+      tone.gain.gain.setTargetAtTime(gain, ctx.currentTime, RAMP);
+    },
+    click: play(() => {
+      note(1800, 0, 0.04, { type: "square", peak: 0.15 });
+    }),
+    // major triad, arpeggiated
+    chime: play(() => {
+      [659.25, 830.61, 987.77].forEach((f, i) => note(f, i * 0.08, 0.6));
+    }),
+    fanfare: play(() => {
+      const melody = [523.25, 659.25, 783.99, 1046.5, 783.99, 1046.5];
+      const beats = [0, 0.15, 0.3, 0.45, 0.75, 0.9];
+      melody.forEach((f, i) =>
+        note(f, beats[i], i === melody.length - 1 ? 0.9 : 0.25, {
+          type: "triangle",
+          peak: 0.25,
+        })
+      );
+    }),
+    close() {
+      tone = null;
+      ctx?.close().catch(() => {});
+      ctx = null;
+      master = null;
+    },
+  };
+}
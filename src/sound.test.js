@@ -0,0 +1,88 @@
+import { createSoundEngine, proximityTone } from "./sound";
+
+// Just enough of an AudioContext to count what gets played
+function fakeContext() {
+  const param = () => ({
+    value: 0,
+    setValueAtTime: jest.fn(),
+    setTargetAtTime: jest.fn(function (v) {
+      this.value = v;
+    }),
+    linearRampToValueAtTime: jest.fn(),
+    exponentialRampToValueAtTime: jest.fn(),
+  });
+  const node = () => ({ connect: jest.fn((next) => next) });
+  const ctx = {
+    state: "running",
+    currentTime: 0,
+    destination: node(),
+    oscillators: [],
+    createGain: () => ({ ...node(), gain: param() }),
+    createOscillator: () => {
+      const osc = {
+        ...node(),
+        frequency: param(),
+        start: jest.fn(),
+        stop: jest.fn(),
+      };
+      ctx.oscillators.push(osc);
+      return osc;
+    },
+    resume: jest.fn(() => Promise.resolve()),
+    close: jest.fn(() => Promise.resolve()),
+  };
+  return ctx;
+}
+
+test("the proximity tone rises with the alignment", () => {
+  const far = proximityTone(0);
+  const near = proximityTone(0.9);
+  expect(far.frequency).toBeCloseTo(220);
+  expect(proximityTone(1).frequency).toBeCloseTo(880);
+  expect(near.frequency).toBeGreaterThan(far.frequency);
+  expect(near.gain).toBeGreaterThan(far.gain);
+  expect(proximityTone(2)).toEqual(proximityTone(1));
+});
+
+test("cues play through one context and are skipped while muted", () => {
+  const ctx = fakeContext();
+  const create = jest.fn(() => ctx);
+  const sound = createSoundEngine(create);
+  sound.click();
+  sound.chime();
+  expect(create).toHaveBeenCalledTimes(1);
+  expect(ctx.oscillators).toHaveLength(4);
+
+  sound.setMuted(true);
+  sound.fanfare();
+  expect(ctx.oscillators).toHaveLength(4);
+  sound.setMuted(false);
+  sound.fanfare();
+  expect(ctx.oscillators).toHaveLength(10);
+});
+
+test("the proximity tone keeps one oscillator and stops on null", () => {
+  const ctx = fakeContext();
+  const sound = createSoundEngine(() => ctx);
+  sound.proximity(0.2);
+  sound.proximity(0.8);
+  expect(ctx.oscillators).toHaveLength(1);
+  const [osc] = ctx.oscillators;
+  expect(osc.frequency.value).toBeCloseTo(proximityTone(0.8).frequency);
+  sound.proximity(null);
+  expect(osc.stop).toHaveBeenCalled();
+  sound.proximity(0.5);
+  expect(ctx.oscillators).toHaveLength(2);
+});
+
+test("does nothing without Web Audio", () => {
+  const sound = createSoundEngine(() => null);
+  expect(() => {
+    sound.unlock();
+    sound.setVolume(0.3);
+    sound.proximity(0.5);
+    sound.chime();
+    sound.proximity(null);
+    sound.close();
+  }).not.toThrow();
+});
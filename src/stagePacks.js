@@ -0,0 +1,443 @@
+// Stage packs: data-driven lists of stages loaded from JSON manifests under
+// public/packs/. `index.json` lists the available packs and every pack file
+// carries its own stages (name, image, difficulty, grid, time budget, scatter
+// shape, bio, key dates and an optional multiple-choice quiz shown after the
+// solve). Packs and stages may add `translations`, keyed by locale, with the
+// same texts in another language (see localizePack in i18n.js).
+//
+// A pack may build on another one's stages instead of copying them:
+// `"extends": "<file>"` (relative to the manifest) takes that pack's stages,
+// and every entry of `stages` names one of them by `id` and overrides any of
+// its fields (translations merge per locale). Without `stages` it takes them
+// all as they are. The base pack must not extend another.
+//
+// Manifests are validated before use. Problems are collected (not thrown one
+// at a time) so whoever edits a manifest sees everything that is wrong at once.
+
+import { DEFAULT_SCATTER, SCATTER_SHAPES } from "./scatter";
+
+export const PACKS_BASE_URL = "/packs/";
+
+export const DIFFICULTIES = ["easy", "normal", "hard"];
+
+const DEFAULT_GRID = 22; // tiles per side
+const DEFAULT_TIME_BUDGET = 120; // seconds before reaching minimum points
+const MIN_GRID = 4;
+const MAX_GRID = 64;
+
+// Raised when a manifest is malformed or references images that do not load
+export class PackError extends Error {
+  constructor(source, problems) {
+    super(`${source}: ${problems.join("; ")}`);
+    this.name = "PackError";
+    this.source = source;
+    this.problems = problems;
+  }
+}
+
+// Bundled pack, used until the manifests are fetched and whenever they
+// cannot be (no network, broken index)
+export const BUILTIN_PACK = validatePack(
+  {
+    id: "builtin",
+    name: "Lãnh tụ Việt Nam",
+    description: "Bốn nhân vật lịch sử tiêu biểu",
+    translations: {
+      en: {
+        name: "Leaders of Vietnam",
+        description: "Four prominent historical figures",
+      },
+    },
+    stages: [
+      {
+        id: "ho-chi-minh",
+        name: "Hồ Chí Minh",
+        image: "/assets/HoChiMinh1.jpg",
+        scatter: "initials",
+        translations: { en: { name: "Ho Chi Minh" } },
+      },
+      {
+        id: "vo-nguyen-giap",
+        name: "Võ Nguyên Giáp",
+        image: "/assets/VoNguyenGiap.jpg",
+        scatter: "helix",
+        translations: { en: { name: "Vo Nguyen Giap" } },
+      },
+      {
+        id: "phan-boi-chau",
+        name: "Phan Bội Châu",
+        image: "/assets/PhanBoiChau.jpg",
+        scatter: "spiral",
+        translations: { en: { name: "Phan Boi Chau" } },
+      },
+      {
+        id: "le-duan",
+        name: "Lê Duẩn",
+        image: "/assets/LeDuan.png",
+        scatter: "vortex",
+        translations: { en: { name: "Le Duan" } },
+      },
+    ],
+  },
+  "builtin"
+);
+
+// Check a parsed manifest and return the normalized pack.
+// Stage `image` paths are resolved against `baseUrl` (the manifest location).
+export function validatePack(json, source, baseUrl) {
+  const problems = [];
+  if (!isObject(json)) {
+    throw new PackError(source, ["manifest must be a JSON object"]);
+  }
+  if (!isNonEmptyString(json.id)) problems.push("`id` must be a string");
+  if (!isNonEmptyString(json.name)) problems.push("`name` must be a string");
+  if (json.description != null && typeof json.description !== "string") {
+    problems.push("`description` must be a string");
+  }
+  const translations = validateTranslations(
+    json.translations,
+    "translations",
+    problems,
+    (tr, at) => {
+      for (const key of ["name", "description"]) {
+        if (tr[key] != null && !isNonEmptyString(tr[key])) {
+          problems.push(`${at}.${key} must be a string`);
+        }
+      }
+    }
+  );
+  if (!Array.isArray(json.stages) || json.stages.length === 0) {
+    problems.push("`stages` must be a non-empty array");
+  }
+
+  const seen = new Set();
+  const stages = (Array.isArray(json.stages) ? json.stages : []).map(
+    (raw, i) => {
+      const at = `stages[${i}]`;
+      if (!isObject(raw)) {
+        problems.push(`${at} must be an object`);
+        return null;
+      }
+      const stage = normalizeStage(raw, at, problems, baseUrl);
+      if (seen.has(stage.id)) problems.push(`${at}.id "${stage.id}" repeats`);
+      seen.add(stage.id);
+      return stage;
+    }
+  );
+
+  if (problems.length) throw new PackError(source, problems);
+  return {
+    id: json.id,
+    name: json.name,
+    description: json.description || "",
+    translations,
+    stages,
+  };
+}
+
+function normalizeStage(raw, at, problems, baseUrl) {
+  if (!isNonEmptyString(raw.name)) problems.push(`${at}.name must be a string`);
+  if (!isNonEmptyString(raw.image)) {
+    problems.push(`${at}.image must be a string`);
+  }
+  const difficulty = raw.difficulty ?? "normal";
+  if (!DIFFICULTIES.includes(difficulty)) {
+    problems.push(`${at}.difficulty must be one of ${DIFFICULTIES.join(", ")}`);
+  }
+  const grid = raw.grid ?? DEFAULT_GRID;
+  if (!Number.isInteger(grid) || grid < MIN_GRID || grid > MAX_GRID) {
+    problems.push(`${at}.grid must be an integer in ${MIN_GRID}..${MAX_GRID}`);
+  }
+  const timeBudget = raw.timeBudget ?? DEFAULT_TIME_BUDGET;
+  if (typeof timeBudget !== "number" || !(timeBudget > 0)) {
+    problems.push(`${at}.timeBudget must be a positive number of seconds`);
+  }
+  const scatter = raw.scatter ?? DEFAULT_SCATTER;
+  if (!SCATTER_SHAPES.includes(scatter)) {
+    problems.push(`${at}.scatter must be one of ${SCATTER_SHAPES.join(", ")}`);
+  }
+  if (raw.bio != null && typeof raw.bio !== "string") {
+    problems.push(`${at}.bio must be a string`);
+  }
+  const facts = raw.facts ?? [];
+  if (!isFactList(facts)) {
+    problems.push(`${at}.facts must be a list of { date, event } strings`);
+  }
+  const quiz = raw.quiz ?? null;
+  if (quiz !== null) validateQuiz(quiz, `${at}.quiz`, problems);
+  const translations = validateTranslations(
+    raw.translations,
+    `${at}.translations`,
+    problems,
+    (tr, trAt) => validateStageTexts(tr, trAt, quiz, problems)
+  );
+  return {
+    id: stageId(raw),
+    name: raw.name,
+    url: resolveUrl(raw.image, baseUrl),
+    difficulty,
+    grid,
+    timeBudget,
+    scatter,
+    bio: raw.bio || "",
+    facts: Array.isArray(facts) ? facts : [],
+    quiz,
+    translations,
+  };
+}
+
+// `translations`: { [locale]: texts }, each checked by `validate`
+function validateTranslations(raw, at, problems, validate) {
+  if (raw == null) return {};
+  if (!isObject(raw) || !Object.values(raw).every(isObject)) {
+    problems.push(`${at} must map locales to objects`);
+    return {};
+  }
+  Object.entries(raw).forEach(([locale, tr]) =>
+    validate(tr, `${at}.${locale}`, problems)
+  );
+  return raw;
+}
+
+// Translated stage texts: any of name, bio, facts and the quiz wording. The
+// quiz keeps its answer index, so a translation must list as many choices.
+function validateStageTexts(tr, at, quiz, problems) {
+  for (const key of ["name", "bio"]) {
+    if (tr[key] != null && !isNonEmptyString(tr[key])) {
+      problems.push(`${at}.${key} must be a string`);
+    }
+  }
+  if (tr.facts != null && !isFactList(tr.facts)) {
+    problems.push(`${at}.facts must be a list of { date, event } strings`);
+  }
+  if (tr.quiz == null) return;
+  if (
+    !quiz ||
+    !isObject(tr.quiz) ||
+    !isNonEmptyString(tr.quiz.question) ||
+    !Array.isArray(tr.quiz.choices) ||
+    tr.quiz.choices.length !== quiz.choices?.length ||
+    !tr.quiz.choices.every(isNonEmptyString)
+  ) {
+    problems.push(
+      `${at}.quiz must have a question and the same number of choices`
+    );
+  }
+}
+
+function isFactList(facts) {
+  return (
+    Array.isArray(facts) &&
+    facts.every(
+      (f) =>
+        isObject(f) && isNonEmptyString(f.date) && isNonEmptyString(f.event)
+    )
+  );
+}
+
+function validateQuiz(quiz, at, problems) {
+  if (!isObject(quiz)) {
+    problems.push(`${at} must be an object`);
+    return;
+  }
+  if (!isNonEmptyString(quiz.question)) {
+    problems.push(`${at}.question must be a string`);
+  }
+  const { choices, answer } = quiz;
+  if (
+    !Array.isArray(choices) ||
+    choices.length < 2 ||
+    !choices.every(isNonEmptyString)
+  ) {
+    problems.push(`${at}.choices must list at least two strings`);
+  } else if (
+    !Number.isInteger(answer) ||
+    answer < 0 ||
+    answer >= choices.length
+  ) {
+    problems.push(`${at}.answer must be the index of one of the choices`);
+  }
+}
+
+// Stages of the pack `json` extends, from its manifest `base` at `baseUrl`,
+// with the overrides of `json` applied; `json` itself when it extends none
+export function extendPack(json, base, source, baseUrl) {
+  if (!isObject(json) || json.extends == null) return json;
+  const problems = [];
+  if (!isObject(base) || !Array.isArray(base.stages)) {
+    throw new PackError(source, [`\`extends\`: ${baseUrl} has no stages`]);
+  }
+  if (base.extends != null) {
+    problems.push("`extends` must name a pack that extends none");
+  }
+  // base images are resolved against the base manifest
+  const baseStages = new Map(
+    base.stages
+      .filter(isObject)
+      .map((stage) => [
+        stageId(stage),
+        { ...stage, image: resolveUrl(stage.image, baseUrl) },
+      ])
+  );
+  const overrides = json.stages ?? [...baseStages.keys()].map((id) => ({ id }));
+  if (!Array.isArray(overrides)) return json; // validatePack reports it
+  const stages = overrides.map((raw, i) => {
+    const stage = isObject(raw) && baseStages.get(raw.id);
+    if (!stage) {
+      problems.push(`stages[${i}].id must name a stage of ${baseUrl}`);
+      return raw;
+    }
+    return {
+      ...stage,
+      ...raw,
+      translations: mergeTranslations(stage.translations, raw.translations),
+    };
+  });
+  if (problems.length) throw new PackError(source, problems);
+  return { ...json, stages };
+}
+
+function mergeTranslations(base, overrides) {
+  if (!isObject(base) || !isObject(overrides)) return overrides ?? base;
+  const merged = { ...base };
+  for (const [locale, texts] of Object.entries(overrides)) {
+    merged[locale] = { ...base[locale], ...texts };
+  }
+  return merged;
+}
+
+function stageId(raw) {
+  return isNonEmptyString(raw.id) ? raw.id : String(raw.name);
+}
+
+// A pack's manifest with the stages it extends filled in; `extends` then
+// holds the base manifest's URL
+async function readManifest(file) {
+  const json = await fetchJson(file);
+  if (!isObject(json) || json.extends == null) return json;
+  if (!isNonEmptyString(json.extends)) {
+    throw new PackError(file, ["`extends` must be a manifest file"]);
+  }
+  const baseUrl = resolveUrl(json.extends, file);
+  const base = await fetchJson(baseUrl);
+  return { ...extendPack(json, base, file, baseUrl), extends: baseUrl };
+}
+
+// Fetch the list of packs: [{ id, name, description, translations, file }]
+export async function loadPackIndex(baseUrl = PACKS_BASE_URL) {
+  const source = `${baseUrl}index.json`;
+  const json = await fetchJson(source);
+  const problems = [];
+  const list = isObject(json) && Array.isArray(json.packs) ? json.packs : null;
+  if (!list) throw new PackError(source, ["`packs` must be an array"]);
+  list.forEach((entry, i) => {
+    if (!isObject(entry) || !isNonEmptyString(entry.file)) {
+      problems.push(`packs[${i}].file must be a string`);
+    } else if (!isNonEmptyString(entry.name)) {
+      problems.push(`packs[${i}].name must be a string`);
+    }
+  });
+  if (problems.length) throw new PackError(source, problems);
+  return list.map((entry) => ({
+    id: entry.id || entry.file,
+    name: entry.name,
+    description: entry.description || "",
+    translations: isObject(entry.translations) ? entry.translations : {},
+    file: resolveUrl(entry.file, source),
+  }));
+}
+
+// Fetch, validate and check the images of one pack from the index
+export async function loadPack(entry) {
+  const json = await readManifest(entry.file);
+  const pack = validatePack(json, entry.file, entry.file);
+  const missing = await findMissingImages(pack.stages);
+  if (missing.length) {
+    throw new PackError(
+      entry.file,
+      missing.map((url) => `image not found: ${url}`)
+    );
+  }
+  return pack;
+}
+
+// Every file a pack needs, for the service worker to keep offline: the
+// index, each pack manifest (and the one it extends) and all stage images
+// (the built-in pack's too). Packs that fail to load or validate are left
+// out.
+export async function listStageAssets(baseUrl = PACKS_BASE_URL) {
+  const urls = new Set(BUILTIN_PACK.stages.map((stage) => stage.url));
+  let index = [];
+  try {
+    index = await loadPackIndex(baseUrl);
+    urls.add(`${baseUrl}index.json`);
+  } catch (err) {
+    console.warn("Stage pack index not cached", err);
+  }
+  for (const entry of index) {
+    try {
+      const json = await readManifest(entry.file);
+      const pack = validatePack(json, entry.file, entry.file);
+      urls.add(entry.file);
+      if (json.extends) urls.add(json.extends);
+      pack.stages.forEach((stage) => urls.add(stage.url));
+    } catch (err) {
+      console.warn("Stage pack not cached", err);
+    }
+  }
+  return [...urls];
+}
+
+// Resolve with the URLs of every stage image that fails to load
+export function findMissingImages(stages) {
+  return Promise.all(
+    stages.map(
+      (stage) =>
+        new Promise((resolve) => {
+          const img = new Image();
+          img.onload = () => resolve(null);
+          img.onerror = () => resolve(stage.url);
+          img.src = stage.url;
+        })
+    )
+  ).then((results) => results.filter(Boolean));
+}
+
+// Human-readable lines for the menu's error box
+export function describePackError(err) {
+  if (err instanceof PackError) {
+    return err.problems.map((problem) => `${err.source}: ${problem}`);
+  }
+  return [err?.message || String(err)];
+}
+
+async function fetchJson(url) {
+  let res;
+  try {
+    res = await fetch(url);
+  } catch (err) {
+    throw new PackError(url, [`could not be fetched (${err.message})`]);
+  }
+  if (!res.ok) throw new PackError(url, [`HTTP ${res.status}`]);
+  try {
+    return await res.json();
+  } catch {
+    throw new PackError(url, ["is not valid JSON"]);
+  }
+}
+
+// `globalThis` is the window, or the service worker when it lists the assets
+function resolveUrl(path, baseUrl) {
+  const here = globalThis.location;
+  if (!baseUrl || typeof path !== "string" || !here) return path;
+  const url = new URL(path, new URL(baseUrl, here.href));
+  return url.origin === here.origin ? url.pathname + url.search : url.href;
+}
+
+function isObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim() !== "";
+}
@@ -0,0 +1,220 @@
+import {
+  BUILTIN_PACK,
+  PackError,
+  extendPack,
+  listStageAssets,
+  validatePack,
+} from "./stagePacks";
+
+test("fills in stage defaults from a minimal manifest", () => {
+  const pack = validatePack(
+    { id: "p", name: "Pack", stages: [{ name: "A", image: "/a.jpg" }] },
+    "p.json"
+  );
+  expect(pack.stages[0]).toMatchObject({
+    name: "A",
+    url: "/a.jpg",
+    difficulty: "normal",
+    grid: 22,
+    timeBudget: 120,
+    scatter: "sphere",
+    bio: "",
+  });
+});
+
+test("collects every problem of an invalid manifest", () => {
+  let error;
+  try {
+    validatePack(
+      {
+        id: "p",
+        stages: [
+          { name: "A", image: "/a.jpg", grid: 2 },
+          { name: "B", difficulty: "insane", scatter: "torus" },
+        ],
+      },
+      "p.json"
+    );
+  } catch (err) {
+    error = err;
+  }
+  expect(error).toBeInstanceOf(PackError);
+  expect(error.source).toBe("p.json");
+  expect(error.problems).toEqual([
+    "`name` must be a string",
+    "stages[0].grid must be an integer in 4..64",
+    "stages[1].image must be a string",
+    "stages[1].difficulty must be one of easy, normal, hard",
+    "stages[1].scatter must be one of sphere, spiral, helix, cube, vortex, initials",
+  ]);
+});
+
+test("bundled pack is valid", () => {
+  expect(BUILTIN_PACK.stages.map((s) => s.name)).toContain("Hồ Chí Minh");
+});
+
+test("rejects a quiz whose answer is not one of the choices", () => {
+  expect(() =>
+    validatePack(
+      {
+        id: "p",
+        name: "Pack",
+        stages: [
+          {
+            name: "A",
+            image: "/a.jpg",
+            quiz: { question: "?", choices: ["x", "y"], answer: 2 },
+          },
+        ],
+      },
+      "p.json"
+    )
+  ).toThrow("stages[0].quiz.answer must be the index of one of the choices");
+});
+
+test("checks stage translations against the original quiz", () => {
+  let error;
+  try {
+    validatePack(
+      {
+        id: "p",
+        name: "Pack",
+        translations: { en: { name: "" } },
+        stages: [
+          {
+            name: "A",
+            image: "/a.jpg",
+            quiz: { question: "?", choices: ["x", "y"], answer: 1 },
+            translations: {
+              en: { name: "A", quiz: { question: "?", choices: ["x"] } },
+            },
+          },
+          { name: "B", image: "/b.jpg", translations: { en: "B" } },
+        ],
+      },
+      "p.json"
+    );
+  } catch (err) {
+    error = err;
+  }
+  expect(error.problems).toEqual([
+    "translations.en.name must be a string",
+    "stages[0].translations.en.quiz must have a question and the same number of choices",
+    "stages[1].translations must map locales to objects",
+  ]);
+
+  const pack = validatePack(
+    {
+      id: "p",
+      name: "Gói",
+      stages: [
+        {
+          name: "A",
+          image: "/a.jpg",
+          translations: { en: { name: "A (en)", bio: "Bio" } },
+        },
+      ],
+    },
+    "p.json"
+  );
+  expect(pack.stages[0].translations.en.name).toBe("A (en)");
+});
+
+test("lists the files every pack needs offline, skipping broken packs", async () => {
+  const files = {
+    "/packs/index.json": {
+      packs: [
+        { id: "a", name: "A", file: "a.json" },
+        { id: "b", name: "B", file: "b.json" },
+      ],
+    },
+    "/packs/a.json": {
+      id: "a",
+      name: "A",
+      stages: [{ name: "X", image: "img/x.jpg" }],
+    },
+    "/packs/b.json": { id: "b", name: "B", stages: [] },
+  };
+  const fetch = jest.spyOn(window, "fetch").mockImplementation(async (url) => ({
+    ok: true,
+    json: async () => files[url],
+  }));
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  const urls = await listStageAssets();
+  expect(urls).toEqual([
+    ...BUILTIN_PACK.stages.map((stage) => stage.url),
+    "/packs/index.json",
+    "/packs/a.json",
+    "/packs/img/x.jpg",
+  ]);
+  expect(warn).toHaveBeenCalledTimes(1); // b.json has no stages
+  fetch.mockRestore();
+  warn.mockRestore();
+});
+
+test("a pack can build on another one's stages", () => {
+  const base = {
+    id: "a",
+    name: "A",
+    stages: [
+      {
+        id: "x",
+        name: "X",
+        image: "img/x.jpg",
+        translations: { en: { name: "X (en)", bio: "Bio" } },
+      },
+      { id: "y", name: "Y", image: "img/y.jpg" },
+    ],
+  };
+  const extend = (overrides) =>
+    extendPack(
+      { id: "b", name: "B", extends: "a.json", ...overrides },
+      base,
+      "/packs/b.json",
+      "/packs/a.json"
+    );
+
+  const pack = validatePack(
+    extend({
+      stages: [{ id: "x", grid: 40, translations: { en: { bio: "Harder" } } }],
+    }),
+    "/packs/b.json",
+    "/packs/b.json"
+  );
+  expect(pack.stages).toHaveLength(1);
+  expect(pack.stages[0]).toMatchObject({
+    name: "X",
+    url: "/packs/img/x.jpg",
+    grid: 40,
+    translations: { en: { name: "X (en)", bio: "Harder" } },
+  });
+  expect(extend({}).stages.map((stage) => stage.id)).toEqual(["x", "y"]);
+  expect(() => extend({ stages: [{ id: "z" }] })).toThrow(
+    "stages[0].id must name a stage of /packs/a.json"
+  );
+});
+
+test("an extending pack keeps its base manifest offline", async () => {
+  const files = {
+    "/packs/index.json": { packs: [{ id: "b", name: "B", file: "b.json" }] },
+    "/packs/a.json": {
+      id: "a",
+      name: "A",
+      stages: [{ id: "x", name: "X", image: "img/x.jpg" }],
+    },
+    "/packs/b.json": { id: "b", name: "B", extends: "a.json" },
+  };
+  const fetch = jest.spyOn(window, "fetch").mockImplementation(async (url) => ({
+    ok: true,
+    json: async () => files[url],
+  }));
+  const urls = await listStageAssets();
+  expect(urls).toEqual([
+    ...BUILTIN_PACK.stages.map((stage) => stage.url),
+    "/packs/index.json",
+    "/packs/b.json",
+    "/packs/a.json",
+    "/packs/img/x.jpg",
+  ]);
+  fetch.mockRestore();
+});
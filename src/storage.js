@@ -0,0 +1,51 @@
+// Tiny async key-value storage used for everything persisted beyond prefs:
+//   { read(): Promise<any>, write(data): Promise<void> }
+// localStorage suits small JSON; IndexedDB holds large values (images) that
+// would blow the localStorage quota.
+
+export function createLocalStorage(key = "vnr-puzzle.leaderboard") {
+  return {
+    async read() {
+      const raw = window.localStorage.getItem(key);
+      return raw == null ? null : JSON.parse(raw);
+    },
+    async write(data) {
+      window.localStorage.setItem(key, JSON.stringify(data));
+    },
+  };
+}
+
+export function createIndexedDBStorage(
+  dbName = "vnr-puzzle",
+  storeName = "leaderboard"
+) {
+  const open = () =>
+    new Promise((resolve, reject) => {
+      const req = window.indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  const run = async (mode, fn) => {
+    const db = await open();
+    try {
+      return await new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+      });
+    } finally {
+      db.close();
+    }
+  };
+  return {
+    async read() {
+      const value = await run("readonly", (store) => store.get("data"));
+      return value ?? null;
+    },
+    async write(data) {
+      await run("readwrite", (store) => store.put(data, "data"));
+    },
+  };
+}
@@ -0,0 +1,41 @@
+import { useEffect, useState } from "react";
+import { fitContain } from "./puzzle";
+
+const VIEWPORT_SHARE = 0.7; // of the window height, so the HUD stays visible
+
+// Largest `maxW` × `maxH` board (same aspect) that fits the width of `el`
+// (the board's container, null while unmounted) and most of the window
+// height; follows resizes and orientation changes. Without ResizeObserver
+// (or before layout) the full size is used.
+export default function useBoardSize(el, maxW, maxH) {
+  const [size, setSize] = useState({ width: maxW, height: maxH });
+  useEffect(() => {
+    if (!el || typeof ResizeObserver === "undefined") return;
+    const measure = () => {
+      const available = el.clientWidth;
+      if (!available) return;
+      const { drawW, drawH } = fitContain(
+        maxW,
+        maxH,
+        Math.min(maxW, available),
+        Math.min(maxH, window.innerHeight * VIEWPORT_SHARE)
+      );
+      setSize((prev) =>
+        prev.width === drawW && prev.height === drawH
+          ? prev
+          : { width: drawW, height: drawH }
+      );
+    };
+    const observer = new ResizeObserver(measure);
+    observer.observe(el);
+    window.addEventListener("orientationchange", measure);
+    window.addEventListener("resize", measure);
+    measure();
+    return () => {
+      observer.disconnect();
+      window.removeEventListener("orientationchange", measure);
+      window.removeEventListener("resize", measure);
+    };
+  }, [el, maxW, maxH]);
+  return size;
+}
@@ -0,0 +1,53 @@
+import { useEffect, useRef } from "react";
+
+const DEADZONE = 0.15; // ignore stick drift below this
+
+// Polls the first connected gamepad while `enabled`.
+//   onStick(x, y, dt)  left stick (deadzone applied), dt in seconds;
+//                      called with (0, 0) once when the stick is released
+//   onButton(index)    standard-mapping button pressed (edge-triggered)
+// Callbacks are read from a ref so they may change on every render.
+export default function useGamepad(enabled, { onStick, onButton }) {
+  const handlers = useRef({ onStick, onButton });
+  handlers.current = { onStick, onButton };
+
+  useEffect(() => {
+    if (!enabled || typeof navigator === "undefined" || !navigator.getGamepads)
+      return;
+    let raf = 0;
+    let last = performance.now();
+    let wasActive = false;
+    const pressed = new Set();
+
+    const poll = (now) => {
+      const dt = Math.min((now - last) / 1000, 0.1);
+      last = now;
+      const pad = Array.from(navigator.getGamepads()).find(Boolean);
+      if (pad) {
+        const x = deadzone(pad.axes[0] || 0);
+        const y = deadzone(pad.axes[1] || 0);
+        const active = x !== 0 || y !== 0;
+        if (active || wasActive) handlers.current.onStick?.(x, y, dt);
+        wasActive = active;
+
+        pad.buttons.forEach((button, index) => {
+          if (button.pressed && !pressed.has(index)) {
+            pressed.add(index);
+            handlers.current.onButton?.(index);
+          } else if (!button.pressed) {
+            pressed.delete(index);
+          }
+        });
+      }
+      raf = requestAnimationFrame(poll);
+    };
+    raf = requestAnimationFrame(poll);
+    return () => cancelAnimationFrame(raf);
+  }, [enabled]);
+}
+
+function deadzone(v) {
+  if (Math.abs(v) < DEADZONE) return 0;
+  // rescale so motion starts smoothly at the deadzone edge
+  return (Math.sign(v) * (Math.abs(v) - DEADZONE)) / (1 - DEADZONE);
+}
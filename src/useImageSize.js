@@ -0,0 +1,74 @@
+import { useEffect, useState } from "react";
+import { useI18n } from "./i18n";
+
+// Sizes of images already requested, so a preloaded stage starts at once
+// and each URL is only downloaded here once. Failed loads are forgotten to
+// be tried again.
+const sizes = new Map(); // src -> Promise<{ w, h }>
+
+export function loadImageSize(src) {
+  let pending = sizes.get(src);
+  if (!pending) {
+    pending = new Promise((resolve, reject) => {
+      const img = new Image();
+      img.crossOrigin = "anonymous";
+      img.onload = () => resolve({ w: img.naturalWidth, h: img.naturalHeight });
+      img.onerror = () => reject(new Error(`Could not load ${src}`));
+      img.src = src;
+    });
+    sizes.set(src, pending);
+    pending.catch(() => sizes.delete(src));
+  }
+  return pending;
+}
+
+// Start downloading an image that will be needed soon (the next stage)
+export function preloadImage(src) {
+  if (src) loadImageSize(src).catch(() => {});
+}
+
+const LOADING = { w: 0, h: 0, failed: false, offline: false };
+
+// Natural size of an image URL ({ w, h } stay 0 until it has loaded), the
+// message to show when it fails and `retry` to load it again. A failed image
+// is retried by itself when the connection comes back.
+export default function useImageSize(src) {
+  const { t } = useI18n();
+  const [size, setSize] = useState(LOADING);
+  const [attempt, setAttempt] = useState(0);
+  useEffect(() => {
+    if (!src) return;
+    let cancelled = false;
+    setSize(LOADING);
+    loadImageSize(src).then(
+      ({ w, h }) => {
+        if (!cancelled) setSize({ w, h, failed: false, offline: false });
+      },
+      () => {
+        if (cancelled) return;
+        setSize({ w: 0, h: 0, failed: true, offline: !navigator.onLine });
+      }
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [src, attempt]);
+
+  useEffect(() => {
+    if (!size.failed) return;
+    const retry = () => setAttempt((n) => n + 1);
+    window.addEventListener("online", retry);
+    return () => window.removeEventListener("online", retry);
+  }, [size.failed]);
+
+  return {
+    w: size.w,
+    h: size.h,
+    error: !size.failed
+      ? null
+      : size.offline
+      ? t("image.offline")
+      : t("image.loadFailed", { src }),
+    retry: () => setAttempt((n) => n + 1),
+  };
+}
@@ -0,0 +1,31 @@
+import { useCallback, useEffect, useState } from "react";
+
+// The browser's "install app" prompt, held back until the player asks for
+// it from the menu. `canInstall` is false where the browser offers none or
+// the game is already installed.
+export default function useInstallPrompt() {
+  const [promptEvent, setPromptEvent] = useState(null);
+  useEffect(() => {
+    const onPrompt = (e) => {
+      e.preventDefault();
+      setPromptEvent(e);
+    };
+    const onInstalled = () => setPromptEvent(null);
+    window.addEventListener("beforeinstallprompt", onPrompt);
+    window.addEventListener("appinstalled", onInstalled);
+    return () => {
+      window.removeEventListener("beforeinstallprompt", onPrompt);
+      window.removeEventListener("appinstalled", onInstalled);
+    };
+  }, []);
+
+  // the event can only be used once, whatever the answer
+  const install = useCallback(async () => {
+    if (!promptEvent) return;
+    setPromptEvent(null);
+    promptEvent.prompt();
+    await promptEvent.userChoice;
+  }, [promptEvent]);
+
+  return { canInstall: promptEvent != null, install };
+}
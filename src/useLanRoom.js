@@ -0,0 +1,123 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useI18n } from "./i18n";
+
+// Client side of the LAN race (see server/lan-server.js): one WebSocket to
+// the room, the latest room state the server broadcast, and the few actions
+// a player has. The server owns timing and scoring; the client only reports
+// which stage it solved and its own active time.
+
+export const DEFAULT_LAN_URL = `ws://${
+  (typeof window !== "undefined" && window.location.hostname) || "localhost"
+}:8787`;
+
+// Server error codes the player gets a message for (`lan.error.<code>`);
+// anything else is shown as sent
+export const LAN_ERRORS = [
+  "connection",
+  "room-not-found",
+  "bad-name",
+  "name-taken",
+  "already-started",
+  "room-full",
+  "bad-config",
+  "not-host",
+];
+
+export default function useLanRoom() {
+  const { t } = useI18n();
+  const wsRef = useRef(null);
+  const [status, setStatus] = useState("idle"); // "idle" | "connecting" | "connected" | "closed"
+  const [welcome, setWelcome] = useState(null); // { playerId, config }
+  const [room, setRoom] = useState(null);
+  const [error, setError] = useState(null); // error code
+
+  const connect = useCallback((url, hello) => {
+    wsRef.current?.close();
+    setStatus("connecting");
+    setWelcome(null);
+    setRoom(null);
+    setError(null);
+    let ws;
+    try {
+      ws = new WebSocket(url);
+    } catch {
+      setStatus("idle");
+      setError("connection");
+      return;
+    }
+    wsRef.current = ws;
+    let welcomed = false;
+    ws.onopen = () => ws.send(JSON.stringify(hello));
+    ws.onmessage = (e) => {
+      let msg;
+      try {
+        msg = JSON.parse(e.data);
+      } catch {
+        return;
+      }
+      if (msg.type === "welcome") {
+        welcomed = true;
+        setWelcome({ playerId: msg.playerId, config: msg.config });
+        setStatus("connected");
+      } else if (msg.type === "room") {
+        setRoom(msg.room);
+      } else if (msg.type === "error") {
+        setError(msg.error);
+        // refused create/join: back to the forms
+        if (!welcomed) ws.close();
+      }
+    };
+    ws.onerror = () => setError("connection");
+    ws.onclose = () => {
+      if (wsRef.current !== ws) return;
+      wsRef.current = null;
+      setStatus(welcomed ? "closed" : "idle");
+    };
+  }, []);
+
+  const send = useCallback((message) => {
+    const ws = wsRef.current;
+    if (ws?.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+  }, []);
+
+  const create = useCallback(
+    (url, name, config) => connect(url, { type: "create", name, config }),
+    [connect]
+  );
+  const join = useCallback(
+    (url, code, name) =>
+      connect(url, { type: "join", room: code.trim().toUpperCase(), name }),
+    [connect]
+  );
+  const advance = useCallback(() => send({ type: "advance" }), [send]);
+  const reportSolve = useCallback(
+    (stage, time) => send({ type: "solve", stage, time }),
+    [send]
+  );
+  const leave = useCallback(() => {
+    const ws = wsRef.current;
+    wsRef.current = null;
+    ws?.close();
+    setStatus("idle");
+    setWelcome(null);
+    setRoom(null);
+    setError(null);
+  }, []);
+
+  // close the socket with the app
+  useEffect(() => () => wsRef.current?.close(), []);
+
+  return {
+    status,
+    room,
+    error:
+      error && (LAN_ERRORS.includes(error) ? t(`lan.error.${error}`) : error),
+    config: welcome?.config || null,
+    player: room?.players.find((p) => p.id === welcome?.playerId) || null,
+    create,
+    join,
+    advance,
+    reportSolve,
+    leave,
+  };
+}
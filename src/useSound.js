@@ -0,0 +1,38 @@
+import { useCallback, useEffect, useState } from "react";
+import { loadPref, savePref } from "./prefs";
+import { DEFAULT_VOLUME, createSoundEngine } from "./sound";
+
+// The game's sound engine with the player's mute and volume settings,
+// remembered across sessions
+export default function useSound() {
+  const [sound] = useState(() => createSoundEngine());
+  const [muted, setMutedState] = useState(() => loadPref("soundMuted", false));
+  const [volume, setVolumeState] = useState(() =>
+    loadPref("soundVolume", DEFAULT_VOLUME)
+  );
+
+  useEffect(() => sound.setMuted(muted), [sound, muted]);
+  useEffect(() => sound.setVolume(volume), [sound, volume]);
+  // browsers only start audio from a user gesture: any click or key will do
+  useEffect(() => {
+    const unlock = () => sound.unlock();
+    window.addEventListener("pointerdown", unlock);
+    window.addEventListener("keydown", unlock);
+    return () => {
+      window.removeEventListener("pointerdown", unlock);
+      window.removeEventListener("keydown", unlock);
+      sound.close();
+    };
+  }, [sound]);
+
+  const setMuted = useCallback((value) => {
+    setMutedState(value);
+    savePref("soundMuted", value);
+  }, []);
+  const setVolume = useCallback((value) => {
+    setVolumeState(value);
+    savePref("soundVolume", value);
+  }, []);
+
+  return { sound, muted, setMuted, volume, setVolume };
+}